@@ -0,0 +1,95 @@
+// @flow
+
+/**
+ * Errors that happen while retrieving a profile are shown to the user, and
+ * often have to cross from a worker to the content thread, so they are passed
+ * around as plain LoadError objects rather than Error instances.
+ */
+export type LoadErrorKind =
+  'network' |
+  'http-status' |
+  'json-parse' |
+  'schema-mismatch' |
+  'missing-thread' |
+  'unknown';
+
+export type LoadError = {
+  kind: LoadErrorKind,
+  message: string,
+  // The URL that failed to load, if the error is about a URL.
+  url: string | null,
+  // The HTTP status of an 'http-status' error.
+  status: number | null,
+};
+
+/**
+ * Create an Error that carries a LoadErrorKind, so that serializeError can
+ * turn it into a LoadError once it has been caught.
+ */
+export function createError(
+  kind: LoadErrorKind,
+  message: string,
+  url: string | null = null,
+  status: number | null = null
+): Error {
+  const error: Object = new Error(message);
+  error.kind = kind;
+  error.url = url;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Turn anything that was thrown into a LoadError.
+ * @param {*} error           The caught error.
+ * @param {string} url        The URL to report, if the error doesn't have one.
+ * @return {object}           The LoadError.
+ */
+export function serializeError(error: any, url: string | null = null): LoadError {
+  if (error && typeof error === 'object' && error.kind) {
+    return {
+      kind: error.kind,
+      message: error.message,
+      url: error.url || url,
+      status: error.status || null,
+    };
+  }
+  return {
+    kind: 'unknown',
+    message: error instanceof Error ? error.message : String(error),
+    url,
+    status: null,
+  };
+}
+
+/**
+ * Fetch a URL, turning failures into 'network' and 'http-status' errors.
+ */
+export async function fetchOrThrow(url: string): Promise<Response> {
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw createError('network', `Unable to reach ${url}: ${error.message}`, url);
+  }
+  if (!response.ok) {
+    throw createError(
+      'http-status',
+      `${url} responded with ${response.status} ${response.statusText}`,
+      url,
+      response.status
+    );
+  }
+  return response;
+}
+
+/**
+ * JSON.parse, turning failures into 'json-parse' errors.
+ */
+export function parseJSON(text: string, url: string | null): any {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw createError('json-parse', `${url || 'The file'} is not valid JSON: ${error.message}`, url);
+  }
+}
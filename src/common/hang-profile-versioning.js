@@ -0,0 +1,231 @@
+// @flow
+/**
+ * This file deals with versions of the hang profile format, i.e. the JSON that
+ * the BHR aggregation job outputs, as described by src/common/types/profile.js
+ * once it is normalized. Old payloads stay around in the data source and in
+ * saved files, so this file upgrades them to the current format, and checks
+ * that a profile has everything the rest of the app relies on.
+ */
+import { createError } from './errors';
+
+export const CURRENT_VERSION = 1; // The current version of the hang profile format.
+
+// Hang profiles before version 1 did not have a version field. Treat those as
+// version zero.
+const UNANNOTATED_VERSION = 0;
+
+/**
+ * Upgrades the supplied profile to the current version, by mutating |profile|.
+ * Split profiles need to be assembled first, as the upgraders work on threads.
+ * Throws a 'schema-mismatch' error if the profile is too new.
+ * @param {object} profile The profile in the hang profile JSON format.
+ */
+export function upgradeHangProfileToCurrentVersion(profile: Object) {
+  const profileVersion = profile.version || UNANNOTATED_VERSION;
+  if (profileVersion === CURRENT_VERSION) {
+    return;
+  }
+
+  if (typeof profileVersion !== 'number' || profileVersion > CURRENT_VERSION) {
+    throw createError(
+      'schema-mismatch',
+      `Unable to read a hang profile of version ${String(profileVersion)}. The most recent version ` +
+        `understood by this page is version ${CURRENT_VERSION}, try refreshing it in case it has been updated.`
+    );
+  }
+
+  // Convert to CURRENT_VERSION, one step at a time.
+  for (
+    let destVersion = profileVersion + 1;
+    destVersion <= CURRENT_VERSION;
+    destVersion++
+  ) {
+    if (destVersion in _upgraders) {
+      _upgraders[destVersion](profile);
+    }
+  }
+
+  profile.version = CURRENT_VERSION;
+}
+
+function _addString(thread: Object, string: string): number {
+  const index = thread.stringArray.indexOf(string);
+  if (index !== -1) {
+    return index;
+  }
+  thread.stringArray.push(string);
+  return thread.stringArray.length - 1;
+}
+
+// _upgraders[i] converts from version i - 1 to version i.
+// Every "upgrader" takes the profile as its single argument and mutates it.
+const _upgraders = {
+  [1]: profile => {
+    // Before the version field was added, tables didn't always have a length,
+    // the sample table could lack the per-sample annotations, and profiles
+    // without usage data had no usageHoursByDate, which is taken to mean that
+    // every date is weighted equally.
+    for (const thread of profile.threads || []) {
+      for (const [tableName, column] of [
+        ['stackTable', 'prefix'],
+        ['sampleTable', 'stack'],
+        ['funcTable', 'name'],
+      ]) {
+        const table = thread[tableName];
+        if (table && table.length === undefined && Array.isArray(table[column])) {
+          table.length = table[column].length;
+        }
+      }
+
+      const { sampleTable } = thread;
+      if (sampleTable && Array.isArray(sampleTable.stack) && Array.isArray(thread.stringArray)) {
+        if (!sampleTable.userInteracting) {
+          sampleTable.userInteracting = sampleTable.stack.map(() => false);
+        }
+        if (!sampleTable.platform) {
+          const unknownPlatform = _addString(thread, '');
+          sampleTable.platform = sampleTable.stack.map(() => unknownPlatform);
+        }
+        if (!sampleTable.runnable) {
+          const unknownRunnable = _addString(thread, '???');
+          sampleTable.runnable = sampleTable.stack.map(() => unknownRunnable);
+        }
+      }
+
+      if (thread.funcTable && !thread.funcTable.lib && Array.isArray(thread.funcTable.name)) {
+        thread.funcTable.lib = thread.funcTable.name.map(() => -1);
+      }
+      if (!thread.libs) {
+        thread.libs = [];
+      }
+    }
+
+    if (!profile.usageHoursByDate && Array.isArray(profile.threads)) {
+      profile.usageHoursByDate = {};
+      for (const thread of profile.threads) {
+        for (const { date } of thread.dates || []) {
+          profile.usageHoursByDate[date] = 1;
+        }
+      }
+    }
+  },
+};
+
+function _fail(message: string) {
+  throw createError('schema-mismatch', message);
+}
+
+function _checkArray(value: any, path: string, length?: number) {
+  if (!Array.isArray(value)) {
+    _fail(`${path} should be an array, but it is ${value === null ? 'null' : typeof value}.`);
+  }
+  if (length !== undefined && value.length !== length) {
+    _fail(`${path} has ${value.length} entries, but ${length} were expected.`);
+  }
+}
+
+function _checkTable(table: any, path: string): number {
+  if (!table || typeof table !== 'object') {
+    _fail(`${path} is missing.`);
+  }
+  if (typeof table.length !== 'number') {
+    _fail(`${path}.length should be a number.`);
+  }
+  return table.length;
+}
+
+/**
+ * Checks every index in |column| either is null, when |allowNull| is set, or
+ * points into a table with |length| rows.
+ */
+function _checkIndices(column: any[], path: string, length: number, allowNull: boolean = false) {
+  for (let i = 0; i < column.length; i++) {
+    const index = column[i];
+    if (index === null && allowNull) {
+      continue;
+    }
+    if (typeof index !== 'number' || index < 0 || index >= length) {
+      _fail(`${path}[${i}] is ${String(index)}, which is not an index into a table of ${length} rows.`);
+    }
+  }
+}
+
+function _validateThread(thread: Object, path: string, usageHoursByDate: Object) {
+  if (typeof thread.name !== 'string') {
+    _fail(`${path}.name should be a string.`);
+  }
+  _checkArray(thread.stringArray, `${path}.stringArray`);
+  const stringCount = thread.stringArray.length;
+
+  const funcCount = _checkTable(thread.funcTable, `${path}.funcTable`);
+  _checkArray(thread.funcTable.name, `${path}.funcTable.name`, funcCount);
+  _checkIndices(thread.funcTable.name, `${path}.funcTable.name`, stringCount);
+
+  const stackCount = _checkTable(thread.stackTable, `${path}.stackTable`);
+  _checkArray(thread.stackTable.prefix, `${path}.stackTable.prefix`, stackCount);
+  _checkArray(thread.stackTable.func, `${path}.stackTable.func`, stackCount);
+  _checkIndices(thread.stackTable.func, `${path}.stackTable.func`, funcCount);
+  // The depths are computed from the prefixes in order, so every prefix has to
+  // come before its stack.
+  thread.stackTable.prefix.forEach((prefix, i) => {
+    if (prefix !== null && !(typeof prefix === 'number' && prefix >= 0 && prefix < i)) {
+      _fail(`${path}.stackTable.prefix[${i}] is ${String(prefix)}, but it should be null or a stack before ${i}.`);
+    }
+  });
+
+  const sampleCount = _checkTable(thread.sampleTable, `${path}.sampleTable`);
+  _checkArray(thread.sampleTable.stack, `${path}.sampleTable.stack`, sampleCount);
+  _checkIndices(thread.sampleTable.stack, `${path}.sampleTable.stack`, stackCount, true);
+  for (const column of ['runnable', 'platform']) {
+    _checkArray(thread.sampleTable[column], `${path}.sampleTable.${column}`, sampleCount);
+    _checkIndices(thread.sampleTable[column], `${path}.sampleTable.${column}`, stringCount, true);
+  }
+  _checkArray(thread.sampleTable.userInteracting, `${path}.sampleTable.userInteracting`, sampleCount);
+
+  _checkArray(thread.dates, `${path}.dates`);
+  thread.dates.forEach((date, i) => {
+    const datePath = `${path}.dates[${i}]`;
+    if (!date || typeof date.date !== 'string') {
+      _fail(`${datePath}.date should be a string.`);
+    }
+    if (!(date.date in usageHoursByDate)) {
+      _fail(`${datePath} is for ${date.date}, which has no entry in usageHoursByDate.`);
+    }
+    for (const column of ['sampleHangMs', 'sampleHangCount']) {
+      // Samples past the end of these arrays had no hangs on that date.
+      _checkArray(date[column], `${datePath}.${column}`);
+      if (date[column].length > sampleCount) {
+        _fail(`${datePath}.${column} has ${date[column].length} entries, but there are only ${sampleCount} samples.`);
+      }
+    }
+  });
+}
+
+/**
+ * Check that a profile in the current version of the hang profile format has
+ * all of the tables that the app relies on, and that they are consistent with
+ * each other. Throws a 'schema-mismatch' error that names the first problem.
+ * @param {object} profile An assembled profile, see assembleSplitProfile.
+ */
+export function validateHangProfile(profile: Object) {
+  if (!profile || typeof profile !== 'object') {
+    _fail('The profile should be a JSON object.');
+  }
+  const { usageHoursByDate } = profile;
+  if (!usageHoursByDate || typeof usageHoursByDate !== 'object') {
+    _fail('usageHoursByDate is missing.');
+  }
+  for (const date in usageHoursByDate) {
+    if (typeof usageHoursByDate[date] !== 'number') {
+      _fail(`usageHoursByDate[${date}] should be a number.`);
+    }
+  }
+
+  _checkArray(profile.threads, 'threads');
+  profile.threads.forEach((thread, i) => {
+    const path = thread && typeof thread.name === 'string'
+      ? `threads[${i}] (${thread.name})`
+      : `threads[${i}]`;
+    _validateThread(thread || {}, path, usageHoursByDate);
+  });
+}
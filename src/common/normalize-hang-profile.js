@@ -0,0 +1,166 @@
+// @flow
+import type { Profile } from './types/profile';
+import { objectValues, objectEntries } from './utils';
+import { UniqueStringArray } from './unique-string-array';
+
+/**
+ * The tables of a split profile that are listed in |splitFiles|, but which are
+ * not needed to view the profile.
+ */
+const IGNORED_SPLIT_TABLES = ['time', 'pruneStackCache'];
+
+function _getSplitFiles(rawProfile: Object): Array<[string, string, string]> {
+  return objectEntries(rawProfile.splitFiles)
+    .map(([threadName, tableNames]) => tableNames.map(tableName =>
+      [threadName, tableName, threadName + '_' + tableName]))
+    .reduce((a, b) => a.concat(b), [])
+    .filter(splitFile => !IGNORED_SPLIT_TABLES.includes(splitFile[1]));
+}
+
+/**
+ * Large profiles are split into one file per thread and table. The main file
+ * only lists them in |splitFiles|. Get the suffixes that identify each of the
+ * parts that need to be fetched, e.g. "Gecko_stackTable".
+ * @param {object} rawProfile The parsed main file of a split profile.
+ * @return {string[]}         The suffixes of the parts.
+ */
+export function getSplitFileSuffixes(rawProfile: Object): string[] {
+  return _getSplitFiles(rawProfile).map(splitFile => splitFile[2]);
+}
+
+/**
+ * Build the threads of a split profile out of its parts. A thread with any
+ * part missing from |splitParts| can't be used, so it is left out and its name
+ * is listed in |unavailableThreads| instead.
+ * @param {object} rawProfile The parsed main file of a split profile.
+ * @param {object} splitParts The parsed parts, keyed by their suffix.
+ * @return {object}           A copy of |rawProfile| with its threads filled in,
+ *                            which is no longer split.
+ */
+export function assembleSplitProfile(rawProfile: Object, splitParts: { [suffix: string]: Object }): Object {
+  const threadDict = {};
+  const unavailableThreads = new Set();
+  for (const [threadName, tableName, suffix] of _getSplitFiles(rawProfile)) {
+    if (!(suffix in splitParts)) {
+      unavailableThreads.add(threadName);
+      continue;
+    }
+    if (!threadDict[threadName]) {
+      threadDict[threadName] = { name: threadName };
+    }
+    threadDict[threadName][tableName] = splitParts[suffix];
+  }
+  for (const threadName of unavailableThreads) {
+    delete threadDict[threadName];
+  }
+  return Object.assign({}, rawProfile, {
+    isSplit: false,
+    threads: objectValues(threadDict),
+    unavailableThreads: Array.from(unavailableThreads),
+  });
+}
+
+function _union<T>(setA: Set<T>, setB: Set<T>): Set<T> {
+  const union = new Set(setA);
+  for (const elem of setB) {
+    union.add(elem);
+  }
+  return union;
+}
+
+function _normalizeStackTable(stackTable: Object): Object {
+  const prefix = new Int32Array(stackTable.length);
+  const func = new Int32Array(stackTable.length);
+  const depth = new Int32Array(stackTable.length);
+  for (let i = 0; i < stackTable.length; i++) {
+    if (stackTable.prefix[i] === null) {
+      prefix[i] = -1;
+      depth[i] = 0;
+    } else {
+      prefix[i] = stackTable.prefix[i];
+      depth[i] = 1 + depth[prefix[i]];
+    }
+    func[i] = stackTable.func[i];
+  }
+  return Object.assign({}, stackTable, { prefix, func, depth });
+}
+
+function _normalizeThread(rawThread: Object, allDates: string[], usageHoursByDate: Object): Object {
+  const totalUsageHours = objectValues(usageHoursByDate)
+    .reduce((sum: number, next: number) => sum + next, 0);
+  const length = rawThread.sampleTable.length;
+  const sampleTable = Object.assign({}, rawThread.sampleTable, {
+    sampleHangMs: new Float32Array(length),
+    sampleHangCount: new Float32Array(length),
+  });
+
+  const dates = allDates.map(date => {
+    const threadDate = rawThread.dates.find(d => d.date === date);
+
+    if (threadDate) {
+      const sampleHangMs = new Float32Array(length);
+      const sampleHangCount = new Float32Array(length);
+      sampleHangMs.set(threadDate.sampleHangMs);
+      sampleHangCount.set(threadDate.sampleHangCount);
+
+      for (let i = 0; i < length; i++) {
+        sampleTable.sampleHangMs[i] += sampleHangMs[i] *
+          usageHoursByDate[date] / totalUsageHours;
+        sampleTable.sampleHangCount[i] += sampleHangCount[i] *
+          usageHoursByDate[date] / totalUsageHours;
+      }
+
+      return Object.assign({}, threadDate, { date, sampleHangMs, sampleHangCount });
+    }
+
+    return {
+      length,
+      sampleHangMs: new Float32Array(length),
+      sampleHangCount: new Float32Array(length),
+      date,
+    };
+  });
+
+  dates.sort((lhs, rhs) => lhs.date.localeCompare(rhs.date));
+
+  return Object.assign({}, rawThread, {
+    stackTable: _normalizeStackTable(rawThread.stackTable),
+    sampleTable,
+    dates,
+    stringTable: new UniqueStringArray(rawThread.stringArray),
+  });
+}
+
+/**
+ * Convert a profile, as it is stored in the hang aggregate JSON, into the
+ * form that the rest of the app works with: typed-array stack tables with
+ * depths, sample values weighted by usage hours across every date, a shared
+ * set of dates for all threads, and a UniqueStringArray per thread.
+ * Threads of a split profile whose parts are missing are listed by name in
+ * |unavailableThreads|.
+ *
+ * This does not fetch anything and does not modify its arguments, so it can
+ * be run anywhere the JSON is available. Profiles from older versions of the
+ * format need to go through upgradeHangProfileToCurrentVersion first.
+ * @param {object} rawJson    The parsed main file of the profile.
+ * @param {object} splitParts For split profiles, the parsed parts keyed by
+ *                            the suffixes from getSplitFileSuffixes.
+ * @return {object}           The processed profile.
+ */
+export function normalizeHangProfile(rawJson: Object, splitParts: { [suffix: string]: Object } = {}): Profile {
+  const rawProfile = rawJson.isSplit ? assembleSplitProfile(rawJson, splitParts) : rawJson;
+
+  let allDates = new Set();
+  for (const thread of rawProfile.threads) {
+    allDates = _union(allDates, new Set(thread.dates.map(d => d.date)));
+  }
+
+  const threads = rawProfile.threads.map(thread =>
+    _normalizeThread(thread, Array.from(allDates), rawProfile.usageHoursByDate));
+
+  return Object.assign({}, rawProfile, {
+    threads,
+    unavailableThreads: rawProfile.unavailableThreads || [],
+    dates: threads.length !== 0 ? threads[0].dates.map(d => d.date) : [],
+  });
+}
@@ -6,9 +6,10 @@
 import { timeCode } from '../common/time-code';
 import { objectEntries, mapObj } from '../common/utils';
 import type { Profile, Thread } from './types/profile';
+import type { SampleCategories } from './types/workers';
 
 export type Summary = { [id: string]: number };
-type MatchingFunction = (string, string) => boolean;
+type FrameMatcher = (funcName: string, libName: string) => boolean;
 type StacksInCategory = { [id: string]: { [id: string]: number } };
 type SummarySegment = {
   percentage?: { [id: string]: number },
@@ -21,104 +22,264 @@ type CategoryDatum = {
 };
 type Categories = Array<CategoryDatum>;
 type ThreadCategories = Categories[];
+export type CategoryMatchType =
+  'exact' | 'prefix' | 'substring' | 'stem' | 'regexp' | 'lib' | 'ignore';
+export type CategoryMatch = [CategoryMatchType, string];
+export type CategoryRuleConstraints = {
+  parent?: CategoryMatch,
+  child?: CategoryMatch,
+  ancestor?: CategoryMatch,
+};
+export type CategoryRule =
+  [CategoryMatchType, string, string] |
+  [CategoryMatchType, string, string, CategoryRuleConstraints];
+type CompiledCategoryRule = {
+  matches: FrameMatcher,
+  category: string,
+  parent: FrameMatcher | null,
+  child: FrameMatcher | null,
+  ancestor: FrameMatcher | null,
+};
 
 /**
- * A list of strategies for matching sample names to patterns.
+ * A list of strategies for matching the frames of a sample to patterns. Each
+ * one takes the pattern, and returns a function that matches a frame with its
+ * function name and the name of its library.
  */
-const match: { [id: string]: MatchingFunction } = {
-  exact: (symbol, pattern) => symbol === pattern,
-  prefix: (symbol, pattern) => symbol.startsWith(pattern),
-  substring: (symbol, pattern) => symbol.includes(pattern),
-  stem: (symbol, pattern) => {
+const match: { [id: string]: (pattern: string) => FrameMatcher } = {
+  exact: pattern => symbol => symbol === pattern,
+  prefix: pattern => symbol => symbol.startsWith(pattern),
+  substring: pattern => symbol => symbol.includes(pattern),
+  stem: pattern => symbol => {
     return symbol === pattern || symbol.startsWith(pattern + '(');
   },
-  ignore: (symbol, pattern) => false,
+  regexp: pattern => {
+    const regExp = new RegExp(pattern);
+    return symbol => regExp.test(symbol);
+  },
+  lib: pattern => (symbol, libName) => libName === pattern,
+  ignore: pattern => () => false,
 };
 
+const constraintNames = ['parent', 'child', 'ancestor'];
+
 /**
- * Categories is a list that includes the necessary information to match a sample to
- * a category. This list will need to be adjusted as the engine implementation switches.
- * Each category definition is a tuple that takes the following form:
+ * The rules that match a sample to a category. This list will need to be
+ * adjusted as the engine implementation switches. The rules can be replaced by
+ * the user, so they are plain JSON, and each rule is a tuple that takes the
+ * following form:
  *
  * [
- *   matches, // A function that returns true/false for how the pattern should be matched.
- *   pattern, // The pattern that should match the sample name.
- *   category, // The category to finally label the sample.
+ *   matchType,   // The name of the strategy in |match| to match the pattern with.
+ *   pattern,     // The pattern that should match the sample name.
+ *   category,    // The category to finally label the sample.
+ *   constraints, // Optional, the frames around the matching one that have to
+ *                // match too, as { parent, child, ancestor } where each one
+ *                // is a [matchType, pattern] pair. The parent and the child
+ *                // are the direct caller and callee of the frame, and an
+ *                // ancestor is any frame closer to the root.
  * ]
  */
-
-const categories = [
-  [match.ignore, '', 'content_script'],
-  [match.stem, 'mozilla::ipc::MessageChannel::WaitForSyncNotify', 'sync_ipc'],
-  [match.stem, 'mozilla::ipc::MessageChannel::WaitForInterruptNotify', 'sync_ipc'],
-  [match.prefix, 'mozilla::places::', 'places'],
-  [match.prefix, 'mozilla::plugins::', 'plugins'],
-
-  [match.stem, 'js::RunScript', 'script'],
-  [match.stem, 'js::Nursery::collect', 'GC'],
-  [match.stem, 'js::GCRuntime::collect', 'GC'],
-  [match.stem, 'nsJSContext::GarbageCollectNow', 'GC'],
-  [match.prefix, 'mozilla::RestyleManager::', 'restyle'],
-  [match.substring, 'RestyleManager', 'restyle'],
-  [match.stem, 'mozilla::PresShell::ProcessReflowCommands', 'layout'],
-  [match.prefix, 'nsCSSFrameConstructor::', 'frameconstruction'],
-  [match.stem, 'mozilla::PresShell::DoReflow', 'layout'],
-  [match.substring, '::compileScript(', 'script'],
-
-  [match.prefix, 'nsCycleCollector', 'CC'],
-  [match.prefix, 'nsPurpleBuffer', 'CC'],
-  [match.substring, 'pthread_mutex_lock', 'wait'], // eg __GI___pthread_mutex_lock
-  [match.prefix, 'nsRefreshDriver::IsWaitingForPaint', 'paint'], // arguable, I suppose
-  [match.stem, 'mozilla::PresShell::Paint', 'paint'],
-  [match.prefix, '__poll', 'wait'],
-  [match.prefix, '__pthread_cond_wait', 'wait'],
-  [match.stem, 'mozilla::PresShell::DoUpdateApproximateFrameVisibility', 'layout'], // could just as well be paint
-  [match.substring, 'mozilla::net::', 'network'],
-  [match.stem, 'nsInputStreamReadyEvent::Run', 'network'],
-
-  // [match.stem, 'NS_ProcessNextEvent', 'eventloop'],
-  [match.stem, 'nsJSUtil::EvaluateString', 'script'],
-  [match.prefix, 'js::frontend::Parser', 'script.parse'],
-  [match.prefix, 'js::jit::IonCompile', 'script.compile.ion'],
+export const defaultCategoryRules: CategoryRule[] = [
+  ['ignore', '', 'content_script'],
+  ['stem', 'mozilla::ipc::MessageChannel::WaitForSyncNotify', 'sync_ipc'],
+  ['stem', 'mozilla::ipc::MessageChannel::WaitForInterruptNotify', 'sync_ipc'],
+  ['prefix', 'mozilla::places::', 'places'],
+  ['prefix', 'mozilla::plugins::', 'plugins'],
+
+  ['stem', 'js::RunScript', 'script'],
+  ['stem', 'js::Nursery::collect', 'GC'],
+  ['stem', 'js::GCRuntime::collect', 'GC'],
+  ['stem', 'nsJSContext::GarbageCollectNow', 'GC'],
+  ['prefix', 'mozilla::RestyleManager::', 'restyle'],
+  ['substring', 'RestyleManager', 'restyle'],
+  ['stem', 'mozilla::PresShell::ProcessReflowCommands', 'layout'],
+  ['prefix', 'nsCSSFrameConstructor::', 'frameconstruction'],
+  ['stem', 'mozilla::PresShell::DoReflow', 'layout'],
+  ['substring', '::compileScript(', 'script'],
+
+  ['prefix', 'nsCycleCollector', 'CC'],
+  ['prefix', 'nsPurpleBuffer', 'CC'],
+  ['substring', 'pthread_mutex_lock', 'wait'], // eg __GI___pthread_mutex_lock
+  ['prefix', 'nsRefreshDriver::IsWaitingForPaint', 'paint'], // arguable, I suppose
+  ['stem', 'mozilla::PresShell::Paint', 'paint'],
+  ['prefix', '__poll', 'wait'],
+  ['prefix', '__pthread_cond_wait', 'wait'],
+  ['stem', 'mozilla::PresShell::DoUpdateApproximateFrameVisibility', 'layout'], // could just as well be paint
+  ['substring', 'mozilla::net::', 'network'],
+  ['stem', 'nsInputStreamReadyEvent::Run', 'network'],
+
+  // ['stem', 'NS_ProcessNextEvent', 'eventloop'],
+  ['stem', 'nsJSUtil::EvaluateString', 'script'],
+  ['prefix', 'js::frontend::Parser', 'script.parse'],
+  ['prefix', 'js::jit::IonCompile', 'script.compile.ion'],
   [
-    match.prefix,
+    'prefix',
     'js::jit::BaselineCompiler::compile',
     'script.compile.baseline',
   ],
 
-  [match.prefix, 'CompositorBridgeParent::Composite', 'paint'],
+  ['prefix', 'CompositorBridgeParent::Composite', 'paint'],
   [
-    match.prefix,
+    'prefix',
     'mozilla::layers::PLayerTransactionParent::Read(',
     'messageread',
   ],
 
-  [match.prefix, 'mozilla::dom::', 'dom'],
-  [match.prefix, 'nsDOMCSSDeclaration::', 'restyle'],
-  [match.prefix, 'nsHTMLDNS', 'network'],
-  [match.substring, 'IC::update(', 'script.icupdate'],
-  [match.prefix, 'js::jit::CodeGenerator::link(', 'script.link'],
+  ['prefix', 'mozilla::dom::', 'dom'],
+  ['prefix', 'nsDOMCSSDeclaration::', 'restyle'],
+  ['prefix', 'nsHTMLDNS', 'network'],
+  ['substring', 'IC::update(', 'script.icupdate'],
+  ['prefix', 'js::jit::CodeGenerator::link(', 'script.link'],
 
-  [match.exact, 'base::WaitableEvent::Wait()', 'idle'],
-  // TODO - if mach_msg_trap is called by RunCurrentEventLoopInMode, then it
-  // should be considered idle time. Add a fourth entry to this tuple
-  // for child checks?
-  [match.exact, 'mach_msg_trap', 'wait'],
+  ['exact', 'base::WaitableEvent::Wait()', 'idle'],
+  // The macOS event loop waits for the next event in mach_msg_trap.
+  ['exact', 'mach_msg_trap', 'idle', { ancestor: ['stem', 'RunCurrentEventLoopInMode'] }],
+  ['exact', 'mach_msg_trap', 'wait'],
 
   // Can't do this until we come up with a way of labeling ion/baseline.
-  [match.prefix, 'Interpret(', 'script.execute.interpreter'],
+  ['prefix', 'Interpret(', 'script.execute.interpreter'],
 ];
 
-const seenCategories = {};
-export const categoryNames = ['uncategorized'].concat(categories.map(c => c[2]).filter(c => {
-  const result = !seenCategories[c];
-  seenCategories[c] = true;
+/**
+ * Check that |rules| is a valid list of category rules, e.g. after parsing it
+ * from JSON.
+ * @param {*} rules The rules to check.
+ * @returns {array} Messages that describe what is wrong, empty when nothing is.
+ */
+export function validateCategoryRules(rules: mixed): string[] {
+  if (!Array.isArray(rules)) {
+    return ['The rules need to be an array of [matchType, pattern, category] arrays.'];
+  }
+  const errors = [];
+  rules.forEach((rule, i) => {
+    if (!Array.isArray(rule) || rule.length < 3 || rule.length > 4) {
+      errors.push(`Rule ${i + 1} needs to be an array of [matchType, pattern, category, constraints?].`);
+      return;
+    }
+    const [matchType, pattern, category, constraints] = rule;
+    _validateCategoryMatch(matchType, pattern, `Rule ${i + 1}`, errors);
+    if (typeof category !== 'string' || !/^[\w-]+(\.[\w-]+)*$/.test(category)) {
+      errors.push(`Rule ${i + 1} needs a category made of words separated by dots.`);
+    }
+    if (constraints === undefined) {
+      return;
+    }
+    if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+      errors.push(`Rule ${i + 1} needs its constraints to be an object.`);
+      return;
+    }
+    Object.keys(constraints).forEach(name => {
+      const constraint = constraints[name];
+      if (!constraintNames.includes(name)) {
+        errors.push(`Rule ${i + 1} has an unknown constraint "${name}", which needs to be one of ${constraintNames.join(', ')}.`);
+      } else if (!Array.isArray(constraint) || constraint.length !== 2) {
+        errors.push(`Rule ${i + 1} needs its ${name} constraint to be an array of [matchType, pattern].`);
+      } else {
+        _validateCategoryMatch(constraint[0], constraint[1], `The ${name} constraint of rule ${i + 1}`, errors);
+      }
+    });
+  });
+  return errors;
+}
+
+function _validateCategoryMatch(matchType: mixed, pattern: mixed, description: string, errors: string[]) {
+  if (typeof matchType !== 'string' || !(matchType in match)) {
+    errors.push(`${description} has an unknown match type, which needs to be one of ${Object.keys(match).join(', ')}.`);
+  }
+  if (typeof pattern !== 'string') {
+    errors.push(`${description} needs a string pattern.`);
+  } else if (matchType === 'regexp') {
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      errors.push(`${description} has an invalid regular expression: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * List the categories of some rules, without duplicates, in the order that
+ * they first appear in.
+ * @param {array} rules The category rules.
+ * @returns {array} The category names, starting with "uncategorized".
+ */
+export function getCategoryNames(rules: CategoryRule[]): string[] {
+  const seenCategories = {};
+  return ['uncategorized'].concat(rules.map(rule => rule[2]).filter(c => {
+    const result = !seenCategories[c];
+    seenCategories[c] = true;
+    return result;
+  }));
+}
+
+export const categoryNames = getCategoryNames(defaultCategoryRules);
+
+/**
+ * Categories are hierarchical, and separated by dots, so that "script.parse"
+ * is a subcategory of "script".
+ * @param {string} category The category.
+ * @returns {string|null} The parent category, or null for a top level one.
+ */
+export function getParentCategory(category: string): string | null {
+  const index = category.lastIndexOf('.');
+  return index === -1 ? null : category.slice(0, index);
+}
+
+/**
+ * Check whether a category, or any of the categories that it is a subcategory
+ * of, is in a set.
+ * @param {string} category The category.
+ * @param {Set} categories The set of categories.
+ * @returns {boolean} Whether the category is in the set.
+ */
+export function categoryIsInSet(category: string, categories: Set<string>): boolean {
+  for (let c = category; c !== null; c = getParentCategory(c)) {
+    if (categories.has(c)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Order categories as a tree, where the subcategories directly follow their
+ * parent, and add the parents that aren't in the list themselves.
+ * @param {array} names The category names, e.g. from getCategoryNames.
+ * @returns {array} The category names in depth first order.
+ */
+export function getCategoryTreeNames(names: string[]): string[] {
+  const children: Map<string | null, string[]> = new Map();
+  function add(category: string) {
+    if (children.has(category)) {
+      return;
+    }
+    children.set(category, []);
+    const parent = getParentCategory(category);
+    if (parent !== null) {
+      add(parent);
+    }
+    const siblings = children.get(parent) || [];
+    siblings.push(category);
+    children.set(parent, siblings);
+  }
+  names.forEach(add);
+
+  const result = [];
+  function visit(category: string) {
+    result.push(category);
+    (children.get(category) || []).forEach(visit);
+  }
+  (children.get(null) || []).forEach(visit);
   return result;
-}));
+}
 
-export function summarizeProfileCategories(profile: Profile) {
+export function summarizeProfileCategories(
+  profile: Profile,
+  categoryRules: CategoryRule[] = defaultCategoryRules,
+  threadCategories: ThreadCategories = categorizeThreadData(profile, categoryRules)
+) {
   return timeCode('summarizeProfileCategories', () => {
-    const threadCategories: ThreadCategories = categorizeThreadData(profile);
     const rollingSummaries: RollingSummary[] = calculateRollingSummaries(
       profile,
       threadCategories
@@ -135,28 +296,25 @@ export function summarizeProfileCategories(profile: Profile) {
 }
 
 /**
- * Return a function that categorizes a function name. The categories
- * are cached between calls.
- * @returns {function} Function categorizer.
+ * Turn the rules into functions that match frames, so that the patterns, e.g.
+ * regular expressions, are only compiled once.
+ * @param {array} categoryRules The rules to categorize with.
+ * @returns {array} The compiled rules.
  */
-function functionNameCategorizer() {
-  const cache = new Map();
-  return function functionNameToCategory(name) {
-    const existingCategory = cache.get(name);
-    if (existingCategory !== undefined) {
-      return existingCategory;
-    }
-
-    for (const [matches, pattern, category] of categories) {
-      if (matches(name, pattern)) {
-        cache.set(name, category);
-        return category;
-      }
-    }
-
-    cache.set(name, false);
-    return false;
-  };
+function compileCategoryRules(categoryRules: CategoryRule[]): CompiledCategoryRule[] {
+  return categoryRules.map(rule => {
+    const [matchType, pattern, category] = rule;
+    // Flow can't tell the two lengths of rules apart.
+    const constraints: CategoryRuleConstraints = (rule: any)[3] || {};
+    const compileConstraint = constraint => constraint ? match[constraint[0]](constraint[1]) : null;
+    return {
+      matches: match[matchType](pattern),
+      category,
+      parent: compileConstraint(constraints.parent),
+      child: compileConstraint(constraints.child),
+      ancestor: compileConstraint(constraints.ancestor),
+    };
+  });
 }
 
 /**
@@ -169,20 +327,82 @@ type SampleCategorizer = (sampleIndex: number) =>
 /**
  * Given a profile, return a function that categorizes a sample.
  * @param {object} thread Thread from a profile.
+ * @param {array} categoryRules The rules to categorize with.
  * @return {function} Sample stack categorizer.
  */
-export function sampleCategorizer(thread: Thread): SampleCategorizer {
-  if (thread.sampleTable.category) {
-    return function(sampleIndex: number):
-      | string
-      | null {
-      const category = thread.sampleTable.category[sampleIndex];
-
-      return category === null ? null : thread.stringTable._array[category];
+export function sampleCategorizer(
+  thread: Thread,
+  categoryRules: CategoryRule[] = defaultCategoryRules
+): SampleCategorizer {
+  const { funcTable, stackTable, stringTable, libs } = thread;
+  const rules = compileCategoryRules(categoryRules);
+  const hasChildConstraints = rules.some(rule => rule.child !== null);
+
+  function funcMatches(matcher: FrameMatcher, funcIndex: number): boolean {
+    const lib = libs[funcTable.lib[funcIndex]];
+    return matcher(stringTable._array[funcTable.name[funcIndex]], lib ? lib.name : '');
+  }
+
+  function frameMatches(matcher: FrameMatcher, stackIndex: number | null): boolean {
+    if (stackIndex === -1 || stackIndex === null) {
+      return false;
+    }
+    return funcMatches(matcher, stackTable.func[stackIndex]);
+  }
+
+  // Whether a frame of a stack, or of its prefixes, matches. This is memoized
+  // per stack for every ancestor constraint.
+  const stackMatchCaches: Map<FrameMatcher, Map<number, boolean>> = new Map();
+
+  function stackMatches(matcher: FrameMatcher, stackIndex: number | null): boolean {
+    if (stackIndex === -1 || stackIndex === null) {
+      return false;
+    }
+    let cache = stackMatchCaches.get(matcher);
+    if (!cache) {
+      cache = new Map();
+      stackMatchCaches.set(matcher, cache);
+    }
+    let result = cache.get(stackIndex);
+    if (result === undefined) {
+      result = frameMatches(matcher, stackIndex) ||
+        stackMatches(matcher, stackTable.prefix[stackIndex]);
+      cache.set(stackIndex, result);
+    }
+    return result;
+  }
+
+  // The rules that match a function, before their constraints are checked.
+  // Most functions don't match any.
+  const funcRulesCache: Map<number, CompiledCategoryRule[]> = new Map();
+
+  function getFuncRules(funcIndex: number): CompiledCategoryRule[] {
+    let funcRules = funcRulesCache.get(funcIndex);
+    if (funcRules === undefined) {
+      funcRules = rules.filter(rule => funcMatches(rule.matches, funcIndex));
+      funcRulesCache.set(funcIndex, funcRules);
     }
+    return funcRules;
   }
 
-  const categorizeFuncName = functionNameCategorizer();
+  /**
+   * Find the first rule that matches the leaf frame of a stack.
+   * @param {number} stackIndex The stack of the frame.
+   * @param {number} childStackIndex The stack of the frame that the frame
+   *                                 calls into, or -1 if it's the leaf.
+   * @return {object|null} The rule.
+   */
+  function findFrameRule(stackIndex: number, childStackIndex: number): CompiledCategoryRule | null {
+    const prefix = stackTable.prefix[stackIndex];
+    for (const rule of getFuncRules(stackTable.func[stackIndex])) {
+      if ((rule.parent === null || frameMatches(rule.parent, prefix)) &&
+          (rule.ancestor === null || stackMatches(rule.ancestor, prefix)) &&
+          (rule.child === null || frameMatches(rule.child, childStackIndex))) {
+        return rule;
+      }
+    }
+    return null;
+  }
 
   function computeCategory(stackIndex: number):
     | string
@@ -190,17 +410,33 @@ export function sampleCategorizer(thread: Thread): SampleCategorizer {
     if (stackIndex === -1) {
       return null;
     }
+    return categorizeFrame(stackIndex, findFrameRule(stackIndex, -1));
+  }
+
+  function categorizePrefix(stackIndex: number): string | null {
+    const prefix = stackTable.prefix[stackIndex];
+    if (prefix === -1 || prefix === null) {
+      return null;
+    }
+    if (hasChildConstraints) {
+      const rule = findFrameRule(prefix, stackIndex);
+      if (rule !== null && rule.child !== null) {
+        // The rule only matches the prefix when it calls into this frame, so
+        // the category is part of the memoized category of this stack, rather
+        // than of the prefix.
+        return categorizeFrame(prefix, rule);
+      }
+    }
+    return categorizeSampleStack(prefix);
+  }
 
-    const funcIndex = thread.stackTable.func[stackIndex];
-    const name = thread.stringTable._array[thread.funcTable.name[funcIndex]];
-    const category = categorizeFuncName(name);
+  function categorizeFrame(stackIndex: number, rule: CompiledCategoryRule | null): string | null {
+    const category = rule ? rule.category : false;
     if (category !== false && category !== 'wait') {
       return category;
     }
 
-    const prefixCategory = categorizeSampleStack(
-      thread.stackTable.prefix[stackIndex]
-    );
+    const prefixCategory = categorizePrefix(stackIndex);
     if (category === 'wait') {
       if (prefixCategory === null || prefixCategory === 'uncategorized') {
         return 'wait';
@@ -322,18 +558,48 @@ function incrementPerThreadCount(
  * Take a profile and return a summary that categorizes each sample, then calculate
  * a summary of the percentage of time each sample was present.
  * @param {array} profile - The current profile.
+ * @param {array} categoryRules - The rules to categorize with.
  * @returns {array} Stacks mapped to categories.
  */
-export function categorizeThreadData(profile: Profile): ThreadCategories {
+export function categorizeThreadData(
+  profile: Profile,
+  categoryRules: CategoryRule[] = defaultCategoryRules
+): ThreadCategories {
   return timeCode('categorizeThreadData', () => {
-    const threadCategories = mapProfileToThreadCategories(profile);
+    const threadCategories = mapProfileToThreadCategories(profile, categoryRules);
     return threadCategories;
   });
 }
 
-function mapProfileToThreadCategories(profile: Profile): ThreadCategories {
+/**
+ * Turn the categories of the samples of a thread into the column that the
+ * content thread looks categories up in.
+ * @param {array} categories The categories from categorizeThreadData.
+ * @returns {object} The categories of the samples.
+ */
+export function getSampleCategories(categories: Categories): SampleCategories {
+  const names = [];
+  const nameIndexes: Map<string, number> = new Map();
+  const category = new Int32Array(categories.length);
+  categories.forEach(({ category: name }, sampleIndex) => {
+    if (name === null) {
+      category[sampleIndex] = -1;
+      return;
+    }
+    let index = nameIndexes.get(name);
+    if (index === undefined) {
+      index = names.length;
+      names.push(name);
+      nameIndexes.set(name, index);
+    }
+    category[sampleIndex] = index;
+  });
+  return { names, category };
+}
+
+function mapProfileToThreadCategories(profile: Profile, categoryRules: CategoryRule[]): ThreadCategories {
   return profile.threads.map(thread => {
-    const categorizer = sampleCategorizer(thread);
+    const categorizer = sampleCategorizer(thread, categoryRules);
     return thread.sampleTable.stack.map((s, i) => ({
       category: categorizer(i),
       hangMs: thread.sampleTable.sampleHangMs[i],
@@ -371,9 +637,14 @@ export function calculateRollingSummaries(
       const samples: { [string]: number } = {};
 
       for (let j = 0; j < thread.dates[i].sampleHangMs.length; j++) {
-        const category = categories[j].category || 'uncategorized';
-        samples[category] = samples[category] || 0;
-        samples[category] += thread.dates[i].sampleHangMs[j];
+        // Like the summary, the time of a subcategory counts towards its
+        // parents too.
+        for (let category = categories[j].category || 'uncategorized';
+             category !== null;
+             category = getParentCategory(category)) {
+          samples[category] = samples[category] || 0;
+          samples[category] += thread.dates[i].sampleHangMs[j];
+        }
         totalTime += thread.dates[i].sampleHangMs[j];
       }
 
@@ -0,0 +1,278 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import { timeCode } from '../common/time-code';
+import type { Profile, Thread, IndexIntoStackTable, IndexIntoFuncTable } from './types/profile';
+import type { StackRegression, ThreadRegressions } from './types/workers';
+
+/**
+ * Stacks with less than this share of the thread's hang time are too noisy to
+ * say anything about, and are skipped.
+ */
+const MIN_STACK_SHARE = 0.002;
+
+/**
+ * How many dates before a date its z-score is computed against.
+ */
+const TRAILING_WINDOW = 7;
+const MIN_TRAILING_WINDOW = 3;
+
+/**
+ * Both sides of a change-point need at least this many dates.
+ */
+const MIN_SEGMENT_LENGTH = 3;
+
+const Z_SCORE_THRESHOLD = 3;
+const CHANGE_POINT_THRESHOLD = 4;
+
+/**
+ * A shift also has to be large relative to the rate before it, so that a
+ * stack with a very steady rate doesn't get flagged for tiny changes.
+ */
+const MIN_RELATIVE_CHANGE = 0.25;
+
+/**
+ * A flagged stack whose flagged child accounts for this much of its change is
+ * left out, as the child is the more specific place to look.
+ */
+const EXPLAINED_BY_CHILD = 0.8;
+
+const MAX_REGRESSIONS_PER_THREAD = 50;
+
+function _mean(values: number[], start: number, end: number): number {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += values[i];
+  }
+  return sum / (end - start);
+}
+
+function _variance(values: number[], start: number, end: number, mean: number): number {
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += (values[i] - mean) * (values[i] - mean);
+  }
+  return end - start > 1 ? sum / (end - start - 1) : 0;
+}
+
+/**
+ * The noise of a series is never taken to be less than this share of its
+ * mean, so that a perfectly flat trailing window doesn't make every change
+ * look infinitely significant.
+ */
+function _minDeviation(mean: number): number {
+  return Math.max(Math.abs(mean) * 0.05, 1e-3);
+}
+
+function _isLargeChange(before: number, after: number): boolean {
+  return Math.abs(after - before) >= MIN_RELATIVE_CHANGE * Math.max(before, after);
+}
+
+type Shift = {
+  kind: 'change-point' | 'z-score',
+  date: number,
+  before: number,
+  after: number,
+  score: number,
+};
+
+/**
+ * Find the date that best splits |series| into two segments with different
+ * means, scored by Welch's t-statistic.
+ */
+function _findChangePoint(series: number[]): Shift | null {
+  let best = null;
+  for (let date = MIN_SEGMENT_LENGTH; date <= series.length - MIN_SEGMENT_LENGTH; date++) {
+    const before = _mean(series, 0, date);
+    const after = _mean(series, date, series.length);
+    const error = Math.sqrt(
+      _variance(series, 0, date, before) / date +
+      _variance(series, date, series.length, after) / (series.length - date));
+    const score = (after - before) / Math.max(error, _minDeviation(before));
+    if (Math.abs(score) >= CHANGE_POINT_THRESHOLD && _isLargeChange(before, after) &&
+        (!best || Math.abs(score) > Math.abs(best.score))) {
+      best = { kind: 'change-point', date, before, after, score };
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the date that is furthest off from the dates before it, in standard
+ * deviations of a trailing window.
+ */
+function _findZScoreOutlier(series: number[]): Shift | null {
+  let best = null;
+  for (let date = MIN_TRAILING_WINDOW; date < series.length; date++) {
+    const start = Math.max(0, date - TRAILING_WINDOW);
+    const before = _mean(series, start, date);
+    const deviation = Math.sqrt(_variance(series, start, date, before));
+    const after = series[date];
+    const score = (after - before) / Math.max(deviation, _minDeviation(before));
+    if (Math.abs(score) >= Z_SCORE_THRESHOLD && _isLargeChange(before, after) &&
+        (!best || Math.abs(score) > Math.abs(best.score))) {
+      best = { kind: 'z-score', date, before, after, score };
+    }
+  }
+  return best;
+}
+
+function _getFuncArray(thread: Thread, stackIndex: IndexIntoStackTable): IndexIntoFuncTable[] {
+  const funcArray = [];
+  for (let stack = stackIndex; stack !== -1; stack = thread.stackTable.prefix[stack]) {
+    funcArray.push(thread.stackTable.func[stack]);
+  }
+  return funcArray.reverse();
+}
+
+/**
+ * Compute the total hang time of every stack on every date of the thread, for
+ * the stacks in |stacks|.
+ * @return {Map} The time series, keyed by stack.
+ */
+function _getStackTimeSeries(thread: Thread, stacks: Set<IndexIntoStackTable>): Map<IndexIntoStackTable, number[]> {
+  const { stackTable, sampleTable, dates } = thread;
+  const series = new Map();
+  for (const stack of stacks) {
+    series.set(stack, new Array(dates.length).fill(0));
+  }
+
+  // The samples of a stack count towards every one of its ancestors.
+  const ancestorsMemo = new Map();
+  function ancestorsOf(stackIndex) {
+    let ancestors = ancestorsMemo.get(stackIndex);
+    if (ancestors === undefined) {
+      const prefix = stackTable.prefix[stackIndex];
+      ancestors = prefix === -1 ? [] : ancestorsOf(prefix);
+      if (stacks.has(stackIndex)) {
+        ancestors = ancestors.concat(stackIndex);
+      }
+      ancestorsMemo.set(stackIndex, ancestors);
+    }
+    return ancestors;
+  }
+
+  for (let sample = 0; sample < sampleTable.length; sample++) {
+    const stackIndex = sampleTable.stack[sample];
+    if (stackIndex === null || stackIndex === -1) {
+      continue;
+    }
+    const ancestors = ancestorsOf(stackIndex);
+    if (ancestors.length === 0) {
+      continue;
+    }
+    for (let date = 0; date < dates.length; date++) {
+      const hangMs = dates[date].sampleHangMs[sample];
+      if (hangMs !== 0) {
+        for (const ancestor of ancestors) {
+          (series.get(ancestor): any)[date] += hangMs;
+        }
+      }
+    }
+  }
+  return series;
+}
+
+/**
+ * Pick out the stacks whose total time is large enough to be worth looking at.
+ */
+function _getCandidateStacks(thread: Thread): Set<IndexIntoStackTable> {
+  const { stackTable, sampleTable } = thread;
+  const totalTime = new Float32Array(stackTable.length);
+  let rootTotalTime = 0;
+  for (let sample = 0; sample < sampleTable.length; sample++) {
+    const stackIndex = sampleTable.stack[sample];
+    if (stackIndex !== null && stackIndex !== -1) {
+      totalTime[stackIndex] += sampleTable.sampleHangMs[sample];
+    }
+  }
+  for (let stackIndex = stackTable.length - 1; stackIndex >= 0; stackIndex--) {
+    const prefix = stackTable.prefix[stackIndex];
+    if (prefix === -1) {
+      rootTotalTime += totalTime[stackIndex];
+    } else {
+      totalTime[prefix] += totalTime[stackIndex];
+    }
+  }
+
+  const candidates = new Set();
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    if (totalTime[stackIndex] > 0 && totalTime[stackIndex] >= MIN_STACK_SHARE * rootTotalTime) {
+      candidates.add(stackIndex);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Leave out the flagged stacks that are mostly explained by one of their
+ * flagged descendants.
+ */
+function _removeExplainedStacks(thread: Thread, flagged: Map<IndexIntoStackTable, Shift>) {
+  const { prefix } = thread.stackTable;
+  const explained = new Set();
+  for (const [stackIndex, shift] of flagged) {
+    const change = shift.after - shift.before;
+    for (let ancestor = prefix[stackIndex]; ancestor !== -1; ancestor = prefix[ancestor]) {
+      const ancestorShift = flagged.get(ancestor);
+      if (ancestorShift && Math.sign(ancestorShift.after - ancestorShift.before) === Math.sign(change) &&
+          Math.abs(change) >= EXPLAINED_BY_CHILD * Math.abs(ancestorShift.after - ancestorShift.before)) {
+        explained.add(ancestor);
+      }
+    }
+  }
+  for (const stackIndex of explained) {
+    flagged.delete(stackIndex);
+  }
+}
+
+/**
+ * Look for stacks of a thread whose hang rate shifted from one build date to
+ * another, either by a lasting change in their average rate (a change-point),
+ * or by a date that stands out from the dates before it (a z-score).
+ * @param {object} thread - The thread, with its per-date sample values.
+ * @returns {array} The stacks that shifted, largest shift first.
+ */
+export function findThreadRegressions(thread: Thread): StackRegression[] {
+  // Neither a change-point nor a z-score can be found with this few dates.
+  if (thread.dates.length <= MIN_TRAILING_WINDOW) {
+    return [];
+  }
+
+  const series = _getStackTimeSeries(thread, _getCandidateStacks(thread));
+  const flagged = new Map();
+  for (const [stackIndex, stackSeries] of series) {
+    const shift = _findChangePoint(stackSeries) || _findZScoreOutlier(stackSeries);
+    if (shift) {
+      flagged.set(stackIndex, shift);
+    }
+  }
+  _removeExplainedStacks(thread, flagged);
+
+  const { stackTable, funcTable, stringTable } = thread;
+  return Array.from(flagged)
+    .map(([stackIndex, shift]) => ({
+      stack: stackIndex,
+      funcArray: _getFuncArray(thread, stackIndex),
+      funcName: stringTable._array[funcTable.name[stackTable.func[stackIndex]]],
+      kind: shift.kind,
+      date: thread.dates[shift.date].date,
+      before: shift.before,
+      after: shift.after,
+      score: shift.score,
+      series: (series.get(stackIndex): any),
+    }))
+    .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before))
+    .slice(0, MAX_REGRESSIONS_PER_THREAD);
+}
+
+export function summarizeProfileRegressions(profile: Profile): ThreadRegressions[] {
+  return timeCode('summarizeProfileRegressions', () => {
+    return profile.threads.map((thread, threadIndex) => ({
+      threadIndex,
+      regressions: findThreadRegressions(thread),
+    }));
+  });
+}
@@ -18,11 +18,14 @@
  *
  * The toWorker and toContent can be arbitrarily defined keys, defined by the application,
  * but in this case the intent is to only use toWorker and toContent.
+ *
+ * An action can also have a `transfer` array of ArrayBuffers, which are transferred to
+ * the other thread rather than copied. They can no longer be used on this thread.
  */
 
 const threadDispatcher = (thread, key) => () => next => action => {
   if (action[key]) {
-    thread.postMessage(action);
+    thread.postMessage(action, action.transfer || []);
   }
   return next(action);
 };
@@ -1,5 +1,6 @@
 // @flow
 import type { Milliseconds } from './units';
+import type { Thread, SampleTable, IndexIntoFuncTable } from './profile';
 
 export type Node = {
   totalTimePercent: string,
@@ -10,3 +11,52 @@ export type Node = {
   dim: boolean,
   icon: string | null,
 };
+
+/**
+ * A thread merged with the same thread from another profile, see
+ * mergeThreadsByFuncName. The samples of the other profile are kept apart in
+ * |comparisonSampleTable|, and use the stacks of the merged |thread|.
+ */
+export type DiffThread = {
+  thread: Thread,
+  comparisonSampleTable: SampleTable,
+};
+
+/**
+ * The hang time and count of each function of a thread, see
+ * getFuncTimesTable. Times are in ms/h and counts in hangs/h.
+ */
+export type FuncTimesTable = {
+  length: number,
+  func: IndexIntoFuncTable[],
+  selfTime: number[],
+  totalTime: number[],
+  selfCount: number[],
+  totalCount: number[],
+};
+
+/**
+ * The hang time and count that went through a call from one function into
+ * another. A |func| of -1 stands for the root, for calls to a function that
+ * has no caller.
+ */
+export type CallEdge = {
+  func: IndexIntoFuncTable | -1,
+  time: number,
+  count: number,
+};
+
+/**
+ * Everything that calls into a function, and that it calls, across all of the
+ * stacks of a thread, see getCallerCalleeTimes.
+ */
+export type CallerCalleeTimes = {
+  func: IndexIntoFuncTable,
+  selfTime: number,
+  totalTime: number,
+  selfCount: number,
+  totalCount: number,
+  // Sorted by time, largest first.
+  callers: CallEdge[],
+  callees: CallEdge[],
+};
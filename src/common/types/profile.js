@@ -1,6 +1,6 @@
 // @flow
 
-import type { UniqueStringArray } from '../../content/unique-string-array';
+import type { UniqueStringArray } from '../unique-string-array';
 export type IndexIntoStackTable = number;
 export type IndexIntoSsampleTable = number;
 export type IndexIntoStringTable = number;
@@ -25,7 +25,10 @@ export type StackTable = {
 
 export type SampleTable = {
   stack: (number | null)[],
-  category: Int32Array,
+  // The category of each sample, as an index into categoryNames, or -1.
+  // Added by the summary worker, see addSampleCategories.
+  category?: Int32Array,
+  categoryNames?: string[],
   runnable: Int32Array,
   sampleHangMs: Float32Array,
   sampleHangCount: Float32Array,
@@ -103,6 +106,8 @@ export type UsageHoursByDate = {
  */
 export type Profile = {
   threads: Thread[],
+  // The names of the threads that could not be loaded.
+  unavailableThreads: string[],
   dates: string[],
   usageHoursByDate: UsageHoursByDate,
   uuid: string,
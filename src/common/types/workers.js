@@ -1,4 +1,5 @@
 // @flow
+import type { IndexIntoStackTable, IndexIntoFuncTable } from './profile';
 
 export type DateGraph = {
   totalTime: Float32Array,
@@ -14,4 +15,76 @@ export type CategorySummaryDate = {
 export type CategorySummary = {
   threadIndex: number,
   summary: CategorySummaryDate[],
-};
\ No newline at end of file
+};
+
+/**
+ * The category of every sample of a thread, as an index into |names|, or -1
+ * for a sample without a category. The summary worker sends these, as it
+ * doesn't share the string table of the thread.
+ */
+export type SampleCategories = {
+  names: string[],
+  category: Int32Array,
+};
+
+/**
+ * Where the profile loader worker is in loading a profile. A profile that is
+ * split has one part for the main file, and one for each of its split files.
+ * Once the profile is received, the summary worker takes over in the
+ * 'summarize' phase.
+ */
+export type ProfileLoadProgress = {
+  // Files are read on the content thread, and profiles from URLs downloaded.
+  phase: 'read' | 'download' | 'parse' | 'normalize' | 'summarize',
+  partsLoaded: number,
+  partsTotal: number,
+  partsFailed: number,
+  bytesLoaded: number,
+};
+
+export type SplitFileURLs = {
+  prefix: string,
+  suffix: string,
+};
+
+/**
+ * Sent along with a profile to the profile loader worker, and passed back
+ * with each message about it. A load with |cache| set stores the profile in the
+ * profile cache, and a |revalidate| load only refreshes the cache in the
+ * background, without replacing the profile that is being viewed.
+ */
+export type ProfileLoadRequest = {
+  from: string,
+  cache: {
+    key: string,
+    dataSource: string,
+    durationSpec: string,
+    historical: boolean,
+    payloadID: string | null,
+  } | null,
+  revalidate: boolean,
+};
+
+/**
+ * A stack whose hang time shifted at |date|. A 'change-point' is a lasting
+ * shift, with |before| and |after| the mean ms/h on either side of |date|. A
+ * 'z-score' is a single date that stands out from the dates just before it,
+ * with |before| the mean of those dates and |after| the value on |date|.
+ */
+export type StackRegression = {
+  stack: IndexIntoStackTable,
+  funcArray: IndexIntoFuncTable[],
+  funcName: string,
+  kind: 'change-point' | 'z-score',
+  date: string,
+  before: number,
+  after: number,
+  score: number,
+  // The total ms/h of the stack on every date of the profile.
+  series: number[],
+};
+
+export type ThreadRegressions = {
+  threadIndex: number,
+  regressions: StackRegression[],
+};
@@ -1,5 +1,5 @@
 // @flow
-import type { IndexIntoStringTable } from '../common/types/profile';
+import type { IndexIntoStringTable } from './types/profile';
 
 export class UniqueStringArray {
 
@@ -1,12 +1,87 @@
 // @flow
 import type {
-  Action
+  Action, ThunkAction
 } from './types';
-import type { CategorySummary } from '../../common/types/workers';
+import type { CategorySummary, SampleCategories } from '../../common/types/workers';
+import type { ThreadIndex } from '../../common/types/profile';
+import type { CategoryRule } from '../../common/profile-categories';
+import { defaultCategoryRules } from '../../common/profile-categories';
+import { persistCategoryRules } from '../category-rules';
+import { selectedThreadSelectors } from '../reducers/profile-view';
+import { getCategoryRulesGeneration } from '../reducers/categories-view';
 
-export function profileCategoriesProcessed(categories: CategorySummary[]): Action {
+/**
+ * The summary worker answers every SUMMARIZE_PROFILE and SUMMARIZE_CATEGORIES
+ * with the generation of the rules that it was asked to use. The rules may
+ * have changed again while it was working, so the replies for older rules are
+ * dropped.
+ */
+export function profileCategoriesProcessed(categories: CategorySummary[], rulesGeneration: number): ThunkAction {
+  return (dispatch, getState) => {
+    if (rulesGeneration !== getCategoryRulesGeneration(getState())) {
+      return;
+    }
+    dispatch({
+      type: 'PROFILE_CATEGORIES_PROCESSED',
+      categories,
+    });
+  };
+}
+
+export function profileSampleCategoriesProcessed(sampleCategories: SampleCategories[], rulesGeneration: number): ThunkAction {
+  return (dispatch, getState) => {
+    if (rulesGeneration !== getCategoryRulesGeneration(getState())) {
+      return;
+    }
+    dispatch({
+      type: 'PROFILE_SAMPLE_CATEGORIES_PROCESSED',
+      sampleCategories,
+    });
+  };
+}
+
+export function expandCategorySummary(threadIndex: ThreadIndex, category: string): Action {
+  return {
+    type: 'CATEGORY_SUMMARY_EXPAND',
+    threadIndex,
+    category,
+  };
+}
+
+export function collapseCategorySummary(threadIndex: ThreadIndex, category: string): Action {
   return {
-    type: 'PROFILE_CATEGORIES_PROCESSED',
-    categories,
+    type: 'CATEGORY_SUMMARY_COLLAPSE',
+    threadIndex,
+    category,
+  };
+}
+
+/**
+ * Replace the rules that categorize samples, and persist them for the next
+ * visit. Passing null goes back to the built-in rules.
+ */
+export function changeCategoryRules(rules: CategoryRule[] | null): ThunkAction {
+  return (dispatch, getState) => {
+    const newRules = rules || defaultCategoryRules;
+    persistCategoryRules(newRules);
+
+    dispatch({
+      type: 'CHANGE_CATEGORY_RULES',
+      rules: newRules,
+    });
+
+    dispatch({
+      toSummaryWorker: true,
+      type: 'SUMMARIZE_CATEGORIES',
+      categoryRules: newRules,
+      rulesGeneration: getCategoryRulesGeneration(getState()),
+    });
+
+    dispatch({
+      type: 'REBUILD_DATE_GRAPH',
+      toDateGraphWorker: true,
+      thread: selectedThreadSelectors.getFilteredThread(getState()),
+      selectedStack: selectedThreadSelectors.getSelectedStack(getState()),
+    });
   };
 }
@@ -4,6 +4,11 @@ import type {
 } from './types';
 import type { Thread, ThreadIndex, IndexIntoFuncTable, } from '../../common/types/profile';
 import { selectedThreadSelectors } from '../reducers/profile-view';
+import { getSelectedThreadIndex } from '../reducers/url-state';
+import { getStackAsFuncArray } from '../profile-data';
+
+// The number of the heaviest search matches that the tree is opened up to.
+const SEARCH_MATCHES_TO_EXPAND = 5;
 
 /**
  * The actions that pertain to changing the view on the profile, including searching
@@ -66,6 +71,18 @@ export function changeSelectedThread(selectedThread: ThreadIndex): ThunkAction {
   };
 }
 
+/**
+ * Compare the hang rates before and after a date in the call tree.
+ * @param {number|null} splitDate The index of the first date after the split,
+ *                                or null to stop comparing.
+ */
+export function changeSplitDate(splitDate: number | null): Action {
+  return {
+    type: 'CHANGE_SPLIT_DATE',
+    splitDate,
+  };
+}
+
 export function changeCallTreeSearchString(searchString: string): ThunkAction {
   return (dispatch, getState) => {
     dispatch({
@@ -73,6 +90,22 @@ export function changeCallTreeSearchString(searchString: string): ThunkAction {
       searchString,
     });
 
+    // Open up the tree to the heaviest matches, and select the heaviest one.
+    const threadIndex = getSelectedThreadIndex(getState());
+    const { stackTable } = selectedThreadSelectors.getFilteredThread(getState());
+    const matches = selectedThreadSelectors.getSearchMatchStacks(getState());
+    if (searchString !== '' && matches.length !== 0) {
+      const expandedStacks = selectedThreadSelectors.getViewOptions(getState()).expandedStacks.slice();
+      matches.slice(1, SEARCH_MATCHES_TO_EXPAND).forEach(stackIndex => {
+        const funcArray = getStackAsFuncArray(stackIndex, stackTable);
+        for (let i = 1; i < funcArray.length; i++) {
+          expandedStacks.push(funcArray.slice(0, i));
+        }
+      });
+      dispatch(changeExpandedStacks(threadIndex, expandedStacks));
+      dispatch(changeSelectedStack(threadIndex, getStackAsFuncArray(matches[0], stackTable)));
+    }
+
     dispatch({
       type: 'REBUILD_DATE_GRAPH',
       toDateGraphWorker: true,
@@ -82,6 +115,25 @@ export function changeCallTreeSearchString(searchString: string): ThunkAction {
   };
 }
 
+/**
+ * Select the next or the previous stack that matches the search, in order of
+ * their total time.
+ */
+export function selectSearchMatch(threadIndex: ThreadIndex, direction: 1 | -1): ThunkAction {
+  return (dispatch, getState) => {
+    const matches = selectedThreadSelectors.getSearchMatchStacks(getState());
+    if (matches.length === 0) {
+      return;
+    }
+    const selectedIndex = matches.indexOf(selectedThreadSelectors.getSelectedStack(getState()));
+    const newIndex = selectedIndex === -1
+      ? (direction === 1 ? 0 : matches.length - 1)
+      : (selectedIndex + direction + matches.length) % matches.length;
+    const { stackTable } = selectedThreadSelectors.getFilteredThread(getState());
+    dispatch(changeSelectedStack(threadIndex, getStackAsFuncArray(matches[newIndex], stackTable)));
+  };
+}
+
 export function changeExpandedStacks(
   threadIndex: ThreadIndex,
   expandedStacks: Array<IndexIntoFuncTable[]>
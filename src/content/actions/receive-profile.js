@@ -5,10 +5,21 @@ import type {
 } from './types';
 import type { Profile } from '../../common/types/profile';
 import type { TrackedData } from '../../common/types/trackedData';
-import { objectValues, objectEntries } from '../../common/utils';
-import { UniqueStringArray } from '../unique-string-array';
+import type {
+  ProfileLoadProgress, ProfileLoadRequest, SplitFileURLs,
+} from '../../common/types/workers';
+import type { LoadError } from '../../common/errors';
+import { UniqueStringArray } from '../../common/unique-string-array';
+import { serializeError, fetchOrThrow, parseJSON } from '../../common/errors';
 import { OneToManyIndex } from '../one-to-many-index';
-import { selectedThreadSelectors } from '../reducers/profile-view';
+import { selectedThreadSelectors, getProfile } from '../reducers/profile-view';
+import { getCategoryRules, getCategoryRulesGeneration } from '../reducers/categories-view';
+import {
+  getDataSource, getCompareDurationSpec, getComparePayloadID,
+} from '../reducers/url-state';
+import { getDataSourceURL, getPersistedDataSource } from '../data-source';
+import { decompress } from '../gz';
+import { getProfileCacheKey, getCachedProfile, cacheProfile } from '../profile-cache';
 
 function getCacheBuster() {
   let date = new Date();
@@ -36,12 +47,13 @@ export function receiveTrackedDataFromTelemetry(trackedData: TrackedData): Actio
   };
 }
 
-export function receiveProfileFromTelemetry(profile: Profile): ThunkAction {
+/**
+ * Once a profile has been received, regardless of where it came from, hand it
+ * off to the workers so that they can summarize it.
+ */
+function _receiveProfile(receiveAction: Action, profile: Profile): ThunkAction {
   return (dispatch, getState) => {
-    dispatch({
-      type: 'RECEIVE_PROFILE_FROM_TELEMETRY',
-      profile,
-    });
+    dispatch(receiveAction);
 
     dispatch({
       toSummaryWorker: true,
@@ -52,6 +64,8 @@ export function receiveProfileFromTelemetry(profile: Profile): ThunkAction {
     dispatch({
       toSummaryWorker: true,
       type: 'SUMMARIZE_PROFILE',
+      categoryRules: getCategoryRules(getState()),
+      rulesGeneration: getCategoryRulesGeneration(getState()),
     });
 
     dispatch({
@@ -63,167 +77,403 @@ export function receiveProfileFromTelemetry(profile: Profile): ThunkAction {
   };
 }
 
-export function errorReceivingProfileFromTelemetry(error: Error): Action {
+export function receiveProfileFromTelemetry(profile: Profile): ThunkAction {
+  return _receiveProfile({ type: 'RECEIVE_PROFILE_FROM_TELEMETRY', profile }, profile);
+}
+
+export function errorReceivingProfileFromTelemetry(error: LoadError): Action {
   return {
     type: 'ERROR_RECEIVING_PROFILE_FROM_TELEMETRY',
-    error: error.toString(),
+    error,
   };
 }
 
 export function retrieveTrackedDataFromTelemetry(): ThunkAction {
-  return async dispatch => {
+  return async (dispatch, getState) => {
     dispatch(waitingForTrackedDataFromTelemetry());
 
+    const dataSource = getDataSource(getState()) || getPersistedDataSource();
+
+    const url = getDataSourceURL(dataSource, `historical_data.json?${getCacheBuster()}`);
     try {
-      const url = `https://analysis-output.telemetry.mozilla.org/bhr/data/hang_aggregates/historical_data.json?${getCacheBuster()}`;
-      const res = await fetch(url);
-      const profile = await res.json();
+      const res = await fetchOrThrow(url);
+      const profile = parseJSON(await res.text(), url);
 
       dispatch(receiveTrackedDataFromTelemetry(profile)); 
     } catch(e) {
-      dispatch(errorReceivingProfileFromTelemetry(e)); 
+      dispatch(errorReceivingProfileFromTelemetry(serializeError(e, url))); 
     }
   };
 }
 
+/**
+ * Work out where a profile is in the telemetry data source, and how it is
+ * cached.
+ */
+function _getTelemetryProfileLocation(dataSource: string,
+                                      durationSpec: string,
+                                      payloadID: string | null,
+                                      historical: boolean) {
+  let fileRoot = `hang_profile_${durationSpec}`;
+  if (historical) {
+    fileRoot += '_historical';
+  }
+  const fileSuffix = payloadID ? `_${payloadID}.json` : '.json';
+  return {
+    url: getDataSourceURL(dataSource, fileRoot + fileSuffix),
+    // The parts of a split profile are named "<fileRoot>_<part><fileSuffix>".
+    splitFileURLs: {
+      prefix: getDataSourceURL(dataSource, `${fileRoot}_`),
+      suffix: fileSuffix,
+    },
+    cache: {
+      key: getProfileCacheKey(dataSource, durationSpec, historical, payloadID),
+      dataSource,
+      durationSpec,
+      historical,
+      payloadID,
+    },
+  };
+}
+
+async function _getCachedProfileOrNull(key: string): Promise<Profile | null> {
+  try {
+    return await getCachedProfile(key);
+  } catch (error) {
+    console.error('Unable to read the profile cache', error);
+    return null;
+  }
+}
+
+/**
+ * Profiles from telemetry are served from the profile cache when they are in
+ * it, and then downloaded again in the background to check for a newer copy.
+ */
 export function retrieveProfileFromTelemetry(durationSpec: string,
                                              payloadID: string,
                                              historical: boolean): ThunkAction {
-  return async dispatch => {
+  return async (dispatch, getState) => {
     dispatch(waitingForProfileFromTelemetry(durationSpec, historical));
 
-    function getProfileURL(thread: string | null = null) {
-      let fileRoot = `hang_profile_${durationSpec}`;
+    const dataSource = getDataSource(getState()) || getPersistedDataSource();
+    const { url, splitFileURLs, cache } =
+      _getTelemetryProfileLocation(dataSource, durationSpec, payloadID, historical);
 
-      if (historical) {
-        fileRoot += '_historical';
-      }
+    // A comparison in the URL is loaded alongside the profile.
+    const compareDurationSpec = getCompareDurationSpec(getState());
+    if (compareDurationSpec) {
+      dispatch(retrieveComparisonProfileFromTelemetry(
+        compareDurationSpec, getComparePayloadID(getState()), historical));
+    }
 
-      if (thread) {
-        fileRoot += '_' + thread;
-      }
+    const cachedProfile = await _getCachedProfileOrNull(cache.key);
+    if (cachedProfile) {
+      dispatch(receiveProfileFromTelemetry(cachedProfile));
+    }
+    dispatch(loadProfile({ from: 'telemetry', cache, revalidate: !!cachedProfile }, url, splitFileURLs));
+  };
+}
 
-      if (payloadID) {
-        fileRoot += '_' + payloadID;
-      }
+export function waitingForComparisonProfile(durationSpec: string, payloadID: string | null): Action {
+  return {
+    type: 'WAITING_FOR_COMPARISON_PROFILE',
+    durationSpec,
+    payloadID,
+  };
+}
+
+export function receiveComparisonProfile(profile: Profile): Action {
+  return {
+    type: 'RECEIVE_COMPARISON_PROFILE',
+    profile,
+  };
+}
 
-      return `https://analysis-output.telemetry.mozilla.org/bhr/data/hang_aggregates/${fileRoot}.json`;
+export function errorReceivingComparisonProfile(error: LoadError): Action {
+  return {
+    type: 'ERROR_RECEIVING_COMPARISON_PROFILE',
+    error,
+  };
+}
+
+/**
+ * The comparison can be stopped or changed while its profile loads, in which
+ * case the profile is no longer wanted once it arrives.
+ */
+function _isComparisonWanted(state, durationSpec: string, payloadID: string | null): boolean {
+  return getCompareDurationSpec(state) === durationSpec &&
+    getComparePayloadID(state) === payloadID;
+}
+
+/**
+ * Load another telemetry profile to compare the viewed profile with, e.g. an
+ * older payload or a different duration spec. The viewed profile stays on
+ * screen while it loads. A cached copy is used as is, as there is nothing on
+ * screen yet that a newer copy would have to replace.
+ */
+export function retrieveComparisonProfileFromTelemetry(durationSpec: string,
+                                                       payloadID: string | null,
+                                                       historical: boolean): ThunkAction {
+  return async (dispatch, getState) => {
+    dispatch(waitingForComparisonProfile(durationSpec, payloadID));
+
+    const dataSource = getDataSource(getState()) || getPersistedDataSource();
+    const { url, splitFileURLs, cache } =
+      _getTelemetryProfileLocation(dataSource, durationSpec, payloadID, historical);
+
+    const cachedProfile = await _getCachedProfileOrNull(cache.key);
+    if (!_isComparisonWanted(getState(), durationSpec, payloadID)) {
+      return;
     }
+    if (cachedProfile) {
+      dispatch(receiveComparisonProfile(cachedProfile));
+      return;
+    }
+    dispatch(loadProfile({ from: 'comparison', cache, revalidate: false }, url, splitFileURLs));
+  };
+}
+
+export function stopComparing(): Action {
+  return {
+    type: 'STOP_COMPARING',
+  };
+}
+
+export function waitingForProfileFromFile(): Action {
+  return {
+    type: 'WAITING_FOR_PROFILE_FROM_FILE',
+  };
+}
+
+export function receiveProfileFromFile(profile: Profile): ThunkAction {
+  return _receiveProfile({ type: 'RECEIVE_PROFILE_FROM_FILE', profile }, profile);
+}
 
-    const profileURL = getProfileURL();
+export function errorReceivingProfileFromFile(error: LoadError): Action {
+  return {
+    type: 'ERROR_RECEIVING_PROFILE_FROM_FILE',
+    error,
+  };
+}
 
+function _readFileAsArrayBuffer(file: File): Promise<ArrayBuffer> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Read a hang profile that was saved to disk. The file can either be the plain
+ * JSON that the aggregation job produces, or a gzipped copy of it.
+ * @param {File} file The file that was picked or dropped.
+ * @return {Promise<Uint8Array>} The uncompressed contents of the file.
+ */
+async function _readProfileFile(file: File): Promise<Uint8Array> {
+  const bytes = new Uint8Array(await _readFileAsArrayBuffer(file));
+  const isGzipped = bytes[0] === 0x1f && bytes[1] === 0x8b;
+  return isGzipped ? decompress(bytes) : bytes;
+}
+
+export function retrieveProfileFromFile(file: File): ThunkAction {
+  return async dispatch => {
+    dispatch(waitingForProfileFromFile());
+
+    const request = { from: 'file', cache: null, revalidate: false };
+    dispatch(profileLoadProgress(request, {
+      phase: 'read',
+      partsLoaded: 0,
+      partsTotal: 1,
+      partsFailed: 0,
+      bytesLoaded: 0,
+    }));
+
+    let data;
     try {
-      const res = await fetch(profileURL);
-      let profile = await res.json();
-      if (profile.isSplit) {
-        let splitFiles = objectEntries(profile.splitFiles)
-          .map(([k, v]) => v.map(subPath => [k, subPath, k + '_' + subPath])).reduce((a, b) => a.concat(b), [])
-          .filter(([k1, k2, suffix]) => k2 !== 'time' && k2 !== 'pruneStackCache');
-        let promises = splitFiles.map(([k1, k2, suffix]) => fetch(getProfileURL(suffix)).then(r => r.json()));
-        let results = await Promise.all(promises);
-        let threadDict = {};
-        for (let i = 0; i < results.length; i++) {
-          let [k1, k2] = splitFiles[i];
-          let threadData = results[i];
-          if (!threadDict[k1]) {
-            threadDict[k1] = {name: k1};
-          }
-          threadDict[k1][k2] = threadData;
-        }
-        profile.threads = objectEntries(threadDict).map(([k, v]) => v);
-      }
+      data = await _readProfileFile(file);
+    } catch (error) {
+      dispatch(errorReceivingProfileFromFile(serializeError(error)));
+      return;
+    }
 
-      function union(setA, setB) {
-          let union = new Set();
-          for (let elem of setA) {
-            union.add(elem);
-          }
-          for (let elem of setB) {
-            union.add(elem);
-          }
-          return union;
-      }
+    // The bytes are parsed by the profile loader worker, and transferred to it.
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    dispatch({
+      toProfileLoaderWorker: true,
+      type: 'PARSE_PROFILE',
+      request,
+      fileName: file.name,
+      buffer,
+      transfer: [buffer],
+    });
+  };
+}
 
-      let allDates;
-      if (profile.threads.length !== 0) {
-        let dateSets = profile.threads.map(t => new Set(t.dates.map(d => d.date)));
-        allDates = dateSets[0];
-        dateSets.slice(1).forEach(ds => {
-          allDates = union(allDates, ds);
-        });
-      } else {
-        allDates = new Set();
-      }
+export function waitingForProfileFromWeb(url: string): Action {
+  return {
+    type: 'WAITING_FOR_PROFILE_FROM_WEB',
+    url,
+  };
+}
 
-      for (let thread of profile.threads) {
-        {
-          let prefix = new Int32Array(thread.stackTable.length);
-          let func = new Int32Array(thread.stackTable.length);
-          let depth = new Int32Array(thread.stackTable.length);
-          for (let i = 0; i < thread.stackTable.length; i++) {
-            if (thread.stackTable.prefix[i] === null) {
-              prefix[i] = -1;
-              depth[i] = 0;
-            } else {
-              prefix[i] = thread.stackTable.prefix[i];
-              depth[i] = 1 + depth[prefix[i]];
-            }
-            func[i] = thread.stackTable.func[i];
-          }
-
-          Object.assign(thread.stackTable, {
-            prefix,
-            func,
-            depth,
-          });
-        }
+export function receiveProfileFromWeb(profile: Profile): ThunkAction {
+  return _receiveProfile({ type: 'RECEIVE_PROFILE_FROM_WEB', profile }, profile);
+}
 
-        const totalUsageHours = objectValues(profile.usageHoursByDate)
-          .reduce((sum: number, next: number) => sum + next, 0);
-
-        thread.sampleTable.sampleHangMs = new Float32Array(thread.sampleTable.length);
-        thread.sampleTable.sampleHangCount = new Float32Array(thread.sampleTable.length);
-
-        thread.dates = Array.from(allDates).map(date => {
-          let threadDate = thread.dates.find(d => d.date === date);
-
-          if (threadDate) {
-            let sampleHangMs = new Float32Array(thread.sampleTable.length);
-            let sampleHangCount = new Float32Array(thread.sampleTable.length);
-            sampleHangMs.set(threadDate.sampleHangMs);
-            sampleHangCount.set(threadDate.sampleHangCount);
-
-            for (let i = 0; i < thread.sampleTable.length; i++) {
-              thread.sampleTable.sampleHangMs[i] += sampleHangMs[i] *
-                profile.usageHoursByDate[date] / totalUsageHours;
-              thread.sampleTable.sampleHangCount[i] += sampleHangCount[i] *
-                profile.usageHoursByDate[date] / totalUsageHours;
-            }
-
-            return Object.assign({}, threadDate, {date, sampleHangMs, sampleHangCount});
-          } else {
-            return  {
-              length: thread.sampleTable.length,
-              sampleHangMs: new Float32Array(thread.sampleTable.length),
-              sampleHangCount: new Float32Array(thread.sampleTable.length),
-              date,
-            };
-          }
-        });
-
-        thread.dates.sort((lhs, rhs) => lhs.date - rhs.date);
-        thread.stringTable = new UniqueStringArray(thread.stringArray);
-      }
+export function errorReceivingProfileFromWeb(error: LoadError): Action {
+  return {
+    type: 'ERROR_RECEIVING_PROFILE_FROM_WEB',
+    error,
+  };
+}
 
-      if (profile.threads.length !== 0) {
-        profile.dates = profile.threads[0].dates.map(d => d.date);
-      } else {
-        profile.dates = [];
-      }
+export function retrieveProfileFromWeb(profileURL: string): ThunkAction {
+  return dispatch => {
+    dispatch(waitingForProfileFromWeb(profileURL));
 
-      dispatch(receiveProfileFromTelemetry(profile));
+    let url;
+    try {
+      url = new URL(profileURL, window.location.href).href;
     } catch (error) {
-      dispatch(errorReceivingProfileFromTelemetry(error));
+      dispatch(errorReceivingProfileFromWeb(serializeError(error, profileURL)));
+      return;
+    }
+
+    // The URLs of split parts depend on the uuid of the profile, so the
+    // worker works them out once it has the main file.
+    dispatch(loadProfile({ from: 'url', cache: null, revalidate: false }, url, null));
+  };
+}
+
+/**
+ * Ask the profile loader worker to download, parse and normalize a profile.
+ * The worker reports back with PROFILE_LOAD_PROGRESS messages, and finally
+ * with either PROFILE_LOADED or PROFILE_LOAD_FAILED.
+ * @param {object} request        Where the profile comes from and how it is
+ *                                cached, see ProfileLoadRequest.
+ * @param {string} url            The absolute URL of the main file.
+ * @param {object} splitFileURLs  The |prefix| and |suffix| that go around the
+ *                                name of a split part to make its URL, or null
+ *                                to derive them from |url|.
+ */
+function loadProfile(request: ProfileLoadRequest, url: string, splitFileURLs: SplitFileURLs | null): Action {
+  return {
+    toProfileLoaderWorker: true,
+    type: 'LOAD_PROFILE',
+    request,
+    url,
+    splitFileURLs,
+  };
+}
+
+export function profileLoadProgress(request: ProfileLoadRequest, progress: ProfileLoadProgress): ThunkAction {
+  return dispatch => {
+    // Neither a background revalidation nor a comparison have a loading screen.
+    if (!request.revalidate && request.from !== 'comparison') {
+      dispatch({
+        type: 'PROFILE_LOAD_PROGRESS',
+        progress,
+      });
+    }
+  };
+}
+
+export function cachedProfileRevalidated(isStale: boolean): Action {
+  return {
+    type: 'CACHED_PROFILE_REVALIDATED',
+    isStale,
+  };
+}
+
+/**
+ * The profile loader worker sends the profile without its string tables, as
+ * they can't be cloned, so rebuild them before receiving the profile.
+ */
+export function profileLoaded(request: ProfileLoadRequest, profile: Object): ThunkAction {
+  return (dispatch, getState) => {
+    for (const thread of profile.threads) {
+      thread.stringTable = new UniqueStringArray(thread.stringArray);
+    }
+
+    // A profile with unavailable threads is incomplete, so it isn't cached to
+    // be served as the full profile later.
+    const { cache } = request;
+    if (cache && profile.unavailableThreads.length === 0) {
+      cacheProfile(cache.key, cache.dataSource, cache.durationSpec, cache.historical, cache.payloadID, profile)
+        .catch(error => console.error('Unable to cache the profile', error));
+    }
+
+    if (request.revalidate) {
+      dispatch(cachedProfileRevalidated(profile.uuid !== getProfile(getState()).uuid));
+      return;
+    }
+
+    switch (request.from) {
+      case 'telemetry':
+        dispatch(receiveProfileFromTelemetry(profile));
+        break;
+      case 'file':
+        dispatch(receiveProfileFromFile(profile));
+        break;
+      case 'url':
+        dispatch(receiveProfileFromWeb(profile));
+        break;
+      case 'comparison':
+        if (cache && _isComparisonWanted(getState(), cache.durationSpec, cache.payloadID)) {
+          dispatch(receiveComparisonProfile(profile));
+        }
+        break;
+      default:
+        throw new Error(`Unknown profile source ${request.from}`);
+    }
+  };
+}
+
+export function profileLoadFailed(request: ProfileLoadRequest, error: LoadError): ThunkAction {
+  return (dispatch, getState) => {
+    if (request.revalidate) {
+      // The cached copy is already being shown, so there's nothing to fail.
+      console.error('Unable to revalidate the cached profile', error.message);
+      return;
+    }
+
+    switch (request.from) {
+      case 'telemetry':
+        dispatch(errorReceivingProfileFromTelemetry(error));
+        break;
+      case 'file':
+        dispatch(errorReceivingProfileFromFile(error));
+        break;
+      case 'url':
+        dispatch(errorReceivingProfileFromWeb(error));
+        break;
+      case 'comparison': {
+        const { cache } = request;
+        if (cache && _isComparisonWanted(getState(), cache.durationSpec, cache.payloadID)) {
+          dispatch(errorReceivingComparisonProfile(error));
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown profile source ${request.from}`);
     }
   };
 }
+
+export function profileSummarized(): Action {
+  return {
+    type: 'PROFILE_SUMMARIZED',
+  };
+}
+
+/**
+ * Go back to the INITIALIZING view after an error, which retrieves the data
+ * for the current URL again.
+ */
+export function retryAfterError(): Action {
+  return {
+    type: 'RETRY_AFTER_ERROR',
+  };
+}
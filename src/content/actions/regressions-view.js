@@ -0,0 +1,14 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type { Action } from './types';
+import type { ThreadRegressions } from '../../common/types/workers';
+
+export function profileRegressionsProcessed(regressions: ThreadRegressions[]): Action {
+  return {
+    type: 'PROFILE_REGRESSIONS_PROCESSED',
+    regressions,
+  };
+}
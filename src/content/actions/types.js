@@ -1,7 +1,12 @@
 // @flow
-import type { Profile, Thread, ThreadIndex, IndexIntoFuncTable } from '../../common/types/profile';
+import type { Profile, Thread, ThreadIndex, IndexIntoFuncTable, IndexIntoLibs } from '../../common/types/profile';
 import type { TrackedData } from '../../common/types/trackedData';
-import type { DateGraph, CategorySummary } from '../../common/types/workers';
+import type { LoadError } from '../../common/errors';
+import type { CategoryRule } from '../../common/profile-categories';
+import type {
+  DateGraph, CategorySummary, ProfileLoadProgress, ProfileLoadRequest, SplitFileURLs,
+  ThreadRegressions, SampleCategories,
+} from '../../common/types/workers';
 import type { State } from '../reducers/types';
 
 export type ExpandedSet = Set<ThreadIndex>;
@@ -13,7 +18,38 @@ export type PostfixCallTreeFilter = {
   type: 'postfix',
   postfixFuncs: IndexIntoFuncTable[],
 };
-export type CallTreeFilter = PrefixCallTreeFilter | PostfixCallTreeFilter;
+export type MergeFunctionCallTreeFilter = {
+  type: 'mergeFunction',
+  funcIndex: IndexIntoFuncTable,
+};
+export type FocusFunctionCallTreeFilter = {
+  type: 'focusFunction',
+  funcIndex: IndexIntoFuncTable,
+};
+export type CollapseRecursionCallTreeFilter = {
+  type: 'collapseRecursion',
+  funcIndex: IndexIntoFuncTable,
+};
+export type CollapseLibCallTreeFilter = {
+  type: 'collapseLib',
+  libIndex: IndexIntoLibs,
+};
+export type CallTreeFilter =
+  PrefixCallTreeFilter |
+  PostfixCallTreeFilter |
+  MergeFunctionCallTreeFilter |
+  FocusFunctionCallTreeFilter |
+  CollapseRecursionCallTreeFilter |
+  CollapseLibCallTreeFilter;
+export type SearchTerm = {
+  text: string,
+  lowercaseText: string,
+  regExp: RegExp | null,
+};
+export type SearchQuery = {
+  include: SearchTerm[],
+  exclude: SearchTerm[],
+};
 export type CallTreeFiltersPerThread = { [id: ThreadIndex]: CallTreeFilter[] };
 export type ProfileSelection =
   { hasSelection: false, isModifying: false } |
@@ -48,10 +84,31 @@ type ReceiveProfileAction =
     functionsUpdatePerThread: FunctionsUpdatePerThread,
   } |
   { type: 'DONE_SYMBOLICATING' } |
-  { type: 'ERROR_RECEIVING_PROFILE_FROM_TELEMETRY', error: any } |
-  { type: 'ERROR_RECEIVING_PROFILE_FROM_FILE', error: any } |
-  { type: 'ERROR_RECEIVING_PROFILE_FROM_WEB', error: any } |
+  { type: 'ERROR_RECEIVING_PROFILE_FROM_TELEMETRY', error: LoadError } |
+  { type: 'ERROR_RECEIVING_PROFILE_FROM_FILE', error: LoadError } |
+  { type: 'ERROR_RECEIVING_PROFILE_FROM_WEB', error: LoadError } |
+  { type: 'RETRY_AFTER_ERROR' } |
+  { type: 'RECEIVE_COMPARISON_PROFILE', profile: Profile } |
+  { type: 'ERROR_RECEIVING_COMPARISON_PROFILE', error: LoadError } |
   { type: 'PROFILE_PROCESSED', profile: Profile, toWorker: true } |
+  {
+    type: 'LOAD_PROFILE',
+    toProfileLoaderWorker: true,
+    request: ProfileLoadRequest,
+    url: string,
+    splitFileURLs: SplitFileURLs | null,
+  } |
+  {
+    type: 'PARSE_PROFILE',
+    toProfileLoaderWorker: true,
+    request: ProfileLoadRequest,
+    fileName: string,
+    buffer: ArrayBuffer,
+    transfer: ArrayBuffer[],
+  } |
+  { type: 'PROFILE_LOAD_PROGRESS', progress: ProfileLoadProgress } |
+  { type: 'CACHED_PROFILE_REVALIDATED', isStale: boolean } |
+  { type: 'PROFILE_SUMMARIZED' } |
   { type: "RECEIVE_PROFILE_FROM_ADDON", profile: Profile } |
   { type: "RECEIVE_PROFILE_FROM_FILE", profile: Profile } |
   { type: "RECEIVE_PROFILE_FROM_WEB", profile: Profile } |
@@ -61,7 +118,7 @@ type ReceiveProfileAction =
   { type: 'RECEIVED_SYMBOL_TABLE_REPLY', requestedLib: RequestedLib } |
   { type: 'START_SYMBOLICATING' } |
   { type: 'WAITING_FOR_PROFILE_FROM_ADDON' } |
-  { type: 'WAITING_FOR_PROFILE_FROM_WEB' };
+  { type: 'WAITING_FOR_PROFILE_FROM_WEB', url: string };
 
 type TimelineAction =
    { type: 'CHANGE_TIMELINE_EXPANDED_THREAD', threadIndex: ThreadIndex, isExpanded: boolean };
@@ -74,6 +131,8 @@ type URLStateAction =
   { type: 'WAITING_FOR_PROFILE_FROM_FILE' } |
   { type: 'WAITING_FOR_PROFILE_FROM_TELEMETRY', durationSpec: string, historical: boolean } |
   { type: 'WAITING_FOR_TRACKED_DATA_FROM_TELEMETRY' } |
+  { type: 'WAITING_FOR_COMPARISON_PROFILE', durationSpec: string, payloadID: string | null } |
+  { type: 'STOP_COMPARING' } |
   { type: 'PROFILE_PUBLISHED', hash: string } |
   { type: 'CHANGE_SELECTED_TAB', selectedTab: string } |
   { type: 'ADD_RANGE_FILTER', start: number, end: number } |
@@ -83,6 +142,7 @@ type URLStateAction =
   { type: 'CHANGE_CATEGORY', category: string } |
   { type: 'CHANGE_RUNNABLE', runnable: string } |
   { type: 'CHANGE_PLATFORM', platform: string } |
+  { type: 'CHANGE_SPLIT_DATE', splitDate: number | null } |
   { type: 'ADD_CALL_TREE_FILTER', threadIndex: ThreadIndex, filter: CallTreeFilter } |
   { type: 'POP_CALL_TREE_FILTERS', threadIndex: ThreadIndex, firstRemovedFilterIndex: number } |
   { type: 'CHANGE_INVERT_CALLSTACK', invertCallstack: boolean } |
@@ -95,11 +155,17 @@ type IconsAction =
 
 type WorkerAction =
   { type: 'PROFILE_PROCESSED', toSummaryWorker: boolean, profile: Profile } |
-  { type: 'SUMMARIZE_PROFILE', toSummaryWorker: boolean } |
+  { type: 'SUMMARIZE_PROFILE', toSummaryWorker: boolean, categoryRules: CategoryRule[], rulesGeneration: number } |
+  { type: 'SUMMARIZE_CATEGORIES', toSummaryWorker: boolean, categoryRules: CategoryRule[], rulesGeneration: number } |
   { type: 'REBUILD_DATE_GRAPH', toDateGraphWorker: boolean, thread?: Thread, selectedStack: number } |
   { type: 'PROFILE_SUMMARY_EXPAND', threadIndex: number } |
   { type: 'DATE_GRAPH_REBUILT', dateGraph: DateGraph } |
   { type: 'PROFILE_CATEGORIES_PROCESSED', categories: CategorySummary[] } |
+  { type: 'PROFILE_SAMPLE_CATEGORIES_PROCESSED', sampleCategories: SampleCategories[] } |
+  { type: 'CHANGE_CATEGORY_RULES', rules: CategoryRule[] } |
+  { type: 'CATEGORY_SUMMARY_EXPAND', threadIndex: ThreadIndex, category: string } |
+  { type: 'CATEGORY_SUMMARY_COLLAPSE', threadIndex: ThreadIndex, category: string } |
+  { type: 'PROFILE_REGRESSIONS_PROCESSED', regressions: ThreadRegressions[] } |
   { type: 'PROFILE_SUMMARY_COLLAPSE', threadIndex: number };
 
 type RunnablesAction = 
@@ -17,6 +17,18 @@ export function parseCallTreeFilters(stringValue = '') {
           type: 'postfix',
           postfixFuncs: stringToUintArray(val),
         };
+      case 'mergeFunction':
+      case 'focusFunction':
+      case 'collapseRecursion':
+        return {
+          type,
+          funcIndex: stringToUintArray(val)[0],
+        };
+      case 'collapseLib':
+        return {
+          type: 'collapseLib',
+          libIndex: stringToUintArray(val)[0],
+        };
       default:
         return undefined;
     }
@@ -30,6 +42,12 @@ export function stringifyCallTreeFilters(arrayValue = []) {
         return 'prefix-' + uintArrayToString(filter.prefixFuncs);
       case 'postfix':
         return 'postfix-' + uintArrayToString(filter.postfixFuncs);
+      case 'mergeFunction':
+      case 'focusFunction':
+      case 'collapseRecursion':
+        return filter.type + '-' + uintArrayToString([filter.funcIndex]);
+      case 'collapseLib':
+        return 'collapseLib-' + uintArrayToString([filter.libIndex]);
       default:
         throw new Error('unknown filter type');
     }
@@ -38,18 +56,30 @@ export function stringifyCallTreeFilters(arrayValue = []) {
 
 export function getCallTreeFilterLabels(thread, callTreeFilters) {
   let threadName = thread.name;
-  const { funcTable, stringTable } = thread;
+  const { funcTable, stringTable, libs } = thread;
   const labels = callTreeFilters.map(filter => {
+    function funcString(func) {
+      const nameIndex = funcTable.name[func];
+      return nameIndex === undefined ? 'unknown function' : stringTable.getString(nameIndex);
+    }
     function lastFuncString(funcArray) {
-      const lastFunc = funcArray[funcArray.length - 1];
-      const nameIndex = funcTable.name[lastFunc];
-      return stringTable.getString(nameIndex);
+      return funcString(funcArray[funcArray.length - 1]);
     }
     switch (filter.type) {
       case 'prefix':
         return lastFuncString(filter.prefixFuncs);
       case 'postfix':
         return lastFuncString(filter.postfixFuncs);
+      case 'mergeFunction':
+        return `Merge ${funcString(filter.funcIndex)}`;
+      case 'focusFunction':
+        return `Focus ${funcString(filter.funcIndex)}`;
+      case 'collapseRecursion':
+        return `Collapse recursion of ${funcString(filter.funcIndex)}`;
+      case 'collapseLib': {
+        const lib = libs[filter.libIndex];
+        return `Collapse ${lib ? lib.debugName || lib.name : 'unknown library'}`;
+      }
       default:
         throw new Error('Unexpected filter type');
     }
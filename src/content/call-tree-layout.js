@@ -0,0 +1,60 @@
+// @flow
+import type { IndexIntoStackTable } from '../common/types/profile';
+import type { ProfileTreeClass } from './profile-tree';
+
+export type CallTreeBox = {
+  stackIndex: IndexIntoStackTable,
+  // The share of the root's hang time that comes before the stack, and that
+  // ends with it, both between 0 and 1.
+  start: number,
+  end: number,
+};
+
+/**
+ * Lay out a call tree in rows, where each stack takes up as much of its row
+ * as its share of the root's hang time, right above its parent. This is the
+ * shape of a flame graph, an icicle or a sunburst, depending on how the rows
+ * are drawn.
+ * @param  {object} tree        The ProfileTree.
+ * @param  {number} minFraction Stacks with a smaller share are left out, along
+ *                              with their descendants.
+ * @param  {number} maxDepth    The number of rows to lay out at most.
+ * @return {array}              The boxes of each depth, from left to right.
+ */
+export function layoutCallTree(
+  tree: ProfileTreeClass,
+  minFraction: number,
+  maxDepth: number = Infinity
+): CallTreeBox[][] {
+  const rows = [];
+  const rootTotalTime = tree.getRootTotalTime();
+  if (rootTotalTime === 0) {
+    return rows;
+  }
+
+  const queue = [{ parent: -1, depth: 0, start: 0 }];
+  while (queue.length !== 0) {
+    const { parent, depth, start } = queue.pop();
+    if (depth >= maxDepth) {
+      continue;
+    }
+    let childStart = start;
+    for (const stackIndex of tree.getChildren(parent)) {
+      const width = tree.getTotalTime(stackIndex) / rootTotalTime;
+      if (width < minFraction) {
+        // The children are sorted by time, so the rest are even smaller.
+        break;
+      }
+      if (!rows[depth]) {
+        rows[depth] = [];
+      }
+      rows[depth].push({ stackIndex, start: childStart, end: childStart + width });
+      queue.push({ parent: stackIndex, depth: depth + 1, start: childStart });
+      childStart += width;
+    }
+  }
+  for (const row of rows) {
+    row.sort((a, b) => a.start - b.start);
+  }
+  return rows;
+}
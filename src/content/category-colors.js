@@ -0,0 +1,55 @@
+// @flow
+import * as colors from 'photon-colors';
+import { categoryNames } from '../common/profile-categories';
+
+const PALETTE = [
+  colors.BLUE_50,
+  colors.GREEN_60,
+  colors.ORANGE_50,
+  colors.PURPLE_50,
+  colors.TEAL_60,
+  colors.MAGENTA_50,
+  colors.YELLOW_60,
+  colors.RED_50,
+  colors.BLUE_70,
+  colors.GREEN_80,
+  colors.ORANGE_70,
+  colors.PURPLE_70,
+  colors.TEAL_80,
+  colors.MAGENTA_70,
+  colors.YELLOW_80,
+  colors.RED_70,
+];
+
+const UNCATEGORIZED_COLOR = colors.GREY_40;
+const WAIT_COLOR = colors.GREY_30;
+
+/**
+ * Get the color that a category is drawn with. A category that ends in
+ * ".wait" is drawn in the color of the category it waits in, but lighter, see
+ * getCategoryColorAlpha.
+ * @param  {string} category The category, as returned by sampleCategorizer.
+ * @return {string}          A CSS color.
+ */
+export function getCategoryColor(category: string | null): string {
+  if (category === null || category === 'uncategorized') {
+    return UNCATEGORIZED_COLOR;
+  }
+  if (category === 'wait') {
+    return WAIT_COLOR;
+  }
+  const baseCategory = category.replace(/\.wait$/, '');
+  let index = categoryNames.indexOf(baseCategory);
+  if (index === -1) {
+    // Categories that aren't built in still get a stable color.
+    index = 0;
+    for (let i = 0; i < baseCategory.length; i++) {
+      index = (index * 31 + baseCategory.charCodeAt(i)) % PALETTE.length;
+    }
+  }
+  return PALETTE[index % PALETTE.length];
+}
+
+export function getCategoryColorAlpha(category: string | null): number {
+  return category !== null && category.endsWith('.wait') ? 0.5 : 1;
+}
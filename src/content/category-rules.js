@@ -0,0 +1,85 @@
+// @flow
+import { defaultCategoryRules, validateCategoryRules } from '../common/profile-categories';
+import { createError, fetchOrThrow, parseJSON } from '../common/errors';
+import type { CategoryRule } from '../common/profile-categories';
+
+/**
+ * The rules that categorize samples are built in, but they can be replaced by
+ * the user, e.g. to categorize a new subsystem without a redeploy. Custom rules
+ * are loaded from JSON, either pasted in, from a file or from a URL, and
+ * persisted for this browser.
+ */
+const CATEGORY_RULES_STORAGE_KEY = 'bhr.categoryRules';
+
+/**
+ * Parse category rules from JSON.
+ * @param {string} json The JSON, an array of [matchType, pattern, category].
+ * @return {object}     The rules if they are valid, otherwise the messages
+ *                      that describe what is wrong with them.
+ */
+export function parseCategoryRules(json: string): { rules: CategoryRule[] | null, errors: string[] } {
+  let rules;
+  try {
+    rules = JSON.parse(json);
+  } catch (e) {
+    return { rules: null, errors: [`The rules are not valid JSON: ${e.message}`] };
+  }
+  const errors = validateCategoryRules(rules);
+  return errors.length === 0 ? { rules, errors } : { rules: null, errors };
+}
+
+export function stringifyCategoryRules(rules: CategoryRule[]): string {
+  return '[\n' + rules.map(rule => '  ' + JSON.stringify(rule)).join(',\n') + '\n]\n';
+}
+
+export function getPersistedCategoryRules(): CategoryRule[] {
+  let json;
+  try {
+    json = window.localStorage.getItem(CATEGORY_RULES_STORAGE_KEY);
+  } catch (e) {
+    // localStorage can throw when storage is disabled.
+    return defaultCategoryRules;
+  }
+  if (!json) {
+    return defaultCategoryRules;
+  }
+  const { rules, errors } = parseCategoryRules(json);
+  if (!rules) {
+    console.error('Ignoring the persisted category rules', errors);
+    return defaultCategoryRules;
+  }
+  return rules;
+}
+
+/**
+ * Persist the category rules. Passing null or the default rules clears the
+ * stored value.
+ * @param {array|null} rules The new rules.
+ */
+export function persistCategoryRules(rules: CategoryRule[] | null) {
+  try {
+    if (!rules || rules === defaultCategoryRules) {
+      window.localStorage.removeItem(CATEGORY_RULES_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(CATEGORY_RULES_STORAGE_KEY, JSON.stringify(rules));
+    }
+  } catch (e) {
+    console.error('Unable to persist the category rules', e);
+  }
+}
+
+/**
+ * Fetch category rules from a URL.
+ * @param {string} url The URL of a JSON file with the rules.
+ * @return {Promise}   The rules, or a rejection with an Error that
+ *                     serializeError can describe.
+ */
+export async function fetchCategoryRules(url: string): Promise<CategoryRule[]> {
+  const response = await fetchOrThrow(url);
+  const rules = parseJSON(await response.text(), url);
+  const errors = validateCategoryRules(rules);
+  if (errors.length !== 0) {
+    throw createError('schema-mismatch', errors.join('\n'), url);
+  }
+  return rules;
+}
@@ -0,0 +1,99 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import React, { PureComponent } from 'react';
+import prettyBytes from 'pretty-bytes';
+import { getCachedProfileEntries, evictCachedProfile } from '../profile-cache';
+import type { CachedProfileEntry } from '../profile-cache';
+
+require('./CachedProfilesManager.css');
+
+/**
+ * Lists the profiles in the profile cache, and allows evicting them.
+ */
+class CachedProfilesManager extends PureComponent {
+  state: {
+    entries: CachedProfileEntry[],
+  };
+
+  constructor(props: {}) {
+    super(props);
+    (this: any)._onEvictAllClick = this._onEvictAllClick.bind(this);
+    this.state = { entries: [] };
+  }
+
+  componentDidMount() {
+    this._updateEntries();
+  }
+
+  _updateEntries() {
+    getCachedProfileEntries().then(
+      entries => this.setState({ entries }),
+      error => console.error('Unable to read the profile cache', error)
+    );
+  }
+
+  _evict(keys: string[]) {
+    // Evict one at a time, as each eviction rewrites the list of entries.
+    keys.reduce((promise, key) => promise.then(() => evictCachedProfile(key)), Promise.resolve())
+      .catch(error => console.error('Unable to evict from the profile cache', error))
+      .then(() => this._updateEntries());
+  }
+
+  _onEvictAllClick() {
+    this._evict(this.state.entries.map(entry => entry.key));
+  }
+
+  _entryURL(entry: CachedProfileEntry): string {
+    let url = `/?mode=explore&durationSpec=${entry.durationSpec}&historical=${String(entry.historical)}`;
+    if (entry.payloadID) {
+      url += `&payloadID=${entry.payloadID}`;
+    }
+    // Entries cached before the data source was recorded don't have one.
+    if (entry.dataSource) {
+      url += `&dataSource=${encodeURIComponent(entry.dataSource)}`;
+    }
+    return url;
+  }
+
+  render() {
+    const { entries } = this.state;
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    return (
+      <div className='cachedProfiles'>
+        <div className='cachedProfilesHeader'>
+          Cached profiles ({prettyBytes(totalSize)})
+          <input type='button'
+                 className='cachedProfilesButton'
+                 value='Evict all'
+                 onClick={this._onEvictAllClick}/>
+        </div>
+        <table className='cachedProfilesTable'>
+          <tbody>
+            {entries.map(entry =>
+              <tr key={entry.key}>
+                <td><a href={this._entryURL(entry)}>{entry.key}</a></td>
+                <td>{new Date(entry.storedAt).toLocaleString()}</td>
+                <td className='cachedProfilesSize'>{prettyBytes(entry.size)}</td>
+                <td>
+                  <input type='button'
+                         className='cachedProfilesButton'
+                         value='Evict'
+                         onClick={() => this._evict([entry.key])}/>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+}
+
+export default CachedProfilesManager;
@@ -0,0 +1,161 @@
+import React, { PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import ReactModal from 'react-modal';
+import actions from '../actions';
+import { getCategoryRules } from '../reducers/categories-view';
+import { parseCategoryRules, stringifyCategoryRules, fetchCategoryRules } from '../category-rules';
+import { serializeError } from '../../common/errors';
+
+import './CategoryRulesEditor.css';
+
+/**
+ * A modal to edit the rules that categorize samples as JSON. Rules that are
+ * loaded from a file or a URL only replace the text, so that they can be
+ * reviewed before they are applied.
+ */
+class CategoryRulesEditor extends PureComponent {
+  constructor(props) {
+    super(props);
+    this._onTextChange = this._onTextChange.bind(this);
+    this._onFileInputChange = this._onFileInputChange.bind(this);
+    this._onURLInputChange = this._onURLInputChange.bind(this);
+    this._onURLSubmit = this._onURLSubmit.bind(this);
+    this._onResetClick = this._onResetClick.bind(this);
+    this._onApplyClick = this._onApplyClick.bind(this);
+    this.state = Object.assign(this._getTextState(stringifyCategoryRules(props.rules)), {
+      url: '',
+      loadError: null,
+      isLoading: false,
+    });
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.isOpen && !this.props.isOpen) {
+      this.setState(Object.assign(this._getTextState(stringifyCategoryRules(nextProps.rules)), {
+        loadError: null,
+      }));
+    }
+  }
+
+  _getTextState(text) {
+    const { rules, errors } = parseCategoryRules(text);
+    return { text, parsedRules: rules, errors };
+  }
+
+  _onTextChange(e) {
+    this.setState(this._getTextState(e.target.value));
+  }
+
+  _onFileInputChange(e) {
+    const { files } = e.currentTarget;
+    if (!files || files.length === 0) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => this.setState(Object.assign(this._getTextState(reader.result), {
+      loadError: null,
+    }));
+    reader.onerror = () => this.setState({ loadError: serializeError(reader.error).message });
+    reader.readAsText(files[0]);
+  }
+
+  _onURLInputChange(e) {
+    this.setState({ url: e.target.value });
+  }
+
+  _onURLSubmit(e) {
+    e.preventDefault();
+    const { url } = this.state;
+    this.setState({ isLoading: true, loadError: null });
+    fetchCategoryRules(url).then(
+      rules => this.setState(Object.assign(this._getTextState(stringifyCategoryRules(rules)), {
+        isLoading: false,
+      })),
+      error => this.setState({ isLoading: false, loadError: serializeError(error, url).message })
+    );
+  }
+
+  _onResetClick() {
+    this.props.changeCategoryRules(null);
+    this.props.onRequestClose();
+  }
+
+  _onApplyClick() {
+    const { parsedRules } = this.state;
+    if (parsedRules) {
+      this.props.changeCategoryRules(parsedRules);
+      this.props.onRequestClose();
+    }
+  }
+
+  render() {
+    const { isOpen, onRequestClose } = this.props;
+    const { text, parsedRules, errors, url, loadError, isLoading } = this.state;
+    return (
+      <ReactModal
+         className='categoryRulesEditor'
+         isOpen={isOpen}
+         onRequestClose={onRequestClose}
+         contentLabel='Edit Category Rules'>
+        <div className='categoryRulesEditorHeader'>
+          <h2>Edit Category Rules</h2>
+          <div className='categoryRulesEditorDescription'>
+            Each rule is a [matchType, pattern, category] array, where the match type is one
+            of exact, prefix, substring, stem or regexp to match the function name, lib to match
+            the name of its library, or ignore. A fourth {'{ parent, child, ancestor }'} object
+            can require the caller, the callee or any frame closer to the root to match a
+            [matchType, pattern] too. The functions of a stack are checked from the leaf to the
+            root, and the first rule that matches one gives the sample its category.
+          </div>
+        </div>
+        <div className='categoryRulesEditorLoad'>
+          <label className='categoryRulesEditorFileButton'>
+            Load from a file
+            <input type='file'
+                   className='categoryRulesEditorFileInput'
+                   accept='.json,application/json'
+                   onChange={this._onFileInputChange}/>
+          </label>
+          <form className='categoryRulesEditorURL' onSubmit={this._onURLSubmit}>
+            <input type='url'
+                   className='categoryRulesEditorURLInput'
+                   placeholder='https://example.com/category-rules.json'
+                   value={url}
+                   onChange={this._onURLInputChange}/>
+            <input type='submit' value='Load' disabled={!url || isLoading}/>
+          </form>
+        </div>
+        {loadError
+          ? <div className='categoryRulesEditorLoadError'>{`Unable to load the rules: ${loadError}`}</div>
+          : null}
+        <textarea className='categoryRulesEditorText'
+                  spellCheck='false'
+                  value={text}
+                  onChange={this._onTextChange}/>
+        {errors.length > 0
+          ? <ul className='categoryRulesEditorErrors'>
+              {errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          : null}
+        <div className='categoryRulesEditorFooter'>
+          <button onClick={this._onResetClick}>Reset to Defaults</button>
+          <button onClick={onRequestClose}>Cancel</button>
+          <button className='categoryRulesEditorApplyButton'
+                  disabled={!parsedRules}
+                  onClick={this._onApplyClick}>Apply</button>
+        </div>
+      </ReactModal>
+    );
+  }
+}
+
+CategoryRulesEditor.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onRequestClose: PropTypes.func.isRequired,
+  rules: PropTypes.array.isRequired,
+  changeCategoryRules: PropTypes.func.isRequired,
+};
+
+export default connect(state => ({
+  rules: getCategoryRules(state),
+}), actions)(CategoryRulesEditor);
@@ -0,0 +1,174 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import React, { PureComponent, PropTypes } from 'react';
+import { Line } from 'react-chartjs-2';
+import { getCategoryColor } from '../category-colors';
+import { formatDecimal } from '../format-numbers';
+
+require('./CategoryTrendChart.css');
+
+/**
+ * Get the hang time of every top level category for each build date, both in
+ * ms per usage hour and as a share of the hang time of the date.
+ * @param {array} summary The summary of the thread, see summarizeProfileCategories.
+ * @param {array} rollingSummary The hang ms per usage hour of the categories for
+ *                               each date, see calculateRollingSummaries.
+ * @return {array} The datasets, from the category with the most hang time.
+ */
+function _getCategoryDatasets(summary, rollingSummary) {
+  // Subcategories are part of the time of their parent, so only the top level
+  // categories add up to the total.
+  const categories = summary.map(({ category }) => category).filter(category => !category.includes('.'));
+  const totalTimes = rollingSummary.map(({ samples }) =>
+    categories.reduce((sum, category) => sum + (samples[category] || 0), 0));
+  return categories.map(category => {
+    const times = rollingSummary.map(({ samples }) => samples[category] || 0);
+    return {
+      category,
+      msPerHour: times,
+      share: times.map((time, i) => totalTimes[i] > 0 ? time / totalTimes[i] : 0),
+    };
+  });
+}
+
+/**
+ * A stacked chart of the hang time of the categories of a thread over the
+ * build dates. Clicking a category shows it in the call tree.
+ */
+class CategoryTrendChart extends PureComponent {
+  constructor(props) {
+    super(props);
+    this._onToggleClick = this._onToggleClick.bind(this);
+    this._onModeChange = this._onModeChange.bind(this);
+    this._onChartClick = this._onChartClick.bind(this);
+    this.state = { isOpen: false, mode: 'msPerHour' };
+  }
+
+  _onToggleClick() {
+    this.setState({ isOpen: !this.state.isOpen });
+  }
+
+  _onModeChange(e) {
+    this.setState({ mode: e.target.value });
+  }
+
+  _onChartClick(event, elements) {
+    // The elements are the points of every category at the date that was
+    // clicked, so the category is the one whose band holds the clicked value.
+    if (elements.length === 0) {
+      return;
+    }
+    const chart = elements[0]._chart;
+    const dateIndex = elements[0]._index;
+    const yScale = chart.scales[chart.options.scales.yAxes[0].id];
+    const value = yScale.getValueForPixel(event.offsetY);
+    let top = 0;
+    for (let datasetIndex = 0; datasetIndex < chart.data.datasets.length; datasetIndex++) {
+      if (!chart.isDatasetVisible(datasetIndex)) {
+        continue;
+      }
+      const dataset = chart.data.datasets[datasetIndex];
+      top += dataset.data[dateIndex];
+      if (value <= top) {
+        this.props.onCategorySelected(dataset.category);
+        return;
+      }
+    }
+  }
+
+  _renderChart() {
+    const { summary, rollingSummary, threadDates } = this.props;
+    const { mode } = this.state;
+    const isShare = mode === 'share';
+    const dates = threadDates.map(({ date }) => date);
+    const datasets = _getCategoryDatasets(summary, rollingSummary)
+      .map(({ category, msPerHour, share }, datasetIndex) => ({
+        label: category,
+        category,
+        msPerHour,
+        share,
+        data: isShare ? share.map(s => s * 100) : msPerHour,
+        backgroundColor: getCategoryColor(category),
+        borderColor: getCategoryColor(category),
+        borderWidth: 1,
+        // Stack the areas on top of each other.
+        fill: datasetIndex === 0 ? 'origin' : '-1',
+        pointRadius: 0,
+        pointHitRadius: 4,
+        lineTension: 0,
+      }));
+    return (
+      <div className='categoryTrendChartCanvas'>
+        <Line data={{ labels: dates, datasets }}
+              options={{
+                maintainAspectRatio: false,
+                responsive: true,
+                animation: false,
+                legend: { position: 'right' },
+                hover: { mode: 'index', intersect: false },
+                tooltips: {
+                  mode: 'index',
+                  intersect: false,
+                  callbacks: {
+                    label: (tooltipItem, data) => {
+                      const dataset = data.datasets[tooltipItem.datasetIndex];
+                      const { index } = tooltipItem;
+                      return `${dataset.category}: ${formatDecimal(dataset.msPerHour[index])} ms/h, ` +
+                             `${formatDecimal(dataset.share[index] * 100)}%`;
+                    },
+                  },
+                },
+                onClick: this._onChartClick,
+                scales: {
+                  yAxes: [{
+                    id: 'hangTime',
+                    stacked: true,
+                    ticks: isShare ? { beginAtZero: true, max: 100 } : { beginAtZero: true },
+                    scaleLabel: {
+                      display: true,
+                      labelString: isShare ? '% of hang time' : 'Hang ms per usage hour',
+                    },
+                  }],
+                  xAxes: [{
+                    scaleLabel: {
+                      display: true,
+                      labelString: 'Build date',
+                    },
+                  }],
+                },
+              }}/>
+      </div>
+    );
+  }
+
+  render() {
+    const { isOpen, mode } = this.state;
+    return (
+      <div className='categoryTrendChart'>
+        <div className='categoryTrendChartHeader'>
+          <a className={`summarize-profile-collapse ${isOpen ? 'expanded' : ''}`} onClick={this._onToggleClick}>
+            {isOpen ? 'Hide the trend over build dates' : 'Show the trend over build dates'}
+          </a>
+          {isOpen
+            ? <select className='categoryTrendChartMode' value={mode} onChange={this._onModeChange}>
+                <option value='msPerHour'>Hang ms per usage hour</option>
+                <option value='share'>% of hang time</option>
+              </select>
+            : null}
+        </div>
+        {isOpen ? this._renderChart() : null}
+      </div>
+    );
+  }
+}
+
+CategoryTrendChart.propTypes = {
+  summary: PropTypes.array.isRequired,
+  rollingSummary: PropTypes.array.isRequired,
+  threadDates: PropTypes.array.isRequired,
+  onCategorySelected: PropTypes.func.isRequired,
+};
+
+export default CategoryTrendChart;
@@ -0,0 +1,229 @@
+import React, { Component, PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import shallowCompare from 'react-addons-shallow-compare';
+import { timeCode } from '../../common/time-code';
+import { getStackAsFuncArray } from '../profile-data';
+import { getCategoryColor, getCategoryColorAlpha } from '../category-colors';
+import { layoutCallTree } from '../call-tree-layout';
+import { getSelectedThreadIndex } from '../reducers/url-state';
+import { selectedThreadSelectors } from '../reducers/profile-view';
+import Tooltip from './Tooltip';
+import actions from '../actions';
+
+require('./FlameGraph.css');
+
+const ROW_HEIGHT = 16;
+const TEXT_PADDING = 3;
+const FONT = '11px sans-serif';
+// Stacks narrower than this share of the root aren't laid out, as they
+// wouldn't even be a pixel wide.
+const MIN_WIDTH_FRACTION = 0.0002;
+const MIN_TEXT_WIDTH = 20;
+
+class FlameGraph extends Component {
+  constructor(props) {
+    super(props);
+    this._resizeListener = () => this.forceUpdate();
+    this._requestedAnimationFrame = false;
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseOut = this._onMouseOut.bind(this);
+    this._onClick = this._onClick.bind(this);
+    this._rows = layoutCallTree(props.tree, MIN_WIDTH_FRACTION);
+    this.state = { hoveredItem: null };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.tree !== this.props.tree) {
+      this._rows = layoutCallTree(nextProps.tree, MIN_WIDTH_FRACTION);
+      this.setState({ hoveredItem: null });
+    }
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
+    return shallowCompare(this, nextProps, nextState);
+  }
+
+  componentDidMount() {
+    const win = this.refs.canvas.ownerDocument.defaultView;
+    win.addEventListener('resize', this._resizeListener);
+    this.forceUpdate(); // for initial size
+    this.refs.container.scrollTop = this.refs.container.scrollHeight;
+  }
+
+  componentDidUpdate(prevProps) {
+    // The roots are at the bottom, so start out scrolled down to them.
+    if (prevProps.tree !== this.props.tree || prevProps.threadIndex !== this.props.threadIndex) {
+      this.refs.container.scrollTop = this.refs.container.scrollHeight;
+    }
+  }
+
+  componentWillUnmount() {
+    const win = this.refs.canvas.ownerDocument.defaultView;
+    win.removeEventListener('resize', this._resizeListener);
+  }
+
+  _scheduleDraw() {
+    if (!this._requestedAnimationFrame) {
+      this._requestedAnimationFrame = true;
+      window.requestAnimationFrame(() => {
+        this._requestedAnimationFrame = false;
+        if (this.refs.canvas) {
+          timeCode('FlameGraph render', () => {
+            this.drawCanvas(this.refs.canvas);
+          });
+        }
+      });
+    }
+  }
+
+  drawCanvas(c) {
+    const { tree, stackCategories, selectedStack } = this.props;
+    const { hoveredItem } = this.state;
+    const rows = this._rows;
+
+    const devicePixelRatio = c.ownerDocument ? c.ownerDocument.defaultView.devicePixelRatio : 1;
+    const r = c.getBoundingClientRect();
+    c.width = Math.round(r.width * devicePixelRatio);
+    c.height = Math.round(r.height * devicePixelRatio);
+    const ctx = c.getContext('2d');
+    ctx.scale(devicePixelRatio, devicePixelRatio);
+    ctx.font = FONT;
+    ctx.textBaseline = 'middle';
+    const charWidth = ctx.measureText('m').width;
+
+    for (let depth = 0; depth < rows.length; depth++) {
+      const y = r.height - (depth + 1) * ROW_HEIGHT;
+      for (const { stackIndex, start, end } of rows[depth]) {
+        const x = start * r.width;
+        const width = (end - start) * r.width;
+        if (width < 1) {
+          continue;
+        }
+        const category = stackCategories[stackIndex];
+        ctx.globalAlpha = getCategoryColorAlpha(category);
+        ctx.fillStyle = getCategoryColor(category);
+        ctx.fillRect(x, y, width - 1, ROW_HEIGHT - 1);
+        ctx.globalAlpha = 1;
+
+        if (stackIndex === selectedStack || (hoveredItem && stackIndex === hoveredItem.stackIndex)) {
+          ctx.lineWidth = 2;
+          ctx.strokeStyle = stackIndex === selectedStack ? '#000' : '#fff';
+          ctx.strokeRect(x + 1, y + 1, width - 3, ROW_HEIGHT - 3);
+        }
+
+        if (width > MIN_TEXT_WIDTH) {
+          const name = tree.getNode(stackIndex).name;
+          const maxChars = Math.floor((width - 2 * TEXT_PADDING) / charWidth);
+          const text = name.length > maxChars ? name.substr(0, Math.max(0, maxChars - 1)) + '…' : name;
+          ctx.fillStyle = '#fff';
+          ctx.fillText(text, x + TEXT_PADDING, y + ROW_HEIGHT / 2);
+        }
+      }
+    }
+  }
+
+  _pickItem(clientX, clientY) {
+    const r = this.refs.canvas.getBoundingClientRect();
+    const depth = Math.floor((r.bottom - clientY) / ROW_HEIGHT);
+    const row = this._rows[depth];
+    if (!row) {
+      return null;
+    }
+    const fraction = (clientX - r.left) / r.width;
+    return row.find(({ start, end }) => start <= fraction && fraction < end) || null;
+  }
+
+  _onMouseMove(e) {
+    this.setState({
+      mouseX: e.pageX,
+      mouseY: e.pageY,
+      hoveredItem: this._pickItem(e.clientX, e.clientY),
+    });
+  }
+
+  _onMouseOut() {
+    this.setState({ hoveredItem: null });
+  }
+
+  _onClick(e) {
+    const { threadIndex, thread, changeSelectedStack } = this.props;
+    const item = this._pickItem(e.clientX, e.clientY);
+    changeSelectedStack(threadIndex,
+      item ? getStackAsFuncArray(item.stackIndex, thread.stackTable) : []);
+  }
+
+  render() {
+    this._scheduleDraw();
+    const { tree, stackCategories } = this.props;
+    const { mouseX, mouseY, hoveredItem } = this.state;
+    return (
+      <div className='flameGraph' ref='container'>
+        {hoveredItem &&
+          <Tooltip mouseX={mouseX} mouseY={mouseY}>
+            <FlameGraphTooltipContents
+              node={tree.getNode(hoveredItem.stackIndex)}
+              category={stackCategories[hoveredItem.stackIndex]}
+            />
+          </Tooltip>}
+        <canvas className='flameGraphCanvas'
+                ref='canvas'
+                style={{ height: Math.max(1, this._rows.length) * ROW_HEIGHT + 'px' }}
+                onMouseMove={this._onMouseMove}
+                onMouseOut={this._onMouseOut}
+                onClick={this._onClick}/>
+      </div>
+    );
+  }
+}
+
+FlameGraph.propTypes = {
+  thread: PropTypes.object.isRequired,
+  threadIndex: PropTypes.number.isRequired,
+  tree: PropTypes.object.isRequired,
+  stackCategories: PropTypes.array.isRequired,
+  selectedStack: PropTypes.number,
+  changeSelectedStack: PropTypes.func.isRequired,
+};
+
+class FlameGraphTooltipContents extends PureComponent {
+  render() {
+    const { node, category } = this.props;
+    return (
+      <div className='flameGraphTooltip'>
+        <div className='tooltipHeader'>
+          <div className='tooltipTitle'>{node.name}</div>
+          {node.lib ? <div className='tooltipLabel'>{node.lib}</div> : null}
+        </div>
+        <div className='tooltipDetails'>
+          <div className='tooltipLabel'>Time:</div>
+          <div>{node.totalTimeAbsolute} ({node.totalTimePercent})</div>
+          <div className='tooltipLabel'>Self time:</div>
+          <div>{node.selfTimeAbsolute} ({node.selfTime})</div>
+          <div className='tooltipLabel'>Count:</div>
+          <div>{node.totalCountAbsolute} ({node.totalCountPercent})</div>
+          <div className='tooltipLabel'>Category:</div>
+          <div>
+            <span className='tooltipSwatch'
+                  style={{ backgroundColor: getCategoryColor(category), opacity: getCategoryColorAlpha(category) }}/>
+            {category || 'uncategorized'}
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+FlameGraphTooltipContents.propTypes = {
+  node: PropTypes.object.isRequired,
+  category: PropTypes.string,
+};
+
+export default connect(state => {
+  return {
+    thread: selectedThreadSelectors.getFilteredThread(state),
+    threadIndex: getSelectedThreadIndex(state),
+    tree: selectedThreadSelectors.getCallTree(state),
+    stackCategories: selectedThreadSelectors.getStackCategories(state),
+    selectedStack: selectedThreadSelectors.getSelectedStack(state),
+  };
+}, actions)(FlameGraph);
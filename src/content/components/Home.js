@@ -8,21 +8,109 @@ import { connect } from 'react-redux';
 import actions from '../actions';
 
 import type { ThunkAction } from '../actions/types';
-import { getDurationSpec, getPayloadID } from '../reducers/url-state';
+import { getDurationSpec, getPayloadID, getDataSource } from '../reducers/url-state';
+import { DEFAULT_DATA_SOURCE, getPersistedDataSource, persistDataSource } from '../data-source';
+import CachedProfilesManager from './CachedProfilesManager';
 
 require('./Home.css');
 
 type Props = {
   retrieveProfileFromTelemetry: (string, string | null) => ThunkAction,
+  retrieveProfileFromFile: File => ThunkAction,
+  retrieveProfileFromWeb: string => ThunkAction,
   payloadID: string | null,
+  dataSource: string | null,
 };
 
 class Home extends PureComponent {
   props: Props;
+  state: {
+    defaultDataSource: string,
+    defaultDataSourceInput: string,
+    isDraggingFile: boolean,
+    profileURLInput: string,
+  };
 
   constructor(props: Props) {
     super(props);
     (this: any)._profileRetriever = this._profileRetriever.bind(this);
+    (this: any)._onDataSourceInputChange = this._onDataSourceInputChange.bind(this);
+    (this: any)._onDataSourceSave = this._onDataSourceSave.bind(this);
+    (this: any)._onDataSourceReset = this._onDataSourceReset.bind(this);
+    (this: any)._onDragOver = this._onDragOver.bind(this);
+    (this: any)._onDragLeave = this._onDragLeave.bind(this);
+    (this: any)._onDrop = this._onDrop.bind(this);
+    (this: any)._onFileInputChange = this._onFileInputChange.bind(this);
+    (this: any)._onProfileURLInputChange = this._onProfileURLInputChange.bind(this);
+    (this: any)._onProfileURLSubmit = this._onProfileURLSubmit.bind(this);
+    const defaultDataSource = getPersistedDataSource();
+    this.state = {
+      defaultDataSource,
+      defaultDataSourceInput: defaultDataSource,
+      isDraggingFile: false,
+      profileURLInput: '',
+    };
+  }
+
+  _onDragOver(e: DragEvent) {
+    e.preventDefault();
+    if (!this.state.isDraggingFile) {
+      this.setState({ isDraggingFile: true });
+    }
+  }
+
+  _onDragLeave() {
+    this.setState({ isDraggingFile: false });
+  }
+
+  _onDrop(e: DragEvent) {
+    e.preventDefault();
+    this.setState({ isDraggingFile: false });
+    const files = e.dataTransfer ? e.dataTransfer.files : null;
+    if (files && files.length > 0) {
+      this.props.retrieveProfileFromFile(files[0]);
+    }
+  }
+
+  _onFileInputChange(e: { currentTarget: HTMLInputElement }) {
+    const { files } = e.currentTarget;
+    if (files && files.length > 0) {
+      this.props.retrieveProfileFromFile(files[0]);
+    }
+  }
+
+  _onProfileURLInputChange(e: Event & { currentTarget: HTMLInputElement }) {
+    this.setState({ profileURLInput: e.currentTarget.value });
+  }
+
+  _onProfileURLSubmit(e: Event) {
+    e.preventDefault();
+    const profileURL = this.state.profileURLInput.trim();
+    if (profileURL) {
+      this.props.retrieveProfileFromWeb(profileURL);
+    }
+  }
+
+  _onDataSourceInputChange(e: Event & { currentTarget: HTMLInputElement }) {
+    this.setState({ defaultDataSourceInput: e.currentTarget.value });
+  }
+
+  _onDataSourceSave(e: Event) {
+    e.preventDefault();
+    const dataSource = this.state.defaultDataSourceInput.trim() || DEFAULT_DATA_SOURCE;
+    persistDataSource(dataSource);
+    this.setState({
+      defaultDataSource: dataSource,
+      defaultDataSourceInput: dataSource,
+    });
+  }
+
+  _onDataSourceReset() {
+    persistDataSource(null);
+    this.setState({
+      defaultDataSource: DEFAULT_DATA_SOURCE,
+      defaultDataSourceInput: DEFAULT_DATA_SOURCE,
+    });
   }
 
   _profileRetriever(durationSpec: string, historical: boolean): () => void {
@@ -36,16 +124,23 @@ class Home extends PureComponent {
   }
 
   _homeButton(url, text) {
+    const { dataSource } = this.props;
+    const href = dataSource ? `${url}&dataSource=${encodeURIComponent(dataSource)}` : url;
     return (
-      <a href={url} className="homeButton">
+      <a href={href} className="homeButton">
         {text}
       </a>
     );
   }
 
   render() {
+    const { dataSource } = this.props;
+    const { defaultDataSource, defaultDataSourceInput, isDraggingFile, profileURLInput } = this.state;
     return (
-      <div className="home">
+      <div className={isDraggingFile ? 'home homeDraggingFile' : 'home'}
+           onDragOver={this._onDragOver}
+           onDragLeave={this._onDragLeave}
+           onDrop={this._onDrop}>
         <section className="homeSection">
           <h1 className="homeTitle">
             <span className="homeTitleText">AreWeSmoothYet</span>
@@ -109,8 +204,57 @@ class Home extends PureComponent {
                   </a>
                 </div>
               </div>
+              <div className='homeOptionsSubdivision'>
+                <div className='homeOptionsButtonRowHeader'>Local file</div>
+                <div className='homeOptionsButtonRow'>
+                  <label className='homeButton homeFileButton'>
+                    Load a hang profile
+                    <input type='file'
+                           className='homeFileInput'
+                           accept='.json,.gz,application/json,application/gzip'
+                           onChange={this._onFileInputChange}/>
+                  </label>
+                </div>
+                <div className='homeOptionsButtonRow'>
+                  Or drop a hang_profile_*.json file anywhere on this page.
+                </div>
+                <form className='homeOptionsButtonRow homeProfileURL' onSubmit={this._onProfileURLSubmit}>
+                  <input type='url'
+                         className='homeProfileURLInput'
+                         placeholder='Or paste the URL of a hang profile'
+                         value={profileURLInput}
+                         onChange={this._onProfileURLInputChange}/>
+                  <input type='submit'
+                         className='homeProfileURLButton'
+                         value='Open'
+                         disabled={!profileURLInput.trim()}/>
+                </form>
+              </div>
             </div>
           </div>
+          <form className='homeDataSource' onSubmit={this._onDataSourceSave}>
+            <label className='homeDataSourceLabel'>
+              Default data source:
+              <input type='text'
+                     className='homeDataSourceInput'
+                     value={defaultDataSourceInput}
+                     onChange={this._onDataSourceInputChange}/>
+            </label>
+            <input type='submit'
+                   className='homeDataSourceButton'
+                   value='Save'
+                   disabled={defaultDataSourceInput === defaultDataSource}/>
+            <input type='button'
+                   className='homeDataSourceButton'
+                   value='Reset'
+                   disabled={defaultDataSource === DEFAULT_DATA_SOURCE}
+                   onClick={this._onDataSourceReset}/>
+            {dataSource &&
+              <div className='homeDataSourceOverride'>
+                This page is using {dataSource} from the URL.
+              </div>}
+          </form>
+          <CachedProfilesManager/>
         </section>
       </div>
     );
@@ -119,9 +263,12 @@ class Home extends PureComponent {
 
 Home.propTypes = {
   retrieveProfileFromTelemetry: PropTypes.func.isRequired,
+  retrieveProfileFromFile: PropTypes.func.isRequired,
   payloadID: PropTypes.string,
+  dataSource: PropTypes.string,
 };
 
 export default connect(state => ({
   payloadID: getPayloadID(state),
+  dataSource: getDataSource(state),
 }), actions)(Home);
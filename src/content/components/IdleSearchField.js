@@ -10,12 +10,14 @@ type Props = {
   defaultValue: ?string,
   className: ?string,
   title: ?string,
+  onKeyDown: ?(KeyboardEvent) => void,
 };
 
 class IdleSearchField extends Component {
   _onSearchFieldChange: Event => void;
   _onSearchFieldFocus: Event => void;
   _onClearButtonClick: Event => void;
+  _onSearchFieldKeyDown: KeyboardEvent => void;
   _onTimeout: void => void;
   _timeout: number;
   _previouslyNotifiedValue: string;
@@ -31,6 +33,7 @@ class IdleSearchField extends Component {
     this._onSearchFieldChange = this._onSearchFieldChange.bind(this);
     this._onSearchFieldFocus = this._onSearchFieldFocus.bind(this);
     this._onClearButtonClick = this._onClearButtonClick.bind(this);
+    this._onSearchFieldKeyDown = this._onSearchFieldKeyDown.bind(this);
     this._onTimeout = this._onTimeout.bind(this);
     this._timeout = 0;
     this.state = {
@@ -54,6 +57,21 @@ class IdleSearchField extends Component {
     this._timeout = setTimeout(this._onTimeout, this.props.idlePeriod);
   }
 
+  _onSearchFieldKeyDown(e: KeyboardEvent) {
+    if (e.key === 'Enter' && this.state.value !== this._previouslyNotifiedValue) {
+      // Enter applies a changed value right away, without waiting until idle.
+      if (this._timeout) {
+        clearTimeout(this._timeout);
+        this._timeout = 0;
+      }
+      this._notifyIfChanged(this.state.value);
+      return;
+    }
+    if (this.props.onKeyDown) {
+      this.props.onKeyDown(e);
+    }
+  }
+
   _onTimeout() {
     this._timeout = 0;
     this._notifyIfChanged(this.state.value);
@@ -99,6 +117,7 @@ class IdleSearchField extends Component {
                title={title}
                value={this.state.value}
                onChange={this._onSearchFieldChange}
+               onKeyDown={this._onSearchFieldKeyDown}
                onFocus={this._onSearchFieldFocus}/>
         <input type='reset'
                className='idleSearchFieldButton'
@@ -115,6 +134,7 @@ IdleSearchField.propTypes = {
   defaultValue: PropTypes.string,
   className: PropTypes.string,
   title: PropTypes.string,
+  onKeyDown: PropTypes.func,
 };
 
 export default IdleSearchField;
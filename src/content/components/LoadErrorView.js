@@ -0,0 +1,64 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import React, { PureComponent, PropTypes } from 'react';
+import type { LoadError, LoadErrorKind } from '../../common/errors';
+
+require('./LoadErrorView.css');
+
+const TITLES: { [kind: LoadErrorKind]: string } = {
+  'network': 'The data could not be downloaded',
+  'http-status': 'The server returned an error',
+  'json-parse': 'The data is not valid JSON',
+  'schema-mismatch': 'The data is not in the expected format',
+  'missing-thread': 'The profile is missing threads',
+  'unknown': 'Something went wrong',
+};
+
+type Props = {
+  error: LoadError,
+  // The URL of the view that failed, so it can be opened again later.
+  viewURL: string,
+  onRetry: (() => void) | null,
+};
+
+class LoadErrorView extends PureComponent {
+  props: Props;
+
+  render() {
+    const { error, viewURL, onRetry } = this.props;
+    return (
+      <div className='loadError'>
+        <h2 className='loadErrorTitle'>{TITLES[error.kind] || TITLES.unknown}</h2>
+        <p className='loadErrorMessage'>{error.message}</p>
+        {error.url
+          ? <p className='loadErrorDetail'>
+              {'Failed URL: '}<a href={error.url}>{error.url}</a>
+              {error.status !== null ? ` (HTTP ${error.status})` : null}
+            </p>
+          : null}
+        <div className='loadErrorActions'>
+          {onRetry
+            ? <button className='loadErrorRetry' onClick={onRetry}>Retry</button>
+            : null}
+          <a className='loadErrorViewLink' href={viewURL}>Link to this view</a>
+        </div>
+      </div>
+    );
+  }
+}
+
+LoadErrorView.propTypes = {
+  error: PropTypes.shape({
+    kind: PropTypes.string.isRequired,
+    message: PropTypes.string.isRequired,
+    url: PropTypes.string,
+    status: PropTypes.number,
+  }).isRequired,
+  viewURL: PropTypes.string.isRequired,
+  onRetry: PropTypes.func,
+};
+
+export default LoadErrorView;
@@ -2,17 +2,20 @@ import React, { Component, PropTypes } from 'react';
 import { connect } from 'react-redux';
 import ReactModal from 'react-modal';
 import actions from '../actions';
-import { categoryNames } from '../../common/profile-categories';
 import { selectedThreadSelectors } from '../reducers/profile-view';
+import { getCategoryTreeNames } from '../reducers/categories-view';
+import { getParentCategory, categoryIsInSet } from '../../common/profile-categories';
 import {
   getInvertCallstack,
   getSearchString,
   getCategoryFilter,
   getPlatformFilter,
   getRunnableFilter,
-  getOnlyUserInteracting
+  getOnlyUserInteracting,
+  getSelectedThreadIndex,
 } from '../reducers/url-state';
 import IdleSearchField from '../components/IdleSearchField';
+import CategoryRulesEditor from '../components/CategoryRulesEditor';
 
 import './ProfileCallTreeSettings.css';
 
@@ -22,29 +25,40 @@ class ProfileCallTreeSettings extends Component {
     this._onInvertCallstackClick = this._onInvertCallstackClick.bind(this);
     this._onOnlyUserInteractingClick = this._onOnlyUserInteractingClick.bind(this);
     this._onSearchFieldIdleAfterChange = this._onSearchFieldIdleAfterChange.bind(this);
+    this._onSearchFieldKeyDown = this._onSearchFieldKeyDown.bind(this);
     this._onCategoryFilterCheckboxChanged = this._onCategoryFilterCheckboxChanged.bind(this);
     this._onCategoryFilterSelectAllClicked = this._onCategoryFilterSelectAllClicked.bind(this);
     this._onCategoryFilterClearAllClicked = this._onCategoryFilterClearAllClicked.bind(this);
     this._onCategoryFilterCloseModal = this._onCategoryFilterCloseModal.bind(this);
     this._onPlatformFilterChange = this._onPlatformFilterChange.bind(this);
     this._onRunnableFilterClick = this._onRunnableFilterClick.bind(this);
+    this._onEditCategoriesClick = this._onEditCategoriesClick.bind(this);
 
-    let categoryFilters;
-    const categoryFilterStr = this.props.categoryFilter;
-    if (categoryFilterStr == 'all') {
-      categoryFilters = new Set(categoryNames);
-    } else if (categoryFilterStr[0] == '-') {
-      categoryFilters = new Set(categoryNames);
-      categoryFilterStr.substr(1).split(',').forEach(c => categoryFilters.delete(c));
-    } else {
-      categoryFilters = new Set(categoryFilterStr.split(','));
-    }
     this.state = {
       categoryModal: false,
-      categoryFilters,
+      categoryRulesModal: false,
+      categoryFilters: this._getCategoryFilters(props),
     };
   }
 
+  _getCategoryFilters({ categoryFilter, categoryNames }) {
+    if (categoryFilter == 'all') {
+      return new Set(categoryNames);
+    }
+    // The filter includes or excludes the subcategories of its categories too.
+    const isExcluding = categoryFilter[0] == '-';
+    const filterSet = new Set((isExcluding ? categoryFilter.substr(1) : categoryFilter).split(','));
+    return new Set(categoryNames.filter(c => categoryIsInSet(c, filterSet) !== isExcluding));
+  }
+
+  _onEditCategoriesClick() {
+    // The category rules may have changed since the modal was last open.
+    this.setState({
+      categoryModal: true,
+      categoryFilters: this._getCategoryFilters(this.props),
+    });
+  }
+
   _onInvertCallstackClick(e) {
     this.props.changeInvertCallstack(e.target.checked);
   }
@@ -61,18 +75,34 @@ class ProfileCallTreeSettings extends Component {
     this.props.changeCallTreeSearchString(value);
   }
 
+  _onSearchFieldKeyDown(e) {
+    // Enter and F3 step through the matches, and with Shift, step back.
+    if (e.key === 'Enter' || e.key === 'F3') {
+      e.preventDefault();
+      this.props.selectSearchMatch(this.props.threadIndex, e.shiftKey ? -1 : 1);
+    }
+  }
+
   _onCategoryFilterCheckboxChanged(e) {
     const categoryFilters = new Set(this.state.categoryFilters);
+    const category = e.target.name;
+    const subcategories = this.props.categoryNames.filter(c => c.startsWith(category + '.'));
     if (e.target.checked) {
-      categoryFilters.add(e.target.name);
+      categoryFilters.add(category);
+      subcategories.forEach(c => categoryFilters.add(c));
     } else {
-      categoryFilters.delete(e.target.name);
+      categoryFilters.delete(category);
+      subcategories.forEach(c => categoryFilters.delete(c));
+      // A parent category is only selected when all of its subcategories are.
+      for (let c = getParentCategory(category); c !== null; c = getParentCategory(c)) {
+        categoryFilters.delete(c);
+      }
     }
     this.setState({categoryFilters});
   }
 
   _onCategoryFilterSelectAllClicked(e) {
-    this.setState({categoryFilters: new Set(categoryNames)});
+    this.setState({categoryFilters: new Set(this.props.categoryNames)});
   }
 
   _onCategoryFilterClearAllClicked(e) {
@@ -82,13 +112,25 @@ class ProfileCallTreeSettings extends Component {
   _onCategoryFilterCloseModal() {
     this.setState({categoryModal: false});
 
-    const excluded = categoryNames.filter(c => !this.state.categoryFilters.has(c));
-    if (excluded.length == 0) {
+    const { categoryNames } = this.props;
+    const { categoryFilters } = this.state;
+    const excluded = new Set(categoryNames.filter(c => !categoryFilters.has(c)));
+    // The filter includes or excludes subcategories along with their parent,
+    // so only the topmost categories need to be listed.
+    const topmost = set => Array.from(set).filter(c => {
+      const parent = getParentCategory(c);
+      return parent === null || !set.has(parent);
+    });
+    // Excluding a category only works when none of its subcategories are
+    // selected.
+    const canExclude = categoryNames.every(c => !categoryFilters.has(c) || !categoryIsInSet(c, excluded));
+    const topmostExcluded = topmost(excluded);
+    if (excluded.size == 0) {
       this.props.changeCategoryFilter('all');
-    } else if (excluded.length < categoryNames.length / 2) {
-      this.props.changeCategoryFilter('-' + excluded.join(','));
+    } else if (canExclude && topmostExcluded.length < categoryNames.length / 2) {
+      this.props.changeCategoryFilter('-' + topmostExcluded.join(','));
     } else {
-      this.props.changeCategoryFilter(Array.from(this.state.categoryFilters).join(','));
+      this.props.changeCategoryFilter(topmost(categoryFilters).join(','));
     }
   }
 
@@ -104,11 +146,13 @@ class ProfileCallTreeSettings extends Component {
       runnableFilter,
       onlyUserInteracting,
       platforms,
+      categoryNames,
     } = this.props;
 
     const {
       categoryFilters,
       categoryModal,
+      categoryRulesModal,
     } = this.state;
 
     return (
@@ -122,17 +166,20 @@ class ProfileCallTreeSettings extends Component {
             <h2>Select Categories</h2>
             <button onClick={this._onCategoryFilterSelectAllClicked}>Select All</button>
             <button onClick={this._onCategoryFilterClearAllClicked}>Clear All</button>
+            <button onClick={() => this.setState({categoryModal: false, categoryRulesModal: true})}>
+              Edit Rules
+            </button>
           </div>
           <div className='profileCallTreeSettingsModalContent'>
             <ul className='profileCallTreeSettingsModalList'>
               {categoryNames.map(c => (
-                <li key={c}>
-                  <label>
+                <li key={c} style={{ paddingLeft: `${(c.split('.').length - 1) * 1.5}em` }}>
+                  <label title={c}>
                     <input name={c}
                       type='checkbox'
                       checked={categoryFilters.has(c)}
                       onChange={this._onCategoryFilterCheckboxChanged}/>
-                    {c}
+                    {c.slice(c.lastIndexOf('.') + 1)}
                   </label>
                 </li>
               ))}
@@ -142,9 +189,11 @@ class ProfileCallTreeSettings extends Component {
             <button className='profileCallTreeSettingsModalSaveButton' onClick={this._onCategoryFilterCloseModal}>Save</button>
           </div>
         </ReactModal>
+        <CategoryRulesEditor isOpen={categoryRulesModal}
+                             onRequestClose={() => this.setState({categoryRulesModal: false})}/>
         <ul className='profileCallTreeSettingsList'>
           <li className="profileCallTreeSettingsListItem">
-            <button onClick={() => this.setState({categoryModal: true})}>Edit Categories</button>
+            <button onClick={this._onEditCategoriesClick}>Edit Categories</button>
           </li>
           <li className="profileCallTreeSettingsListItem">
             <label className="profileCallTreeSettingsLabel">
@@ -193,10 +242,13 @@ class ProfileCallTreeSettings extends Component {
           <label className='profileCallTreeSettingsSearchbarLabel'>
             {'Filter stacks: '}
             <IdleSearchField className='profileCallTreeSettingsSearchField'
-                             title='Only display stacks which contain a function whose name matches this substring'
+                             title={'Only display stacks which contain a function or library whose name contains one of these ' +
+                                    'comma separated terms. Use -term to hide stacks that match it, and /term/ ' +
+                                    'for a regular expression. Enter and F3 select the next match, with Shift the previous one.'}
                              idlePeriod={200}
                              defaultValue={searchString}
-                             onIdleAfterChange={this._onSearchFieldIdleAfterChange}/>
+                             onIdleAfterChange={this._onSearchFieldIdleAfterChange}
+                             onKeyDown={this._onSearchFieldKeyDown}/>
           </label>
         </div>
       </div>
@@ -210,9 +262,12 @@ ProfileCallTreeSettings.propTypes = {
   changeInvertCallstack: PropTypes.func.isRequired,
   changeOnlyUserInteracting: PropTypes.func.isRequired,
   changeCallTreeSearchString: PropTypes.func.isRequired,
+  selectSearchMatch: PropTypes.func.isRequired,
+  threadIndex: PropTypes.number.isRequired,
   changePlatformFilter: PropTypes.func.isRequired,
   searchString: PropTypes.string.isRequired,
   categoryFilter: PropTypes.string.isRequired,
+  categoryNames: PropTypes.arrayOf(PropTypes.string).isRequired,
   platformFilter: PropTypes.string.isRequired,
   runnableFilter: PropTypes.string,
 };
@@ -221,7 +276,9 @@ export default connect(state => ({
   invertCallstack: getInvertCallstack(state),
   onlyUserInteracting: getOnlyUserInteracting(state),
   searchString: getSearchString(state),
+  threadIndex: getSelectedThreadIndex(state),
   categoryFilter: getCategoryFilter(state),
+  categoryNames: getCategoryTreeNames(state),
   platformFilter: getPlatformFilter(state),
   runnableFilter: getRunnableFilter(state),
   platforms: selectedThreadSelectors.getPlatforms(state),
@@ -0,0 +1,126 @@
+import React, { PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import { selectedThreadSelectors } from '../reducers/profile-view';
+import { formatDecimal } from '../format-numbers';
+
+require('./ProfileCallerCalleePanel.css');
+
+function formatPercentage(fraction) {
+  return `${(100 * fraction).toFixed(1)}%`;
+}
+
+const CallEdgeRow = ({ name, lib, time, count, totalTime }) => (
+  <li className='callerCalleePanelRow'
+      title={`${name}${lib ? ` [${lib}]` : ''}\n${formatDecimal(time)} ms/h, ${formatDecimal(count * 1000)} hangs/kh`}>
+    <div className='callerCalleePanelBar'
+         style={{ width: formatPercentage(totalTime > 0 ? time / totalTime : 0) }}/>
+    <span className='callerCalleePanelTime'>{formatDecimal(time)}</span>
+    <span className='callerCalleePanelPercentage'>{formatPercentage(totalTime > 0 ? time / totalTime : 0)}</span>
+    <span className='callerCalleePanelName'>{name}</span>
+  </li>
+);
+
+CallEdgeRow.propTypes = {
+  name: PropTypes.string.isRequired,
+  lib: PropTypes.string,
+  time: PropTypes.number.isRequired,
+  count: PropTypes.number.isRequired,
+  totalTime: PropTypes.number.isRequired,
+};
+
+/**
+ * Shows where the hang time of the selected function comes from, and where it
+ * goes, across every stack of the thread that the function is in.
+ */
+class ProfileCallerCalleePanel extends PureComponent {
+  _getName(func) {
+    if (func === -1) {
+      return '(root)';
+    }
+    const { funcTable, stringTable } = this.props.thread;
+    return stringTable.getString(funcTable.name[func]);
+  }
+
+  _getLib(func) {
+    if (func === -1) {
+      return '';
+    }
+    const { funcTable, libs } = this.props.thread;
+    const lib = libs[funcTable.lib[func]];
+    return lib ? lib.debugName : '';
+  }
+
+  _renderEdges(edges, totalTime) {
+    if (edges.length === 0) {
+      return <div className='callerCalleePanelEmpty'>None</div>;
+    }
+    return (
+      <ol className='callerCalleePanelList'>
+        {edges.map(({ func, time, count }) =>
+          <CallEdgeRow key={func}
+                       name={this._getName(func)}
+                       lib={this._getLib(func)}
+                       time={time}
+                       count={count}
+                       totalTime={totalTime}/>
+        )}
+      </ol>
+    );
+  }
+
+  render() {
+    const { callerCalleeTimes } = this.props;
+    if (!callerCalleeTimes) {
+      return null;
+    }
+    const { func, selfTime, totalTime, selfCount, totalCount, callers, callees } = callerCalleeTimes;
+    // The time the function spends in itself is shown along with its callees,
+    // so that they add up to its total time.
+    const calleesAndSelf = selfTime > 0 || selfCount > 0
+      ? callees.concat({ func: func, time: selfTime, count: selfCount, isSelf: true })
+        .sort((a, b) => b.time - a.time)
+      : callees;
+    return (
+      <div className='callerCalleePanel'>
+        <div className='callerCalleePanelHeader'>
+          <div className='callerCalleePanelTitle'>{this._getName(func)}</div>
+          <div className='callerCalleePanelTotals'>
+            {`${formatDecimal(totalTime)} ms/h total, ${formatDecimal(selfTime)} ms/h self, ` +
+             `${formatDecimal(totalCount * 1000)} hangs/kh`}
+          </div>
+        </div>
+        <div className='callerCalleePanelSection'>
+          <h3 className='callerCalleePanelSectionTitle'>Called from</h3>
+          {this._renderEdges(callers, totalTime)}
+        </div>
+        <div className='callerCalleePanelSection'>
+          <h3 className='callerCalleePanelSectionTitle'>Calls into</h3>
+          {calleesAndSelf.length === 0
+            ? <div className='callerCalleePanelEmpty'>None</div>
+            : <ol className='callerCalleePanelList'>
+                {calleesAndSelf.map(({ func: callee, time, count, isSelf }) =>
+                  <CallEdgeRow key={isSelf ? 'self' : callee}
+                               name={isSelf ? '(self)' : this._getName(callee)}
+                               lib={isSelf ? '' : this._getLib(callee)}
+                               time={time}
+                               count={count}
+                               totalTime={totalTime}/>
+                )}
+              </ol>}
+        </div>
+      </div>
+    );
+  }
+}
+
+ProfileCallerCalleePanel.propTypes = {
+  thread: PropTypes.object.isRequired,
+  callerCalleeTimes: PropTypes.object,
+};
+
+export default connect(state => {
+  return {
+    thread: selectedThreadSelectors.getFilteredThread(state),
+    callerCalleeTimes: selectedThreadSelectors.getSelectedFuncCallerCalleeTimes(state),
+  };
+})(ProfileCallerCalleePanel);
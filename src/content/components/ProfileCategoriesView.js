@@ -7,21 +7,56 @@ import { connect } from 'react-redux';
 import { getProfile } from '../reducers/profile-view';
 import {
   getProfileCategories,
+  getExpandedCategories,
 } from '../reducers/categories-view';
+import { getParentCategory } from '../../common/profile-categories';
 import SummarizeLineGraph from './SummarizeLineGraph';
 import SummarizeProfileHeader from './SummarizeProfileCategoriesHeader';
 import SummarizeProfileExpand from './SummarizeProfileExpand';
 import SummarizeProfileThread from './SummarizeProfileThread';
+import CategoryTrendChart from './CategoryTrendChart';
 import actions from '../actions';
 
 require('./ProfileSummaryView.css');
 
 const EXPAND_LENGTH = 20;
 
+/**
+ * The summary of a thread has a row for every category and subcategory, see
+ * summarizeProfileCategories. Arrange them as a tree, leaving out the
+ * subcategories of the categories that aren't expanded.
+ * @param {array} summary The summary rows, sorted by their hang time.
+ * @param {Set} expandedCategories The categories that show their subcategories.
+ * @return {array} The visible rows, with their depth in the tree.
+ */
+function _getVisibleSummaryRows(summary, expandedCategories) {
+  const children = new Map();
+  summary.forEach(summaryRow => {
+    const parent = getParentCategory(summaryRow.category);
+    const siblings = children.get(parent) || [];
+    siblings.push(summaryRow);
+    children.set(parent, siblings);
+  });
+
+  const rows = [];
+  function visit(summaryRow, depth) {
+    const { category } = summaryRow;
+    const isExpanded = expandedCategories.has(category);
+    const subcategories = children.get(category);
+    rows.push({ summaryRow, depth, isExpanded, hasChildren: subcategories !== undefined });
+    if (subcategories && isExpanded) {
+      subcategories.forEach(subcategory => visit(subcategory, depth + 1));
+    }
+  }
+  (children.get(null) || []).forEach(summaryRow => visit(summaryRow, 0));
+  return rows;
+}
+
 class ProfileCategoriesView extends PureComponent {
   constructor() {
     super();
     this._onCategorySelected = this._onCategorySelected.bind(this);
+    this._onCategoryToggled = this._onCategoryToggled.bind(this);
   }
 
   _onCategorySelected(threadIndex) {
@@ -33,10 +68,23 @@ class ProfileCategoriesView extends PureComponent {
     };
   }
 
+  _onCategoryToggled(threadIndex) {
+    return category => {
+      const { expandedCategories, expandCategorySummary, collapseCategorySummary } = this.props;
+      const expanded = expandedCategories[threadIndex];
+      if (expanded && expanded.has(category)) {
+        collapseCategorySummary(threadIndex, category);
+      } else {
+        expandCategorySummary(threadIndex, category);
+      }
+    };
+  }
+
   render() {
     const {
       categories,
       threads,
+      expandedCategories,
     } = this.props;
 
     if (categories) {
@@ -44,7 +92,7 @@ class ProfileCategoriesView extends PureComponent {
         <div className="summarize-profile">
           <div className="summarize-profile-inner">
             {categories.map(({ threadIndex, summary, rollingSummary }) => {
-              const { processType, name: threadName } = threads[threadIndex];
+              const { processType, name: threadName, dates } = threads[threadIndex];
 
               return (
                 <div key={threadIndex}>
@@ -53,14 +101,25 @@ class ProfileCategoriesView extends PureComponent {
                       threadName={threadName}
                       processType={processType}
                     />
-                    {summary.map((summaryTable, index) =>
-                      <SummarizeProfileThread
-                        row={{ name: summaryTable.category, percentage: summaryTable.percentage }}
-                        rollingSummary={rollingSummary}
-                        index={index}
-                        onSelected={this._onCategorySelected(threadIndex)}
-                        key={summaryTable.category}
-                      />
+                    <CategoryTrendChart
+                      summary={summary}
+                      rollingSummary={rollingSummary}
+                      threadDates={dates}
+                      onCategorySelected={this._onCategorySelected(threadIndex)}
+                    />
+                    {_getVisibleSummaryRows(summary, expandedCategories[threadIndex] || new Set()).map(
+                      ({ summaryRow, depth, isExpanded, hasChildren }, index) =>
+                        <SummarizeProfileThread
+                          row={{ name: summaryRow.category, percentage: summaryRow.percentage }}
+                          rollingSummary={rollingSummary}
+                          index={index}
+                          depth={depth}
+                          isExpanded={isExpanded}
+                          hasChildren={hasChildren}
+                          onSelected={this._onCategorySelected(threadIndex)}
+                          onToggle={this._onCategoryToggled(threadIndex)}
+                          key={summaryRow.category}
+                        />
                     )}
                   </div>
                 </div>
@@ -109,6 +168,9 @@ class ProfileCategoriesView extends PureComponent {
 ProfileCategoriesView.propTypes = {
   categories: PropTypes.array,
   threads: PropTypes.array,
+  expandedCategories: PropTypes.object.isRequired,
+  expandCategorySummary: PropTypes.func.isRequired,
+  collapseCategorySummary: PropTypes.func.isRequired,
 };
 
 function fill(size, fn) {
@@ -122,6 +184,7 @@ function fill(size, fn) {
 export default connect(state => {
   return {
     categories: getProfileCategories(state),
+    expandedCategories: getExpandedCategories(state),
     threads: getProfile(state).threads,
   };
 }, actions)(ProfileCategoriesView);
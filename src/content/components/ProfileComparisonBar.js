@@ -0,0 +1,163 @@
+import React, { Component, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import actions from '../actions';
+import {
+  getProfile, getComparison, getDisplayRange, selectedThreadSelectors,
+} from '../reducers/profile-view';
+import {
+  getFrom, getDurationSpec, getHistorical, getCompareDurationSpec, getComparePayloadID,
+  getSplitDate,
+} from '../reducers/url-state';
+
+import './ProfileComparisonBar.css';
+
+const DURATION_SPECS = [
+  { durationSpec: '128_512', label: 'Short hangs (128-512ms)' },
+  { durationSpec: '512_2048', label: 'Medium hangs (512-2048ms)' },
+  { durationSpec: '2048_65536', label: 'Severe hangs (2048ms+)' },
+];
+
+/**
+ * Picks a telemetry profile to compare the viewed one with, and shows what the
+ * call tree is compared with, if anything: either that profile, or the dates
+ * before the split date. While comparing, the call tree shows how much each
+ * stack went up or down.
+ */
+class ProfileComparisonBar extends Component {
+  constructor(props) {
+    super(props);
+    this._onDurationSpecChange = this._onDurationSpecChange.bind(this);
+    this._onPayloadIDChange = this._onPayloadIDChange.bind(this);
+    this._onCompareSubmit = this._onCompareSubmit.bind(this);
+    this._onClearSplitClick = this._onClearSplitClick.bind(this);
+    this.state = {
+      durationSpec: props.durationSpec,
+      payloadID: '',
+    };
+  }
+
+  _onDurationSpecChange(e) {
+    this.setState({ durationSpec: e.target.value });
+  }
+
+  _onPayloadIDChange(e) {
+    this.setState({ payloadID: e.target.value });
+  }
+
+  _onCompareSubmit(e) {
+    e.preventDefault();
+    const { historical, retrieveComparisonProfileFromTelemetry } = this.props;
+    const { durationSpec, payloadID } = this.state;
+    retrieveComparisonProfileFromTelemetry(durationSpec, payloadID.trim() || null, historical);
+  }
+
+  _onClearSplitClick() {
+    this.props.changeSplitDate(null);
+  }
+
+  _renderStatus() {
+    const {
+      comparison, compareDurationSpec, comparePayloadID, comparisonThread, threadName,
+    } = this.props;
+    const description = `${compareDurationSpec || ''}${comparePayloadID ? ` (${comparePayloadID})` : ''}`;
+    if (comparison.isLoading) {
+      return `Loading ${description} to compare with…`;
+    }
+    if (comparison.error) {
+      return `Unable to load ${description} to compare with: ${comparison.error.message}`;
+    }
+    if (!comparisonThread) {
+      return `Comparing with ${description}, which has no ${threadName} thread.`;
+    }
+    return `Comparing with ${description}. The call tree shows the change from that profile to this one.`;
+  }
+
+  render() {
+    const { from, compareDurationSpec, stopComparing, splitDate, dates, displayRange } = this.props;
+    const splitHint = (
+      <span className='profileComparisonBarHint'>
+        Shift+click the timeline to compare the hang rates before and after a date.
+      </span>
+    );
+
+    if (compareDurationSpec) {
+      return (
+        <div className='profileComparisonBar'>
+          <span className='profileComparisonBarStatus'>{this._renderStatus()}</span>
+          <button onClick={stopComparing}>Stop comparing</button>
+        </div>
+      );
+    }
+
+    if (splitDate !== null && splitDate > displayRange.start && splitDate <= displayRange.end) {
+      return (
+        <div className='profileComparisonBar'>
+          <span className='profileComparisonBarStatus'>
+            {`Comparing the hang rates from ${dates[splitDate]} onwards with the ones before. ` +
+              'The largest regressions come first.'}
+          </span>
+          <button onClick={this._onClearSplitClick}>Clear split</button>
+        </div>
+      );
+    }
+
+    if (from !== 'telemetry') {
+      return <div className='profileComparisonBar'>{splitHint}</div>;
+    }
+
+    return (
+      <form className='profileComparisonBar' onSubmit={this._onCompareSubmit}>
+        <label className='profileComparisonBarLabel'>
+          Compare with:
+          <select className='profileComparisonBarSelect'
+                  value={this.state.durationSpec}
+                  onChange={this._onDurationSpecChange}>
+            {DURATION_SPECS.map(({ durationSpec, label }) =>
+              <option key={durationSpec} value={durationSpec}>{label}</option>)}
+          </select>
+        </label>
+        <input type='text'
+               className='profileComparisonBarPayloadID'
+               placeholder='Payload ID, or empty for the latest'
+               value={this.state.payloadID}
+               onChange={this._onPayloadIDChange}/>
+        <button type='submit'>Compare</button>
+        {splitHint}
+      </form>
+    );
+  }
+}
+
+ProfileComparisonBar.propTypes = {
+  from: PropTypes.string.isRequired,
+  durationSpec: PropTypes.string.isRequired,
+  historical: PropTypes.bool.isRequired,
+  compareDurationSpec: PropTypes.string,
+  comparePayloadID: PropTypes.string,
+  comparison: PropTypes.shape({
+    isLoading: PropTypes.bool.isRequired,
+    error: PropTypes.object,
+  }).isRequired,
+  comparisonThread: PropTypes.object,
+  threadName: PropTypes.string.isRequired,
+  retrieveComparisonProfileFromTelemetry: PropTypes.func.isRequired,
+  stopComparing: PropTypes.func.isRequired,
+  splitDate: PropTypes.number,
+  dates: PropTypes.array.isRequired,
+  displayRange: PropTypes.object.isRequired,
+  changeSplitDate: PropTypes.func.isRequired,
+};
+
+export default connect(state => ({
+  from: getFrom(state),
+  durationSpec: getDurationSpec(state),
+  historical: getHistorical(state),
+  compareDurationSpec: getCompareDurationSpec(state),
+  comparePayloadID: getComparePayloadID(state),
+  comparison: getComparison(state),
+  comparisonThread: selectedThreadSelectors.getComparisonThread(state),
+  threadName: selectedThreadSelectors.getFriendlyThreadName(state),
+  splitDate: getSplitDate(state),
+  dates: getProfile(state).dates,
+  displayRange: getDisplayRange(state),
+}), actions)(ProfileComparisonBar);
@@ -0,0 +1,163 @@
+import React, { PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import classNames from 'classnames';
+import VirtualList from './VirtualList';
+import { sortDataTable } from '../data-table-utils';
+import { formatDecimal } from '../format-numbers';
+import { getSelectedThreadIndex } from '../reducers/url-state';
+import { selectedThreadSelectors } from '../reducers/profile-view';
+import actions from '../actions';
+
+require('./ProfileFunctionTable.css');
+
+const COLUMNS = [
+  { propName: 'totalTime', title: 'Total ms/h', numeric: true, scale: 1 },
+  { propName: 'selfTime', title: 'Self ms/h', numeric: true, scale: 1 },
+  { propName: 'totalCount', title: 'Total hangs/kh', numeric: true, scale: 1000 },
+  { propName: 'selfCount', title: 'Self hangs/kh', numeric: true, scale: 1000 },
+  { propName: 'name', title: 'Function', numeric: false },
+];
+
+/**
+ * Copy the table of function times with the names of the functions added,
+ * sorted by |sortColumn|.
+ */
+function _getSortedTable(funcTimesTable, thread, sortColumn, sortDescending) {
+  const { funcTable, stringTable, libs } = thread;
+  const table = {
+    length: funcTimesTable.length,
+    func: funcTimesTable.func.slice(),
+    selfTime: funcTimesTable.selfTime.slice(),
+    totalTime: funcTimesTable.totalTime.slice(),
+    selfCount: funcTimesTable.selfCount.slice(),
+    totalCount: funcTimesTable.totalCount.slice(),
+    name: funcTimesTable.func.map(func => stringTable.getString(funcTable.name[func])),
+    lib: funcTimesTable.func.map(func => {
+      const lib = libs[funcTable.lib[func]];
+      return lib ? lib.debugName : '';
+    }),
+  };
+  const direction = sortDescending ? -1 : 1;
+  const comparator = sortColumn === 'name'
+    ? (a, b) => direction * a.localeCompare(b)
+    : (a, b) => direction * (a - b);
+  return sortDataTable(table, table[sortColumn], comparator);
+}
+
+class ProfileFunctionTable extends PureComponent {
+  constructor(props) {
+    super(props);
+    this._onHeaderClick = this._onHeaderClick.bind(this);
+    this._onRowClick = this._onRowClick.bind(this);
+    this._renderRow = this._renderRow.bind(this);
+    this._noop = () => {};
+    this._specialItems = [];
+    this.state = { sortColumn: 'totalTime', sortDescending: true };
+    this._updateSortedTable(props, this.state);
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.funcTimesTable !== this.props.funcTimesTable) {
+      this._updateSortedTable(nextProps, this.state);
+    }
+  }
+
+  componentWillUpdate(nextProps, nextState) {
+    if (nextState.sortColumn !== this.state.sortColumn ||
+        nextState.sortDescending !== this.state.sortDescending) {
+      this._updateSortedTable(nextProps, nextState);
+    }
+  }
+
+  _updateSortedTable(props, state) {
+    this._sortedTable = _getSortedTable(
+      props.funcTimesTable, props.thread, state.sortColumn, state.sortDescending);
+    // The rows are new objects each time, so that the list redraws them even
+    // when they end up at the same index.
+    this._rows = Array.from({ length: this._sortedTable.length }, (_, row) => ({ row }));
+  }
+
+  _onHeaderClick(e) {
+    const sortColumn = e.currentTarget.dataset.column;
+    if (sortColumn === this.state.sortColumn) {
+      this.setState({ sortDescending: !this.state.sortDescending });
+    } else {
+      // Names read best from A to Z, and numbers from the largest.
+      this.setState({ sortColumn, sortDescending: sortColumn !== 'name' });
+    }
+  }
+
+  _onRowClick(e) {
+    const { threadIndex, addCallTreeFilter, changeSelectedTab } = this.props;
+    const func = this._sortedTable.func[Number(e.currentTarget.dataset.row)];
+    addCallTreeFilter(threadIndex, { type: 'postfix', postfixFuncs: [func] });
+    changeSelectedTab('calltree');
+  }
+
+  _renderRow({ row }, index) {
+    const table = this._sortedTable;
+    return (
+      <div className={classNames('profileFunctionTableRow', index % 2 ? 'odd' : 'even')}
+           key={row} data-row={row} onClick={this._onRowClick}
+           title='Show the stacks that end in this function in the call tree'>
+        {COLUMNS.map(({ propName, numeric, scale }) => numeric
+          ? <span className='profileFunctionTableColumn profileFunctionTableNumeric' key={propName}>
+              {formatDecimal(table[propName][row] * scale)}
+            </span>
+          : <span className='profileFunctionTableColumn profileFunctionTableName' key={propName}>
+              {table.name[row]}
+              {table.lib[row] ? <span className='profileFunctionTableLib'>{table.lib[row]}</span> : null}
+            </span>
+        )}
+      </div>
+    );
+  }
+
+  render() {
+    const { sortColumn, sortDescending } = this.state;
+    return (
+      <div className='profileFunctionTable'>
+        <div className='profileFunctionTableHeader'>
+          {COLUMNS.map(({ propName, title, numeric }) =>
+            <span className={classNames('profileFunctionTableColumn', {
+              profileFunctionTableNumeric: numeric,
+              profileFunctionTableName: !numeric,
+              sorted: propName === sortColumn,
+              descending: propName === sortColumn && sortDescending,
+            })}
+                  key={propName}
+                  data-column={propName}
+                  onClick={this._onHeaderClick}>
+              {title}
+            </span>
+          )}
+        </div>
+        <VirtualList className='profileFunctionTableBody'
+                     items={this._rows}
+                     renderItem={this._renderRow}
+                     itemHeight={16}
+                     focusable={true}
+                     onKeyDown={this._noop}
+                     specialItems={this._specialItems}
+                     onCopy={this._noop}
+                     ref='list'/>
+      </div>
+    );
+  }
+}
+
+ProfileFunctionTable.propTypes = {
+  thread: PropTypes.object.isRequired,
+  threadIndex: PropTypes.number.isRequired,
+  funcTimesTable: PropTypes.object.isRequired,
+  addCallTreeFilter: PropTypes.func.isRequired,
+  changeSelectedTab: PropTypes.func.isRequired,
+};
+
+export default connect(state => {
+  return {
+    thread: selectedThreadSelectors.getFilteredThread(state),
+    threadIndex: getSelectedThreadIndex(state),
+    funcTimesTable: selectedThreadSelectors.getFuncTimesTable(state),
+  };
+}, actions)(ProfileFunctionTable);
@@ -0,0 +1,85 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import React, { PureComponent, PropTypes } from 'react';
+import prettyBytes from 'pretty-bytes';
+import type { ProfileLoadProgress } from '../../common/types/workers';
+
+require('./ProfileLoadingView.css');
+
+const PHASES = [
+  { phase: 'download', label: 'Download' },
+  { phase: 'parse', label: 'Parse' },
+  { phase: 'normalize', label: 'Normalize' },
+  { phase: 'summarize', label: 'Summarize' },
+];
+
+// Files are read from disk on the content thread instead of downloaded.
+const FILE_PHASES = [{ phase: 'read', label: 'Read' }].concat(PHASES.slice(1));
+
+type Props = {
+  message: string,
+  from: string | null,
+  progress: ProfileLoadProgress | null,
+};
+
+class ProfileLoadingView extends PureComponent {
+  props: Props;
+
+  _renderPhases(progress: ProfileLoadProgress) {
+    const phases = this.props.from === 'file' ? FILE_PHASES : PHASES;
+    const currentIndex = phases.findIndex(({ phase }) => phase === progress.phase);
+    return (
+      <ol className='profileLoadingPhases'>
+        {phases.map(({ phase, label }, i) => {
+          let className = 'profileLoadingPhase';
+          if (i < currentIndex) {
+            className += ' profileLoadingPhaseDone';
+          } else if (i === currentIndex) {
+            className += ' profileLoadingPhaseActive';
+          }
+          return <li key={phase} className={className}>{label}</li>;
+        })}
+      </ol>
+    );
+  }
+
+  render() {
+    const { message, from, progress } = this.props;
+    if (!progress) {
+      return <div className='profileLoading'>{message}</div>;
+    }
+
+    const { partsLoaded, partsTotal, partsFailed, bytesLoaded } = progress;
+    return (
+      <div className='profileLoading'>
+        <div>{message}</div>
+        {this._renderPhases(progress)}
+        <div className='profileLoadingDetails'>
+          {partsTotal > 1
+            ? <div className='profileLoadingParts'>
+                <progress className='profileLoadingPartsBar' max={partsTotal} value={partsLoaded}/>
+                {`${partsLoaded} of ${partsTotal} files`}
+                {partsFailed > 0
+                  ? <span className='profileLoadingPartsFailed'>{`, ${partsFailed} failed`}</span>
+                  : null}
+              </div>
+            : null}
+          {from === 'file'
+            ? (bytesLoaded > 0 ? <div>{`${prettyBytes(bytesLoaded)} read`}</div> : null)
+            : <div>{`${prettyBytes(bytesLoaded)} downloaded`}</div>}
+        </div>
+      </div>
+    );
+  }
+}
+
+ProfileLoadingView.propTypes = {
+  message: PropTypes.string.isRequired,
+  from: PropTypes.string,
+  progress: PropTypes.object,
+};
+
+export default ProfileLoadingView;
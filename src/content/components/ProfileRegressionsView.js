@@ -0,0 +1,187 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import React, { PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import { getProfile, getProfileViewOptions } from '../reducers/profile-view';
+import { getProfileRegressions } from '../reducers/regressions-view';
+import {
+  getInvertCallstack, getCallTreeFiltersPerThread, getSearchString, getRangeFilters,
+} from '../reducers/url-state';
+import SummarizeLineGraph from './SummarizeLineGraph';
+import { formatDecimal } from '../format-numbers';
+import actions from '../actions';
+
+require('./ProfileSummaryView.css');
+require('./ProfileRegressionsView.css');
+
+class ProfileRegressionsView extends PureComponent {
+  constructor() {
+    super();
+    this._onRegressionSelected = this._onRegressionSelected.bind(this);
+  }
+
+  _onRegressionSelected(threadIndex, regression) {
+    const {
+      invertCallstack, callTreeFilters, searchString, rangeFilters, hasSelection,
+      changeSelectedThread, changeInvertCallstack, popCallTreeFilters,
+      changeCallTreeSearchString, popRangeFiltersAndUnsetSelection,
+      changeSelectedStack, changeSelectedTab,
+    } = this.props;
+    changeSelectedThread(threadIndex);
+    // The regressions were found in the unfiltered, uninverted call tree over
+    // all of the dates, so the stack can only be selected in that tree. A
+    // search or a range could hide the stack as well.
+    if (invertCallstack) {
+      changeInvertCallstack(false);
+    }
+    if (callTreeFilters[threadIndex] && callTreeFilters[threadIndex].length !== 0) {
+      popCallTreeFilters(threadIndex, 0);
+    }
+    if (searchString !== '') {
+      changeCallTreeSearchString('');
+    }
+    if (rangeFilters.length !== 0 || hasSelection) {
+      popRangeFiltersAndUnsetSelection(0);
+    }
+    changeSelectedStack(threadIndex, regression.funcArray);
+    changeSelectedTab('calltree');
+  }
+
+  render() {
+    const { regressions, threads } = this.props;
+
+    if (!regressions) {
+      return (
+        <div className='summarize-profile'>
+          <div className='summarize-profile-inner'>
+            <div className='summarize-profile-table'>
+              <div className='filler summarize-bar-graph-filler'>Loading...</div>
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className='summarize-profile'>
+        <div className='summarize-profile-inner'>
+          {regressions.map(({ threadIndex, regressions: threadRegressions }) => {
+            const { processType, name: threadName } = threads[threadIndex];
+            return (
+              <div className='summarize-profile-table' key={threadIndex}>
+                <div className='summarize-profile-thread'>{threadName} Thread, {processType} process</div>
+                <div className='summarize-profile-header'>
+                  <div className='summarize-bar-graph'>
+                    Hang time over all dates
+                  </div>
+                  <div className='summarize-profile-details'>
+                    <div className='summarize-profile-text'>Stack</div>
+                    <div className='summarize-profile-numeric'>ms/h</div>
+                    <div className='summarize-profile-numeric'>Score</div>
+                  </div>
+                </div>
+                {threadRegressions.length === 0
+                  ? <div className='profileRegressionsEmpty'>No stack of this thread changed noticeably over these dates.</div>
+                  : threadRegressions.map(regression =>
+                      <ProfileRegressionRow
+                        regression={regression}
+                        threadIndex={threadIndex}
+                        onSelected={this._onRegressionSelected}
+                        key={regression.stack}
+                      />
+                    )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+}
+
+ProfileRegressionsView.propTypes = {
+  regressions: PropTypes.array,
+  threads: PropTypes.array.isRequired,
+  invertCallstack: PropTypes.bool.isRequired,
+  callTreeFilters: PropTypes.object.isRequired,
+  searchString: PropTypes.string.isRequired,
+  rangeFilters: PropTypes.array.isRequired,
+  hasSelection: PropTypes.bool.isRequired,
+  changeSelectedThread: PropTypes.func.isRequired,
+  changeInvertCallstack: PropTypes.func.isRequired,
+  popCallTreeFilters: PropTypes.func.isRequired,
+  changeCallTreeSearchString: PropTypes.func.isRequired,
+  popRangeFiltersAndUnsetSelection: PropTypes.func.isRequired,
+  changeSelectedStack: PropTypes.func.isRequired,
+  changeSelectedTab: PropTypes.func.isRequired,
+};
+
+class ProfileRegressionRow extends PureComponent {
+  constructor() {
+    super();
+    this._onClick = this._onClick.bind(this);
+  }
+
+  _onClick() {
+    const { onSelected, threadIndex, regression } = this.props;
+    onSelected(threadIndex, regression);
+  }
+
+  render() {
+    const { funcName, kind, date, before, after, score, series } = this.props.regression;
+    // SummarizeLineGraph draws shares of its height, so scale the series to
+    // its largest value.
+    const max = Math.max(...series);
+    const rollingSummary = series.map(value => ({
+      percentage: { series: max > 0 ? value / max : 0 },
+    }));
+    const direction = after > before ? 'regressed' : 'improved';
+    const description = kind === 'change-point'
+      ? `Changed on ${formatDate(date)}`
+      : `Stood out on ${formatDate(date)}`;
+
+    return (
+      <div className='summarize-profile-row' onClick={this._onClick}
+           title={`${funcName}\n${description}, ${direction} from ${formatDecimal(before)} to ${formatDecimal(after)} ms/h`}>
+        <SummarizeLineGraph rollingSummary={rollingSummary} name='series' />
+        <div className='summarize-profile-details'>
+          <div className='summarize-profile-text'>
+            <span className={`profileRegressionsDirection ${direction}`}>{after > before ? '▲' : '▼'}</span>
+            {' '}{funcName}
+            <div className='profileRegressionsDescription'>{description}</div>
+          </div>
+          <div className='summarize-profile-numeric'>
+            {formatDecimal(before)} → {formatDecimal(after)}
+          </div>
+          <div className='summarize-profile-numeric'>
+            {kind === 'change-point' ? 't' : 'z'} = {score.toFixed(1)}
+          </div>
+        </div>
+      </div>
+    );
+  }
+}
+
+ProfileRegressionRow.propTypes = {
+  regression: PropTypes.object.isRequired,
+  threadIndex: PropTypes.number.isRequired,
+  onSelected: PropTypes.func.isRequired,
+};
+
+function formatDate(dateStr /* yyyymmdd */) {
+  return `${dateStr.substr(0, 4)}-${dateStr.substr(4, 2)}-${dateStr.substr(6, 2)}`;
+}
+
+export default connect(state => {
+  return {
+    regressions: getProfileRegressions(state),
+    threads: getProfile(state).threads,
+    invertCallstack: getInvertCallstack(state),
+    callTreeFilters: getCallTreeFiltersPerThread(state),
+    searchString: getSearchString(state),
+    rangeFilters: getRangeFilters(state),
+    hasSelection: getProfileViewOptions(state).selection.hasSelection,
+  };
+}, actions)(ProfileRegressionsView);
@@ -0,0 +1,265 @@
+import React, { PureComponent, PropTypes } from 'react';
+import { connect } from 'react-redux';
+import { getStackAsFuncArray } from '../profile-data';
+import { getCategoryColor, getCategoryColorAlpha } from '../category-colors';
+import { layoutCallTree } from '../call-tree-layout';
+import { getInvertCallstack, getSelectedThreadIndex } from '../reducers/url-state';
+import { selectedThreadSelectors } from '../reducers/profile-view';
+import actions from '../actions';
+
+require('./ProfileSunburst.css');
+
+// Stacks with a smaller share of the root are too thin to see or click on.
+const MIN_FRACTION = 0.002;
+const MAX_DEPTH = 12;
+
+const SUNBURST_SIZE = 800;
+const SUNBURST_CENTER_RADIUS = 70;
+const ICICLE_WIDTH = 1000;
+const ICICLE_ROW_HEIGHT = 24;
+const FONT_SIZE = 11;
+// An estimate of the width of a character, to cut off labels that won't fit.
+const CHAR_WIDTH = 6.5;
+
+function _truncate(text, width) {
+  const maxChars = Math.floor(width / CHAR_WIDTH);
+  if (maxChars < 3) {
+    return null;
+  }
+  return text.length > maxChars ? text.substr(0, maxChars - 1) + '…' : text;
+}
+
+function _polar(radius, fraction) {
+  const angle = 2 * Math.PI * fraction - Math.PI / 2;
+  return [
+    SUNBURST_SIZE / 2 + radius * Math.cos(angle),
+    SUNBURST_SIZE / 2 + radius * Math.sin(angle),
+  ];
+}
+
+/**
+ * The SVG path of a ring segment between two radii and two fractions of the
+ * full circle.
+ */
+function _arcPath(innerRadius, outerRadius, start, end) {
+  // An arc can't start and end at the same point, so a full ring is drawn
+  // very slightly short of a circle.
+  const clampedEnd = Math.min(end, start + 0.99999);
+  const largeArc = clampedEnd - start > 0.5 ? 1 : 0;
+  const [x0, y0] = _polar(outerRadius, start);
+  const [x1, y1] = _polar(outerRadius, clampedEnd);
+  const [x2, y2] = _polar(innerRadius, clampedEnd);
+  const [x3, y3] = _polar(innerRadius, start);
+  return `M${x0},${y0}A${outerRadius},${outerRadius} 0 ${largeArc} 1 ${x1},${y1}` +
+    `L${x2},${y2}A${innerRadius},${innerRadius} 0 ${largeArc} 0 ${x3},${y3}Z`;
+}
+
+class ProfileSunburst extends PureComponent {
+  constructor(props) {
+    super(props);
+    this._onModeChange = this._onModeChange.bind(this);
+    this._onExportClick = this._onExportClick.bind(this);
+    this._onZoomOutClick = this._onZoomOutClick.bind(this);
+    this._onStackClick = this._onStackClick.bind(this);
+    this.state = { mode: 'sunburst' };
+  }
+
+  _onModeChange(e) {
+    this.setState({ mode: e.target.value });
+  }
+
+  /**
+   * Zooming in pushes a filter like the focus button of the call tree does, so
+   * that the zoomed in view is part of the URL.
+   */
+  _onStackClick(e) {
+    const { thread, threadIndex, invertCallstack, addCallTreeFilter } = this.props;
+    const funcArray = getStackAsFuncArray(Number(e.currentTarget.dataset.stack), thread.stackTable);
+    if (invertCallstack) {
+      addCallTreeFilter(threadIndex, { type: 'postfix', postfixFuncs: funcArray });
+    } else {
+      addCallTreeFilter(threadIndex, { type: 'prefix', prefixFuncs: funcArray });
+    }
+  }
+
+  _onZoomOutClick() {
+    const { threadIndex, callTreeFilters, popCallTreeFilters } = this.props;
+    if (callTreeFilters.length !== 0) {
+      popCallTreeFilters(threadIndex, callTreeFilters.length - 1);
+    }
+  }
+
+  _onExportClick() {
+    const { threadName, callTreeFilterLabels } = this.props;
+    const svg = this.refs.svg;
+    if (!svg) {
+      return;
+    }
+    const source = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml' }));
+    // The first label is the whole thread.
+    const name = [threadName, ...callTreeFilterLabels.slice(1), this.state.mode].join('-')
+      .replace(/[^\w.-]+/g, '_');
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name}.svg`;
+    if (document.body) {
+      document.body.appendChild(a);
+    }
+    a.click();
+    a.remove();
+    // Some browsers only start the download after the click handler returns.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  _getTitle(stackIndex) {
+    const node = this.props.tree.getNode(stackIndex);
+    return `${node.name}${node.lib ? ` [${node.lib}]` : ''}\n` +
+      `${node.totalTimeAbsolute} (${node.totalTimePercent})`;
+  }
+
+  _renderSunburst(rows) {
+    const { stackCategories, rootLabel } = this.props;
+    const ringWidth = (SUNBURST_SIZE / 2 - SUNBURST_CENTER_RADIUS) / Math.max(1, rows.length);
+    return (
+      <svg className='profileSunburstSvg' ref='svg' xmlns='http://www.w3.org/2000/svg'
+           viewBox={`0 0 ${SUNBURST_SIZE} ${SUNBURST_SIZE}`}
+           fontFamily='sans-serif' fontSize={FONT_SIZE}>
+        <g className='profileSunburstZoomOut' onClick={this._onZoomOutClick}>
+          <title>{rootLabel}</title>
+          <circle cx={SUNBURST_SIZE / 2} cy={SUNBURST_SIZE / 2} r={SUNBURST_CENTER_RADIUS} fill='#fff' stroke='#ccc'/>
+          <text x={SUNBURST_SIZE / 2} y={SUNBURST_SIZE / 2} textAnchor='middle' dominantBaseline='middle'>
+            {_truncate(rootLabel, 2 * SUNBURST_CENTER_RADIUS - 10)}
+          </text>
+        </g>
+        {rows.map((row, depth) => row.map(({ stackIndex, start, end }) => {
+          const innerRadius = SUNBURST_CENTER_RADIUS + depth * ringWidth;
+          const category = stackCategories[stackIndex];
+          // Labels run along the radius, so they only fit in wide enough
+          // segments.
+          const midAngle = 360 * (start + end) / 2 - 90;
+          const flip = midAngle > 90;
+          const [x, y] = _polar(innerRadius + ringWidth / 2, (start + end) / 2);
+          const arcLength = 2 * Math.PI * (innerRadius + ringWidth / 2) * (end - start);
+          const label = arcLength > FONT_SIZE + 2
+            ? _truncate(this.props.tree.getNode(stackIndex).name, ringWidth - 6)
+            : null;
+          return (
+            <g className='profileSunburstStack' key={stackIndex}
+               data-stack={stackIndex} onClick={this._onStackClick}>
+              <title>{this._getTitle(stackIndex)}</title>
+              <path d={_arcPath(innerRadius, innerRadius + ringWidth, start, end)}
+                    fill={getCategoryColor(category)}
+                    fillOpacity={getCategoryColorAlpha(category)}
+                    stroke='#fff'/>
+              {label &&
+                <text x={x} y={y} fill='#fff' textAnchor='middle' dominantBaseline='middle'
+                      transform={`rotate(${flip ? midAngle - 180 : midAngle} ${x} ${y})`}>
+                  {label}
+                </text>}
+            </g>
+          );
+        }))}
+      </svg>
+    );
+  }
+
+  _renderIcicle(rows) {
+    const { stackCategories, rootLabel } = this.props;
+    const height = (rows.length + 1) * ICICLE_ROW_HEIGHT;
+    return (
+      <svg className='profileSunburstSvg' ref='svg' xmlns='http://www.w3.org/2000/svg'
+           viewBox={`0 0 ${ICICLE_WIDTH} ${height}`}
+           fontFamily='sans-serif' fontSize={FONT_SIZE}>
+        <g className='profileSunburstZoomOut' onClick={this._onZoomOutClick}>
+          <title>{rootLabel}</title>
+          <rect x={0} y={0} width={ICICLE_WIDTH} height={ICICLE_ROW_HEIGHT - 1} fill='#fff' stroke='#ccc'/>
+          <text x={4} y={ICICLE_ROW_HEIGHT / 2} dominantBaseline='middle'>{rootLabel}</text>
+        </g>
+        {rows.map((row, depth) => row.map(({ stackIndex, start, end }) => {
+          const x = start * ICICLE_WIDTH;
+          const y = (depth + 1) * ICICLE_ROW_HEIGHT;
+          const width = (end - start) * ICICLE_WIDTH;
+          const category = stackCategories[stackIndex];
+          const label = _truncate(this.props.tree.getNode(stackIndex).name, width - 8);
+          return (
+            <g className='profileSunburstStack' key={stackIndex}
+               data-stack={stackIndex} onClick={this._onStackClick}>
+              <title>{this._getTitle(stackIndex)}</title>
+              <rect x={x} y={y} width={Math.max(0, width - 1)} height={ICICLE_ROW_HEIGHT - 1}
+                    fill={getCategoryColor(category)}
+                    fillOpacity={getCategoryColorAlpha(category)}/>
+              {label &&
+                <text x={x + 4} y={y + ICICLE_ROW_HEIGHT / 2} fill='#fff' dominantBaseline='middle'>
+                  {label}
+                </text>}
+            </g>
+          );
+        }))}
+      </svg>
+    );
+  }
+
+  render() {
+    const { tree, callTreeFilters } = this.props;
+    const { mode } = this.state;
+    const rows = layoutCallTree(tree, MIN_FRACTION, MAX_DEPTH);
+    return (
+      <div className='profileSunburst'>
+        <div className='profileSunburstBar'>
+          <label className='profileSunburstLabel'>
+            <input type='radio' name='profileSunburstMode' value='sunburst'
+                   checked={mode === 'sunburst'} onChange={this._onModeChange}/>
+            {' Sunburst'}
+          </label>
+          <label className='profileSunburstLabel'>
+            <input type='radio' name='profileSunburstMode' value='icicle'
+                   checked={mode === 'icicle'} onChange={this._onModeChange}/>
+            {' Icicle'}
+          </label>
+          <span className='profileSunburstHint'>
+            {callTreeFilters.length !== 0
+              ? 'Click a stack to zoom into it, or the root to zoom back out.'
+              : 'Click a stack to zoom into it.'}
+          </span>
+          <button onClick={this._onExportClick}>Export as SVG</button>
+        </div>
+        <div className='profileSunburstContents'>
+          {rows.length === 0
+            ? <div className='profileSunburstEmpty'>No stacks match the current filters.</div>
+            : mode === 'sunburst' ? this._renderSunburst(rows) : this._renderIcicle(rows)}
+        </div>
+      </div>
+    );
+  }
+}
+
+ProfileSunburst.propTypes = {
+  thread: PropTypes.object.isRequired,
+  threadIndex: PropTypes.number.isRequired,
+  threadName: PropTypes.string.isRequired,
+  tree: PropTypes.object.isRequired,
+  stackCategories: PropTypes.array.isRequired,
+  invertCallstack: PropTypes.bool.isRequired,
+  callTreeFilters: PropTypes.array.isRequired,
+  callTreeFilterLabels: PropTypes.array.isRequired,
+  rootLabel: PropTypes.string.isRequired,
+  addCallTreeFilter: PropTypes.func.isRequired,
+  popCallTreeFilters: PropTypes.func.isRequired,
+};
+
+export default connect(state => {
+  const threadName = selectedThreadSelectors.getFriendlyThreadName(state);
+  const callTreeFilterLabels = selectedThreadSelectors.getCallTreeFilterLabels(state);
+  return {
+    thread: selectedThreadSelectors.getFilteredThread(state),
+    threadIndex: getSelectedThreadIndex(state),
+    threadName,
+    tree: selectedThreadSelectors.getCallTree(state),
+    stackCategories: selectedThreadSelectors.getStackCategories(state),
+    invertCallstack: getInvertCallstack(state),
+    callTreeFilters: selectedThreadSelectors.getCallTreeFilters(state),
+    callTreeFilterLabels,
+    rootLabel: callTreeFilterLabels[callTreeFilterLabels.length - 1],
+  };
+}, actions)(ProfileSunburst);
@@ -5,7 +5,7 @@
 import React, { PureComponent, PropTypes } from 'react';
 import { connect } from 'react-redux';
 import { selectedThreadSelectors } from '../reducers/profile-view';
-import { getDurationSpec, getHistorical } from '../reducers/url-state';
+import { getDurationSpec, getHistorical, getDataSource } from '../reducers/url-state';
 import { getDateGraph } from '../reducers/date-graph';
 import sigData from '../../common/data/signatures';
 import actions from '../actions';
@@ -25,7 +25,13 @@ class ProfileTopBarActions extends PureComponent {
   }
 
   _toggleHistorical() {
-    window.location = `/?durationSpec=${this.props.durationSpec}&historical=${!this.props.historical}`;
+    window.location = this._viewURL(`durationSpec=${this.props.durationSpec}&historical=${!this.props.historical}`);
+  }
+
+  // Links to other views keep the data source of the current one.
+  _viewURL(query) {
+    const { dataSource } = this.props;
+    return dataSource ? `/?${query}&dataSource=${encodeURIComponent(dataSource)}` : `/?${query}`;
   }
 
   _fileABugPanelOpen() {
@@ -232,7 +238,7 @@ ${splitStack.map(f => '    ' + f).join('\n')}
                   s != durationSpec && <p key={s}>
                     <a
                       className="profileDurationSpecLink"
-                      href={`/?durationSpec=${s}`}
+                      href={this._viewURL(`durationSpec=${s}`)}
                     >
                       {this.friendlyDurationSpec(s)}
                     </a>
@@ -248,12 +254,14 @@ ${splitStack.map(f => '    ' + f).join('\n')}
 }
 
 ProfileTopBarActions.propTypes = {
+  dataSource: PropTypes.string,
 };
 
 export default connect(
   state => ({
     durationSpec: getDurationSpec(state),
     historical: getHistorical(state),
+    dataSource: getDataSource(state),
     thread: selectedThreadSelectors.getFilteredThread(state),
     selectedStack: selectedThreadSelectors.getSelectedStack(state),
     tree: selectedThreadSelectors.getCallTree(state),
@@ -3,7 +3,7 @@ import { connect } from 'react-redux';
 import TreeView from './TreeView';
 import NodeIcon from './NodeIcon';
 import { getStackAsFuncArray } from '../profile-data';
-import { getInvertCallstack, getSearchString, getSelectedThreadIndex } from '../reducers/url-state';
+import { getInvertCallstack, getSearchQuery, getSelectedThreadIndex } from '../reducers/url-state';
 import {
   getProfile, selectedThreadSelectors, getScrollToSelectionGeneration, getProfileViewOptions,
 } from '../reducers/profile-view';
@@ -19,12 +19,20 @@ class ProfileTreeView extends Component {
       { propName: 'selfTime', title: 'Self time', 'tooltipProp': 'selfTimeAbsolute' },
       { propName: 'totalCountPercent', title: 'Count', 'tooltipProp': 'totalCountAbsolute'  },
     ];
+    // A tree that is compared with another profile has the same properties,
+    // but they hold the difference between the two profiles.
+    this._diffColumns = [
+      { propName: 'totalTimePercent', title: 'Time change', 'tooltipProp': 'totalTimeAbsolute' },
+      { propName: 'selfTime', title: 'Self change', 'tooltipProp': 'selfTimeAbsolute' },
+      { propName: 'totalCountPercent', title: 'Count change', 'tooltipProp': 'totalCountAbsolute' },
+    ];
     this._mainColumn = { propName: 'name', title: '' };
     this._appendageColumn = { propName: 'lib', title: '' };
     this._appendageButtons = ['focusCallstackButton'];
     this._onSelectedStackChange = this._onSelectedStackChange.bind(this);
     this._onExpandedStacksChange = this._onExpandedStacksChange.bind(this);
     this._onAppendageButtonClick = this._onAppendageButtonClick.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
   }
 
   componentDidMount() {
@@ -60,6 +68,15 @@ class ProfileTreeView extends Component {
       newExpandedStacks.map(stackIndex => getStackAsFuncArray(stackIndex, thread.stackTable)));
   }
 
+  _onKeyDown(event) {
+    // F3 steps through the matches of the search, like in a find bar.
+    if (event.key === 'F3') {
+      event.preventDefault();
+      const { threadIndex, selectSearchMatch } = this.props;
+      selectSearchMatch(threadIndex, event.shiftKey ? -1 : 1);
+    }
+  }
+
   _onAppendageButtonClick(stackIndex) {
     const {
       thread, threadIndex, addCallTreeFilter,
@@ -91,17 +108,20 @@ class ProfileTreeView extends Component {
   }
 
   render() {
-    const { tree, selectedStack, expandedStacks, searchString, disableOverscan } = this.props;
+    const {
+      tree, selectedStack, expandedStacks, searchQuery, disableOverscan, isComparing,
+    } = this.props;
     return (
       <TreeView tree={tree}
-                fixedColumns={this._fixedColumns}
+                fixedColumns={isComparing ? this._diffColumns : this._fixedColumns}
                 mainColumn={this._mainColumn}
                 appendageColumn={this._appendageColumn}
                 onSelectionChange={this._onSelectedStackChange}
                 onExpandedNodesChange={this._onExpandedStacksChange}
                 selectedNodeId={selectedStack}
                 expandedNodeIds={expandedStacks}
-                highlightString={searchString.toLowerCase()}
+                highlightTerms={searchQuery.include}
+                onKeyDown={this._onKeyDown}
                 disableOverscan={disableOverscan}
                 appendageButtons={this._appendageButtons}
                 onAppendageButtonClick={this._onAppendageButtonClick}
@@ -124,22 +144,37 @@ ProfileTreeView.propTypes = {
   expandedStacks: PropTypes.array.isRequired,
   changeSelectedStack: PropTypes.func.isRequired,
   changeExpandedStacks: PropTypes.func.isRequired,
-  searchString: PropTypes.string,
+  searchQuery: PropTypes.object.isRequired,
+  selectSearchMatch: PropTypes.func.isRequired,
   disableOverscan: PropTypes.bool,
   addCallTreeFilter: PropTypes.func.isRequired,
   invertCallstack: PropTypes.bool.isRequired,
+  isComparing: PropTypes.bool.isRequired,
   icons: PropTypes.array.isRequired,
 };
 
-export default connect(state => ({
-  thread: selectedThreadSelectors.getFilteredThread(state),
-  threadIndex: getSelectedThreadIndex(state),
-  scrollToSelectionGeneration: getScrollToSelectionGeneration(state),
-  tree: selectedThreadSelectors.getCallTree(state),
-  selectedStack: selectedThreadSelectors.getSelectedStack(state),
-  expandedStacks: selectedThreadSelectors.getExpandedStacks(state),
-  searchString: getSearchString(state),
-  disableOverscan: getProfileViewOptions(state).selection.isModifying,
-  invertCallstack: getInvertCallstack(state),
-  icons: getIconsWithClassNames(state),
-}), actions, null, { withRef: true })(ProfileTreeView);
+export default connect(state => {
+  // While comparing with another profile, the tree is built from the thread
+  // merged with the same thread of that profile, which keeps the stack indices
+  // of the viewed thread.
+  const diffThread = selectedThreadSelectors.getDiffThread(state);
+  return {
+    thread: diffThread ? diffThread.thread : selectedThreadSelectors.getFilteredThread(state),
+    threadIndex: getSelectedThreadIndex(state),
+    scrollToSelectionGeneration: getScrollToSelectionGeneration(state),
+    tree: diffThread
+      ? selectedThreadSelectors.getDiffCallTree(state)
+      : selectedThreadSelectors.getCallTree(state),
+    selectedStack: diffThread
+      ? selectedThreadSelectors.getDiffSelectedStack(state)
+      : selectedThreadSelectors.getSelectedStack(state),
+    expandedStacks: diffThread
+      ? selectedThreadSelectors.getDiffExpandedStacks(state)
+      : selectedThreadSelectors.getExpandedStacks(state),
+    isComparing: !!diffThread,
+    searchQuery: getSearchQuery(state),
+    disableOverscan: getProfileViewOptions(state).selection.isModifying,
+    invertCallstack: getInvertCallstack(state),
+    icons: getIconsWithClassNames(state),
+  };
+}, actions, null, { withRef: true })(ProfileTreeView);
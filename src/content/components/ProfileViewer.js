@@ -7,11 +7,16 @@ import React, { PureComponent, PropTypes } from 'react';
 import { connect } from 'react-redux';
 import type { Action, ThunkAction } from '../actions/types';
 import ProfileCallTreeView from '../containers/ProfileCallTreeView';
+import ProfileFunctionTableView from '../containers/ProfileFunctionTableView';
+import ProfileFlameGraphView from '../containers/ProfileFlameGraphView';
+import ProfileSunburstView from '../containers/ProfileSunburstView';
 import ProfileTopBarActions from './ProfileTopBarActions';
 import ProfileCategoriesView from './ProfileCategoriesView';
 import ProfileRunnablesView from './ProfileRunnablesView';
+import ProfileRegressionsView from './ProfileRegressionsView';
 import actions from '../actions';
 import { getSelectedTab } from '../reducers/url-state';
+import { getIsCachedProfileStale } from '../reducers/app';
 import TabBar from './TabBar';
 import ProfileCallTreeContextMenu from '../containers/ProfileCallTreeContextMenu';
 import ProfileFilterNavigator from '../containers/ProfileFilterNavigator';
@@ -22,6 +27,7 @@ type Props = {
   className: string,
   changeSelectedTab: (string) => Action | ThunkAction,
   selectedTab: string,
+  isCachedProfileStale: boolean,
 };
 
 class ProfileViewer extends PureComponent {
@@ -34,6 +40,7 @@ class ProfileViewer extends PureComponent {
   constructor(props) {
     super(props);
     (this: any)._onSelectTab = this._onSelectTab.bind(this);
+    (this: any)._onReloadClick = this._onReloadClick.bind(this);
     this.state = { isMounted: false };
     // If updating this list, make sure and update the tabOrder reducer with another index.
     this._tabs = [
@@ -45,10 +52,26 @@ class ProfileViewer extends PureComponent {
         name: 'runnables',
         title: 'Runnables',
       },
+      {
+        name: 'regressions',
+        title: 'Regressions',
+      },
       {
         name: 'calltree',
         title: 'Call Tree',
       },
+      {
+        name: 'functions',
+        title: 'Functions',
+      },
+      {
+        name: 'flamegraph',
+        title: 'Flame Graph',
+      },
+      {
+        name: 'sunburst',
+        title: 'Sunburst',
+      },
     ];
   }
 
@@ -57,13 +80,25 @@ class ProfileViewer extends PureComponent {
     changeSelectedTab(selectedTab);
   }
 
+  _onReloadClick(e: Event) {
+    e.preventDefault();
+    window.location.reload();
+  }
+
   render() {
     const {
       className,
       selectedTab,
+      isCachedProfileStale,
     } = this.props;
     return (
       <div className={className}>
+        {isCachedProfileStale
+          ? <div className={`${className}StaleNotice`}>
+              This profile was loaded from the cache, and a newer version has since been downloaded.
+              {' '}<a href='' onClick={this._onReloadClick}>Reload</a>
+            </div>
+          : null}
         <div className={`${className}TopBar`}>
           <ProfileFilterNavigator />
           <ProfileTopBarActions />
@@ -78,7 +113,11 @@ class ProfileViewer extends PureComponent {
           {
             categories: <ProfileCategoriesView />,
             runnables: <ProfileRunnablesView />,
+            regressions: <ProfileRegressionsView />,
             calltree: <ProfileCallTreeView />,
+            functions: <ProfileFunctionTableView />,
+            flamegraph: <ProfileFlameGraphView />,
+            sunburst: <ProfileSunburstView />,
           }[selectedTab]
         }
 
@@ -92,9 +131,11 @@ class ProfileViewer extends PureComponent {
 ProfileViewer.propTypes = {
   className: PropTypes.string.isRequired,
   changeSelectedTab: PropTypes.func.isRequired,
+  isCachedProfileStale: PropTypes.bool.isRequired,
 };
 
 export default connect(state => ({
   selectedTab: getSelectedTab(state),
+  isCachedProfileStale: getIsCachedProfileStale(state),
   className: 'profileViewer',
 }), actions)(ProfileViewer);
@@ -5,20 +5,35 @@ class SummarizeProfileThread extends Component {
   constructor() {
     super();
     this._onRowClicked = this._onRowClicked.bind(this);
+    this._onToggleClicked = this._onToggleClicked.bind(this);
   }
 
   _onRowClicked() {
     this.props.onSelected(this.props.row.name);
   }
 
+  _onToggleClicked(e) {
+    // Expanding a category shouldn't also select it.
+    e.stopPropagation();
+    this.props.onToggle(this.props.row.name);
+  }
+
   render() {
-    const {row, rollingSummary, index} = this.props;
+    const {row, rollingSummary, depth, hasChildren, isExpanded, onToggle} = this.props;
     const {name, percentage} = row;
     return (
       <div className='summarize-profile-row' onClick={this._onRowClicked}>
         <SummarizeLineGraph rollingSummary={rollingSummary} name={name} />
         <div className='summarize-profile-details'>
-          <div className='summarize-profile-text'>{name}</div>
+          {onToggle
+            // Rows in a tree are indented under their parent, so only the last
+            // part of their name is shown.
+            ? <div className='summarize-profile-text' style={{ paddingLeft: `${(depth || 0) * 1.5}em` }} title={name}>
+                <span className={`treeRowToggleButton ${isExpanded ? 'expanded' : 'collapsed'} ${hasChildren ? 'canBeExpanded' : 'leaf'}`}
+                      onClick={hasChildren ? this._onToggleClicked : null}/>
+                {name.slice(name.lastIndexOf('.') + 1)}
+              </div>
+            : <div className='summarize-profile-text'>{name}</div>}
           <div className='summarize-profile-numeric'>{displayPercentage(percentage)}</div>
         </div>
       </div>
@@ -30,7 +45,11 @@ SummarizeProfileThread.propTypes = {
   row: PropTypes.object,
   rollingSummary: PropTypes.array,
   index: PropTypes.number,
+  depth: PropTypes.number,
+  hasChildren: PropTypes.bool,
+  isExpanded: PropTypes.bool,
   onSelected: PropTypes.func,
+  onToggle: PropTypes.func,
 };
 
 export default SummarizeProfileThread;
@@ -5,6 +5,7 @@ import actions from '../actions';
 import shallowCompare from 'react-addons-shallow-compare';
 import classNames from 'classnames';
 import { timeCode } from '../../common/time-code';
+import { formatDecimal } from '../format-numbers';
 import { getDateGraph } from '../reducers/date-graph';
 import { getUsageHoursByDate } from '../reducers/profile-view';
 import Tooltip from './Tooltip'
@@ -231,14 +232,6 @@ function formatDate(dateStr /* yyyymmdd */) {
   return `${month}/${day}`;
 }
 
-function formatDecimal(decimalNumber) {
-  if (decimalNumber >= 100) {
-    return parseFloat(decimalNumber.toFixed(1)).toLocaleString();
-  } else {
-    return parseFloat(decimalNumber.toPrecision(3)).toLocaleString();
-  }
-}
-
 class StackGraphTooltipContents extends PureComponent {
   render() {
     const { date, totalTime, totalCount, className, usageHours } = this.props;
@@ -35,9 +35,18 @@ class TimeSelectionScrubberImpl extends PureComponent {
     // browsers.
     e.preventDefault();
 
-    const { rangeStart, rangeEnd } = this.props;
+    const { rangeStart, rangeEnd, onSplitDateChange } = this.props;
     const mouseDownTime = (e.pageX - r.left) / r.width * (rangeEnd - rangeStart) + rangeStart;
 
+    // Shift+click splits the range between the clicked date and the next one.
+    if (e.shiftKey && onSplitDateChange) {
+      const splitDate = Math.floor(mouseDownTime) + 1;
+      if (splitDate > rangeStart && splitDate <= rangeEnd) {
+        onSplitDateChange(splitDate);
+      }
+      return;
+    }
+
     let isRangeSelecting = false;
 
     const mouseMoveHandler = e => {
@@ -119,7 +128,7 @@ class TimeSelectionScrubberImpl extends PureComponent {
     const {
       className, zeroAt, rangeStart, rangeEnd, children,
       hasSelection, isModifying, selectionStart, selectionEnd,
-      width, onSelectionChange, onZoomButtonClick, dates
+      width, onSelectionChange, onZoomButtonClick, dates, splitDate,
     } = this.props;
 
     const {
@@ -147,6 +156,12 @@ class TimeSelectionScrubberImpl extends PureComponent {
                                                    onSelectionChange={onSelectionChange}
                                                    onZoomButtonClick={onZoomButtonClick}/>
                        : null }
+        { splitDate !== null && splitDate > rangeStart && splitDate <= rangeEnd
+          ? <div className='timeSelectionScrubberSplitDate'
+                 style={{
+                   left: `${(splitDate - 0.5 - rangeStart) / (rangeEnd - rangeStart) * width}px`,
+                 }}/>
+          : null }
         <div className='timeSelectionScrubberHoverIndicator'
              style={{
                visibility: isModifying || (hoverLocation === null) ? 'hidden' : undefined,
@@ -171,6 +186,8 @@ TimeSelectionScrubberImpl.propTypes = {
   onZoomButtonClick: PropTypes.func,
   children: PropTypes.node,
   dates: PropTypes.array.isRequired,
+  splitDate: PropTypes.number,
+  onSplitDateChange: PropTypes.func,
 };
 
 const TimeSelectionScrubber = withSize(TimeSelectionScrubberImpl);
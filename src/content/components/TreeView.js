@@ -4,6 +4,7 @@ import classNames from 'classnames';
 import VirtualList from './VirtualList';
 import Tooltip from './Tooltip';
 import { BackgroundImageStyleDef } from './StyleDef';
+import { getSearchTermMatchRanges } from '../search-query';
 
 import { ContextMenuTrigger } from 'react-contextmenu';
 
@@ -34,20 +35,17 @@ TreeViewHeader.propTypes = {
   }).isRequired,
 };
 
-function reactStringWithHighlightedSubstrings(string, substring, className) {
-  if (!substring) {
+function reactStringWithHighlightedSubstrings(string, terms, className) {
+  if (!terms || terms.length === 0 || !string) {
     return string;
   }
-  const lowercaseString = string.toLowerCase();
   const result = [];
   let startAt = 0;
-  let nextOccurrence = -1;
-  while ((nextOccurrence = lowercaseString.indexOf(substring, startAt)) !== -1) {
-    const afterNextOccurrence = nextOccurrence + substring.length;
-    result.push(string.substring(startAt, nextOccurrence));
-    result.push(<span key={nextOccurrence} className={className}>{string.substring(nextOccurrence, afterNextOccurrence)}</span>);
-    startAt = afterNextOccurrence;
-  }
+  getSearchTermMatchRanges(terms, string).forEach(([start, end]) => {
+    result.push(string.substring(startAt, start));
+    result.push(<span key={start} className={className}>{string.substring(start, end)}</span>);
+    startAt = end;
+  });
   result.push(string.substring(startAt));
   return result;
 }
@@ -80,7 +78,7 @@ class TreeViewRowFixedColumns extends Component {
   }
 
   render() {
-    const { node, columns, index, selected, highlightString } = this.props;
+    const { node, columns, index, selected, highlightTerms } = this.props;
     const { mouseIn, mouseX, mouseY } = this.state;
     const evenOddClassName = (index % 2) === 0 ? 'even' : 'odd';
     return (
@@ -98,7 +96,7 @@ class TreeViewRowFixedColumns extends Component {
                     { RenderComponent
                       ? <RenderComponent node={node} />
                       : reactStringWithHighlightedSubstrings(
-                          node[col.propName], highlightString, 'treeViewHighlighting'
+                          node[col.propName], highlightTerms, 'treeViewHighlighting'
                         )
                     }
                    </span>;
@@ -134,7 +132,7 @@ TreeViewRowFixedColumns.propTypes = {
   index: PropTypes.number.isRequired,
   selected: PropTypes.bool.isRequired,
   onClick: PropTypes.func.isRequired,
-  highlightString: PropTypes.string,
+  highlightTerms: PropTypes.array,
 };
 
 class TreeViewRowScrolledColumns extends Component {
@@ -166,7 +164,7 @@ class TreeViewRowScrolledColumns extends Component {
   render() {
     const {
       node, depth, mainColumn, appendageColumn, index, canBeExpanded,
-      isExpanded, selected, highlightString, appendageButtons,
+      isExpanded, selected, highlightTerms, appendageButtons,
     } = this.props;
     const evenOddClassName = (index % 2) === 0 ? 'even' : 'odd';
 
@@ -175,11 +173,11 @@ class TreeViewRowScrolledColumns extends Component {
         <span className='treeRowIndentSpacer' style={{ width: `${depth * 10}px` }}/>
         <span className={`treeRowToggleButton ${isExpanded ? 'expanded' : 'collapsed'} ${canBeExpanded ? 'canBeExpanded' : 'leaf'}`} />
         <span className={`treeViewRowColumn treeViewMainColumn ${mainColumn.propName}`}>
-          { reactStringWithHighlightedSubstrings(node[mainColumn.propName], highlightString, 'treeViewHighlighting') }
+          { reactStringWithHighlightedSubstrings(node[mainColumn.propName], highlightTerms, 'treeViewHighlighting') }
         </span>
         { appendageColumn ? (
           <span className={`treeViewRowColumn treeViewAppendageColumn ${appendageColumn.propName}`}>
-            { reactStringWithHighlightedSubstrings(node[appendageColumn.propName], highlightString, 'treeViewHighlighting') }
+            { reactStringWithHighlightedSubstrings(node[appendageColumn.propName], highlightTerms, 'treeViewHighlighting') }
           </span>
           ) : null}
         { appendageButtons ? appendageButtons.map(buttonName => (
@@ -214,7 +212,7 @@ TreeViewRowScrolledColumns.propTypes = {
   selected: PropTypes.bool.isRequired,
   onClick: PropTypes.func.isRequired,
   onAppendageButtonClick: PropTypes.func,
-  highlightString: PropTypes.string,
+  highlightTerms: PropTypes.array,
 };
 
 class TreeView extends Component {
@@ -257,7 +255,7 @@ class TreeView extends Component {
   _renderRow(nodeId, index, columnIndex) {
     const {
       tree, expandedNodeIds, fixedColumns, mainColumn, appendageColumn,
-      selectedNodeId, highlightString, appendageButtons,
+      selectedNodeId, highlightTerms, appendageButtons,
       onAppendageButtonClick,
     } = this.props;
     const node = tree.getNode(nodeId);
@@ -269,7 +267,7 @@ class TreeView extends Component {
                                  index={index}
                                  selected={nodeId === selectedNodeId}
                                  onClick={this._onRowClicked}
-                                 highlightString={highlightString}/>
+                                 highlightTerms={highlightTerms}/>
       );
     }
     const canBeExpanded = tree.hasChildren(nodeId);
@@ -288,7 +286,7 @@ class TreeView extends Component {
                                   selected={nodeId === selectedNodeId}
                                   onClick={this._onRowClicked}
                                   onAppendageButtonClick={onAppendageButtonClick}
-                                  highlightString={highlightString}/>
+                                  highlightTerms={highlightTerms}/>
     );
   }
 
@@ -359,6 +357,12 @@ class TreeView extends Component {
   }
 
   _onKeyDown(event) {
+    if (this.props.onKeyDown) {
+      this.props.onKeyDown(event);
+      if (event.defaultPrevented) {
+        return;
+      }
+    }
     if (event.ctrlKey || event.altKey || event.metaKey) {
       return;
     }
@@ -463,7 +467,8 @@ TreeView.propTypes = {
   selectedNodeId: PropTypes.number,
   onExpandedNodesChange: PropTypes.func.isRequired,
   onSelectionChange: PropTypes.func.isRequired,
-  highlightString: PropTypes.string,
+  highlightTerms: PropTypes.array,
+  onKeyDown: PropTypes.func,
   appendageColumn: PropTypes.shape({
     propName: PropTypes.string.isRequired,
     title: PropTypes.string.isRequired,
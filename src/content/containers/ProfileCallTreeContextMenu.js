@@ -4,13 +4,17 @@ import { ContextMenu, MenuItem, SubMenu } from 'react-contextmenu';
 import actions from '../actions';
 import { connect } from 'react-redux';
 import { selectedThreadSelectors } from '../reducers/profile-view';
+import { getSelectedThreadIndex } from '../reducers/url-state';
 import copy from 'copy-to-clipboard';
 
-import type { Thread, IndexIntoStackTable } from '../../common/types/profile';
+import type { Thread, ThreadIndex, IndexIntoStackTable } from '../../common/types/profile';
+import type { CallTreeFilter } from '../actions/types';
 
 type Props = {
   thread: Thread,
+  threadIndex: ThreadIndex,
   selectedStack: IndexIntoStackTable,
+  addCallTreeFilter: (threadIndex: ThreadIndex, filter: CallTreeFilter) => void,
 };
 
 class ProfileCallTreeContextMenu extends PureComponent {
@@ -51,6 +55,33 @@ class ProfileCallTreeContextMenu extends PureComponent {
     copy(stack);
   }
 
+  transformCallTree(type: string): void {
+    const {
+      selectedStack, threadIndex, addCallTreeFilter,
+      thread: { funcTable, stackTable },
+    } = this.props;
+
+    const funcIndex = stackTable.func[selectedStack];
+    switch (type) {
+      case 'mergeFunction':
+        addCallTreeFilter(threadIndex, { type: 'mergeFunction', funcIndex });
+        break;
+      case 'focusFunction':
+        addCallTreeFilter(threadIndex, { type: 'focusFunction', funcIndex });
+        break;
+      case 'collapseRecursion':
+        addCallTreeFilter(threadIndex, { type: 'collapseRecursion', funcIndex });
+        break;
+      case 'collapseLib': {
+        const libIndex = funcTable.lib[funcIndex];
+        if (libIndex !== -1) {
+          addCallTreeFilter(threadIndex, { type: 'collapseLib', libIndex });
+        }
+        break;
+      }
+    }
+  }
+
   handleClick(event: SyntheticEvent, data: { type: string }): void {
     switch (data.type) {
       case 'copyFunctionName':
@@ -59,16 +90,38 @@ class ProfileCallTreeContextMenu extends PureComponent {
       case 'copyStack':
         this.copyStack();
         break;
+      default:
+        this.transformCallTree(data.type);
+        break;
     }
   }
 
   render() {
+    const {
+      selectedStack,
+      thread: { funcTable, stackTable, libs },
+    } = this.props;
+    const libIndex = selectedStack === null || selectedStack === -1
+      ? -1
+      : funcTable.lib[stackTable.func[selectedStack]];
+    const lib = libIndex === -1 ? null : libs[libIndex];
+
     return (
       <ContextMenu id={'ProfileCallTreeContextMenu'}>
         <SubMenu title='Copy' hoverDelay={200}>
           <MenuItem onClick={this.handleClick} data={{type: 'copyFunctionName'}}>Function Name</MenuItem>
           <MenuItem onClick={this.handleClick} data={{type: 'copyStack'}}>Stack</MenuItem>
         </SubMenu>
+        <SubMenu title='Transform' hoverDelay={200}>
+          <MenuItem onClick={this.handleClick} data={{type: 'mergeFunction'}}>Merge Function</MenuItem>
+          <MenuItem onClick={this.handleClick} data={{type: 'focusFunction'}}>Focus on Function</MenuItem>
+          <MenuItem onClick={this.handleClick} data={{type: 'collapseRecursion'}}>Collapse Recursion</MenuItem>
+          {lib
+            ? <MenuItem onClick={this.handleClick} data={{type: 'collapseLib'}}>
+                {`Collapse ${lib.debugName || lib.name}`}
+              </MenuItem>
+            : null}
+        </SubMenu>
       </ContextMenu>
     );
   }
@@ -76,6 +129,7 @@ class ProfileCallTreeContextMenu extends PureComponent {
 
 export default connect(state => ({
   thread: selectedThreadSelectors.getFilteredThread(state),
+  threadIndex: getSelectedThreadIndex(state),
   selectedStack: selectedThreadSelectors.getSelectedStack(state),
   tree: selectedThreadSelectors.getCallTree(state),
 }), actions)(ProfileCallTreeContextMenu);
@@ -1,13 +1,19 @@
 import React from 'react';
 import ProfileTreeView from '../components/ProfileTreeView';
 import ProfileCallTreeSettings from '../components/ProfileCallTreeSettings';
+import ProfileComparisonBar from '../components/ProfileComparisonBar';
+import ProfileCallerCalleePanel from '../components/ProfileCallerCalleePanel';
 import ProfileCallTreeFilterNavigator from './ProfileCallTreeFilterNavigator';
 
 const ProfileCallTreeView = () => (
   <div className='treeAndSidebarWrapper'>
     <ProfileCallTreeFilterNavigator />
     <ProfileCallTreeSettings />
-    <ProfileTreeView/>
+    <ProfileComparisonBar />
+    <div className='treeAndSidebar'>
+      <ProfileTreeView/>
+      <ProfileCallerCalleePanel/>
+    </div>
   </div>
 );
 
@@ -0,0 +1,17 @@
+import React from 'react';
+import FlameGraph from '../components/FlameGraph';
+import ProfileCallTreeSettings from '../components/ProfileCallTreeSettings';
+import ProfileCallTreeFilterNavigator from './ProfileCallTreeFilterNavigator';
+
+const ProfileFlameGraphView = () => (
+  <div className='treeAndSidebarWrapper'>
+    <ProfileCallTreeFilterNavigator />
+    <ProfileCallTreeSettings />
+    <FlameGraph />
+  </div>
+);
+
+ProfileFlameGraphView.propTypes = {
+};
+
+export default ProfileFlameGraphView;
@@ -0,0 +1,17 @@
+import React from 'react';
+import ProfileFunctionTable from '../components/ProfileFunctionTable';
+import ProfileCallTreeSettings from '../components/ProfileCallTreeSettings';
+import ProfileCallTreeFilterNavigator from './ProfileCallTreeFilterNavigator';
+
+const ProfileFunctionTableView = () => (
+  <div className='treeAndSidebarWrapper'>
+    <ProfileCallTreeFilterNavigator />
+    <ProfileCallTreeSettings />
+    <ProfileFunctionTable />
+  </div>
+);
+
+ProfileFunctionTableView.propTypes = {
+};
+
+export default ProfileFunctionTableView;
@@ -0,0 +1,17 @@
+import React from 'react';
+import ProfileSunburst from '../components/ProfileSunburst';
+import ProfileCallTreeSettings from '../components/ProfileCallTreeSettings';
+import ProfileCallTreeFilterNavigator from './ProfileCallTreeFilterNavigator';
+
+const ProfileSunburstView = () => (
+  <div className='treeAndSidebarWrapper'>
+    <ProfileCallTreeFilterNavigator />
+    <ProfileCallTreeSettings />
+    <ProfileSunburst />
+  </div>
+);
+
+ProfileSunburstView.propTypes = {
+};
+
+export default ProfileSunburstView;
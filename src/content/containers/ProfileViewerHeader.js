@@ -6,7 +6,7 @@ import TimeSelectionScrubber from '../components/TimeSelectionScrubber';
 import OverflowEdgeIndicator from '../components/OverflowEdgeIndicator';
 import { connect } from 'react-redux';
 import { getProfile, getProfileViewOptions, getThreadOrder, getDisplayRange, getZeroAt, selectorsForThread } from '../reducers/profile-view';
-import { getSelectedThreadIndex } from '../reducers/url-state';
+import { getSelectedThreadIndex, getSplitDate } from '../reducers/url-state';
 import actions from '../actions';
 
 class ProfileViewerHeader extends PureComponent {
@@ -37,7 +37,7 @@ class ProfileViewerHeader extends PureComponent {
     const {
       profile, className, threadOrder, changeThreadOrder, selection,
       updateProfileSelection, timeRange, zeroAt, selectedThread,
-      selectedStack,
+      selectedStack, splitDate, changeSplitDate,
     } = this.props;
     const { threads, dates } = profile;
     const { hasSelection, isModifying, selectionStart, selectionEnd } = selection;
@@ -52,8 +52,10 @@ class ProfileViewerHeader extends PureComponent {
                            selectionStart={selectionStart}
                            selectionEnd={selectionEnd}
                            onSelectionChange={updateProfileSelection}
-                           onZoomButtonClick={this._onZoomButtonClick}>
-      <div>
+                           onZoomButtonClick={this._onZoomButtonClick}
+                           splitDate={splitDate}
+                           onSplitDateChange={changeSplitDate}>
+      <div className={`${className}HeaderThreadLists`}>
         {<Reorderable tagName='ol'
                      className={`${className}HeaderThreadList`}
                      order={threadOrder}
@@ -68,6 +70,19 @@ class ProfileViewerHeader extends PureComponent {
             )
           }
         </Reorderable>}
+        {profile.unavailableThreads.length !== 0
+          ? <ol className={`${className}HeaderThreadList`}>
+              {profile.unavailableThreads.map(threadName =>
+                <li key={threadName}
+                    className='profileThreadHeaderBar unavailable'
+                    title='Some of the data for this thread could not be downloaded.'>
+                  <h1>
+                    <div className='profileThreadHeaderBarThreadName'>{threadName}</div>
+                  </h1>
+                </li>
+              )}
+            </ol>
+          : null}
       </div>
       <ThreadStackGraph thread={selectedThread}
                         className='threadStackGraph'
@@ -90,6 +105,8 @@ ProfileViewerHeader.propTypes = {
   timeRange: PropTypes.object.isRequired,
   zeroAt: PropTypes.number.isRequired,
   changeSelectedThread: PropTypes.func.isRequired,
+  splitDate: PropTypes.number,
+  changeSplitDate: PropTypes.func.isRequired,
 };
 
 export default connect(state => {
@@ -104,5 +121,6 @@ export default connect(state => {
     threadOrder: getThreadOrder(state),
     timeRange: getDisplayRange(state),
     zeroAt: getZeroAt(state),
+    splitDate: getSplitDate(state),
   };
 }, actions)(ProfileViewerHeader);
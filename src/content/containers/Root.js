@@ -4,28 +4,56 @@ import actions from '../actions';
 import Home from '../components/Home';
 import ProfileViewer from '../components/ProfileViewer';
 import TrackedDataViewer from '../components/TrackedDataViewer';
+import ProfileLoadingView from '../components/ProfileLoadingView';
+import LoadErrorView from '../components/LoadErrorView';
 import { urlFromState, stateFromCurrentLocation } from '../url-handling';
-import { getView, getError } from '../reducers/app';
-import { getDurationSpec, getPayloadID, getHistorical, getMode } from '../reducers/url-state';
+import { getView, getError, getProfileLoadProgress } from '../reducers/app';
+import {
+  getDurationSpec, getPayloadID, getHistorical, getMode, getFrom, getProfileURL, getURLState,
+} from '../reducers/url-state';
 import URLManager from './URLManager';
 
 require('./Root.css');
 
 class ProfileViewWhenReadyImpl extends Component {
-  _errorView(error) {
+  _errorView() {
+    const { error, from, mode, viewURL, retryAfterError } = this.props;
+    // A file can't be read again without the user picking it.
+    const canRetry = mode === 'track' || from !== 'file';
     return (
       <div className="root">
         <div><a href="/">&lt;&lt; back</a></div>
-        Received error: {error}
+        {error
+          ? <LoadErrorView error={error}
+                           viewURL={viewURL}
+                           onRetry={canRetry ? retryAfterError : null}/>
+          : 'Received an unknown error.'}
       </div>
     );
   }
 
   _initializingView() {
+    const { from, profileLoadProgress } = this.props;
+    let message = 'Waiting for profile from telemetry...';
+    if (from === 'file') {
+      message = 'Reading profile from file...';
+    } else if (from === 'url') {
+      message = 'Downloading profile...';
+    }
     return (
       <div className="root">
         <div><a href="/">&lt;&lt; back</a></div>
-        Waiting for profile from telemetry...
+        <ProfileLoadingView message={message} from={from} progress={profileLoadProgress}/>
+      </div>
+    );
+  }
+
+  _fileNotAvailableView() {
+    return (
+      <div className='root'>
+        <div><a href='/'>&lt;&lt; back</a></div>
+        This profile was loaded from a local file, which is no longer available.
+        Load the file again from the home page.
       </div>
     );
   }
@@ -42,12 +70,14 @@ class ProfileViewWhenReadyImpl extends Component {
   render() {
     const {
       mode,
+      from,
+      profileURL,
       view,
-      error,
       durationSpec,
       payloadID, 
       historical,
       retrieveProfileFromTelemetry,
+      retrieveProfileFromWeb,
       retrieveTrackedDataFromTelemetry,
     } = this.props;
 
@@ -56,10 +86,22 @@ class ProfileViewWhenReadyImpl extends Component {
     } else if (mode == 'explore') {
       switch (view) {
         case 'INITIALIZING':
+          if (from === 'file') {
+            return this._fileNotAvailableView();
+          }
+          if (from === 'url') {
+            if (!profileURL) {
+              return this._notFoundView();
+            }
+            retrieveProfileFromWeb(profileURL);
+            return this._initializingView();
+          }
           retrieveProfileFromTelemetry(durationSpec, payloadID, historical);
           return this._initializingView();
+        case 'LOADING':
+          return this._initializingView();
         case 'ERROR':
-          return this._errorView(error);
+          return this._errorView();
         case 'PROFILE':
           return <ProfileViewer/>;
         default:
@@ -70,6 +112,8 @@ class ProfileViewWhenReadyImpl extends Component {
         case 'INITIALIZING':
           retrieveTrackedDataFromTelemetry();
           return this._initializingView();
+        case 'LOADING':
+          return this._initializingView();
         case 'ERROR':
           return this._errorView();
         case 'PROFILE':
@@ -85,18 +129,28 @@ class ProfileViewWhenReadyImpl extends Component {
 
 ProfileViewWhenReadyImpl.propTypes = {
   mode: PropTypes.string.isRequired,
+  from: PropTypes.string,
+  profileURL: PropTypes.string,
   view: PropTypes.string.isRequired,
-  error: PropTypes.string,
+  error: PropTypes.object,
+  viewURL: PropTypes.string.isRequired,
+  profileLoadProgress: PropTypes.object,
   durationSpec: PropTypes.string.isRequired,
   payloadID: PropTypes.string,
   historical: PropTypes.bool,
   retrieveProfileFromTelemetry: PropTypes.func.isRequired,
+  retrieveProfileFromWeb: PropTypes.func.isRequired,
+  retryAfterError: PropTypes.func.isRequired,
 };
 
 const ProfileViewWhenReady = connect(state => ({
   mode: getMode(state),
+  from: getFrom(state),
+  profileURL: getProfileURL(state),
   view: getView(state),
   error: getError(state),
+  viewURL: urlFromState(getURLState(state)),
+  profileLoadProgress: getProfileLoadProgress(state),
   durationSpec: getDurationSpec(state),
   payloadID: getPayloadID(state),
   historical: getHistorical(state),
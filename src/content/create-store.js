@@ -14,6 +14,7 @@ import messages from './messages-content';
 export default function initializeStore() {
   const summaryWorker = new Worker('summary-worker.js');
   const dateGraphWorkers = [0,1,2,3].map(_ => new Worker('date-graph-worker.js'));
+  const profileLoaderWorker = new Worker('profile-loader-worker.js');
 
   const store = createStore(
     combineReducers(Object.assign({}, reducers)),
@@ -24,6 +25,7 @@ export default function initializeStore() {
       threadDispatcher(dateGraphWorkers[1], 'toDateGraphWorker'),
       threadDispatcher(dateGraphWorkers[2], 'toDateGraphWorker'),
       threadDispatcher(dateGraphWorkers[3], 'toDateGraphWorker'),
+      threadDispatcher(profileLoaderWorker, 'toProfileLoaderWorker'),
       process.env.NODE_ENV === 'development'
         ? createLogger({titleFormatter: action => `content action ${action.type}`})
         : null,
@@ -34,6 +36,7 @@ export default function initializeStore() {
   handleMessages(dateGraphWorkers[1], store, messages);
   handleMessages(dateGraphWorkers[2], store, messages);
   handleMessages(dateGraphWorkers[3], store, messages);
+  handleMessages(profileLoaderWorker, store, messages);
 
   dateGraphWorkers.forEach((worker, i) => {
     worker.postMessage({
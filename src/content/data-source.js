@@ -0,0 +1,51 @@
+// @flow
+
+/**
+ * The hang aggregates are produced by a telemetry analysis job and served as
+ * static JSON files. Every file is fetched relative to a "data source", which
+ * is the base URL that the job's output is served from. The data source can be
+ * set for a single view with the `dataSource` URL query parameter, and a default
+ * for this browser can be persisted from the home page.
+ */
+export const DEFAULT_DATA_SOURCE = 'https://analysis-output.telemetry.mozilla.org/bhr/data/hang_aggregates/';
+
+const DATA_SOURCE_STORAGE_KEY = 'bhr.dataSource';
+
+export function getPersistedDataSource(): string {
+  try {
+    return window.localStorage.getItem(DATA_SOURCE_STORAGE_KEY) || DEFAULT_DATA_SOURCE;
+  } catch (e) {
+    // localStorage can throw when storage is disabled.
+    return DEFAULT_DATA_SOURCE;
+  }
+}
+
+/**
+ * Persist the default data source. Passing null or the default data source
+ * clears the stored value.
+ * @param {string|null} dataSource The new default base URL.
+ */
+export function persistDataSource(dataSource: string | null) {
+  try {
+    if (!dataSource || dataSource === DEFAULT_DATA_SOURCE) {
+      window.localStorage.removeItem(DATA_SOURCE_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(DATA_SOURCE_STORAGE_KEY, dataSource);
+    }
+  } catch (e) {
+    console.error('Unable to persist the data source', e);
+  }
+}
+
+/**
+ * Resolve a file name against a data source. Relative data sources, e.g.
+ * "/hang_aggregates/", are resolved against the current location so that a local
+ * static server can be used for testing.
+ * @param {string} dataSource The base URL.
+ * @param {string} fileName   The file to fetch, relative to the data source.
+ * @return {string}           The absolute URL.
+ */
+export function getDataSourceURL(dataSource: string, fileName: string): string {
+  const base = dataSource.endsWith('/') ? dataSource : dataSource + '/';
+  return new URL(fileName, new URL(base, window.location.href)).href;
+}
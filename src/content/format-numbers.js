@@ -0,0 +1,16 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+
+/**
+ * Format a time or a count for display, with one decimal for large numbers and
+ * three significant digits for small ones.
+ */
+export function formatDecimal(decimalNumber: number): string {
+  if (decimalNumber >= 100) {
+    return parseFloat(decimalNumber.toFixed(1)).toLocaleString();
+  }
+  return parseFloat(decimalNumber.toPrecision(3)).toLocaleString();
+}
@@ -2,9 +2,13 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-import { profileCategoriesProcessed } from './actions/categories-view';
+import { profileCategoriesProcessed, profileSampleCategoriesProcessed } from './actions/categories-view';
 import { profileRunnablesProcessed } from './actions/runnables-view';
+import { profileRegressionsProcessed } from './actions/regressions-view';
 import { dateGraphRebuilt } from './actions/date-graph';
+import {
+  profileLoadProgress, profileLoaded, profileLoadFailed, profileSummarized,
+} from './actions/receive-profile';
 /**
  * Messages are the translation layer from actions dispatched by the worker
  * thread to the content thread. This de-couples the state of the two threads.
@@ -13,13 +17,37 @@ const messages = {};
 export default messages;
 
 messages.PROFILE_CATEGORIES_PROCESSED = function(message, call) {
-  call(profileCategoriesProcessed, message.categories);
+  call(profileCategoriesProcessed, message.categories, message.rulesGeneration);
+};
+
+messages.PROFILE_SAMPLE_CATEGORIES_PROCESSED = function(message, call) {
+  call(profileSampleCategoriesProcessed, message.sampleCategories, message.rulesGeneration);
 };
 
 messages.PROFILE_RUNNABLES_PROCESSED = function(message, call) {
   call(profileRunnablesProcessed, message.runnables);
 };
 
+messages.PROFILE_REGRESSIONS_PROCESSED = function(message, call) {
+  call(profileRegressionsProcessed, message.regressions);
+};
+
 messages.DATE_GRAPH_REBUILT = function(message, call) {
   call(dateGraphRebuilt, message.dateGraph, message.workerIndex, message.numWorkers);
 };
+
+messages.PROFILE_LOAD_PROGRESS = function(message, call) {
+  call(profileLoadProgress, message.request, message.progress);
+};
+
+messages.PROFILE_LOADED = function(message, call) {
+  call(profileLoaded, message.request, message.profile);
+};
+
+messages.PROFILE_LOAD_FAILED = function(message, call) {
+  call(profileLoadFailed, message.request, message.error);
+};
+
+messages.PROFILE_SUMMARIZED = function(message, call) {
+  call(profileSummarized);
+};
@@ -1,5 +1,5 @@
 import { getContainingLibrary, getClosestLibrary } from './symbolication';
-import { UniqueStringArray } from './unique-string-array';
+import { UniqueStringArray } from '../common/unique-string-array';
 import { resourceTypes } from './profile-data';
 import { provideHostSide } from './promise-worker';
 import { CURRENT_VERSION, upgradeProcessedProfileToCurrentVersion, isProcessedProfile } from './processed-profile-versioning';
@@ -0,0 +1,140 @@
+// @flow
+import { getStore } from './async-storage';
+import { UniqueStringArray } from '../common/unique-string-array';
+import type { Profile } from '../common/types/profile';
+
+/**
+ * Profiles from telemetry are cached in IndexedDB so that revisiting a view
+ * doesn't have to wait for the download. Each profile is stored under its
+ * cache key, and the list of cached profiles is kept separately under
+ * ENTRIES_KEY so that it can be shown without reading every profile. Profiles
+ * with the same duration from different data sources are different profiles,
+ * so the data source is part of the key.
+ */
+const store = getStore('bhr-profile-cache');
+const ENTRIES_KEY = 'cachedProfileEntries';
+
+export type CachedProfileEntry = {
+  key: string,
+  dataSource: string,
+  durationSpec: string,
+  historical: boolean,
+  payloadID: string | null,
+  uuid: string,
+  size: number,
+  storedAt: number,
+};
+
+export function getProfileCacheKey(
+  dataSource: string,
+  durationSpec: string,
+  historical: boolean,
+  payloadID: string | null
+): string {
+  let key = `hang_profile_${durationSpec}`;
+  if (historical) {
+    key += '_historical';
+  }
+  if (payloadID) {
+    key += '_' + payloadID;
+  }
+  return `${key}@${dataSource}`;
+}
+
+/**
+ * Roughly how many bytes the profile takes up, to give an idea of what evicting
+ * it from the cache would free.
+ */
+function _estimateSize(profile: Object): number {
+  let size = 0;
+  function addTable(table: Object) {
+    for (const key in table) {
+      const value = table[key];
+      if (ArrayBuffer.isView(value)) {
+        size += value.byteLength;
+      } else if (Array.isArray(value)) {
+        size += value.length * 8;
+      }
+    }
+  }
+  for (const thread of profile.threads) {
+    addTable(thread.stackTable);
+    addTable(thread.sampleTable);
+    addTable(thread.funcTable);
+    thread.dates.forEach(addTable);
+    size += thread.stringArray.reduce((sum, string) => sum + string.length * 2, 0);
+  }
+  return size;
+}
+
+export async function getCachedProfileEntries(): Promise<CachedProfileEntry[]> {
+  return (await store.getItem(ENTRIES_KEY)) || [];
+}
+
+/**
+ * The updates of ENTRIES_KEY each read the list and write it back, so they are
+ * run one after the other, or one of two concurrent updates would be lost.
+ */
+let _entriesUpdate: Promise<void> = Promise.resolve();
+
+function _updateCachedProfileEntries(
+  update: (entries: CachedProfileEntry[]) => CachedProfileEntry[]
+): Promise<void> {
+  const result = _entriesUpdate.then(async () => {
+    const entries = await getCachedProfileEntries();
+    await store.setItem(ENTRIES_KEY, update(entries));
+  });
+  // A failed update shouldn't stop the ones after it.
+  _entriesUpdate = result.catch(() => {});
+  return result;
+}
+
+/**
+ * @param {string} key The cache key from getProfileCacheKey.
+ * @return {Promise}   The cached profile, or null if it isn't cached.
+ */
+export async function getCachedProfile(key: string): Promise<Profile | null> {
+  const profile = await store.getItem(key);
+  if (!profile) {
+    return null;
+  }
+  for (const thread of profile.threads) {
+    thread.stringTable = new UniqueStringArray(thread.stringArray);
+  }
+  return profile;
+}
+
+/**
+ * Store a profile in the cache, replacing any older copy. The string tables are
+ * left out, as they can be rebuilt from each thread's stringArray.
+ */
+export async function cacheProfile(
+  key: string,
+  dataSource: string,
+  durationSpec: string,
+  historical: boolean,
+  payloadID: string | null,
+  profile: Profile
+): Promise<void> {
+  const storedProfile = Object.assign({}, profile, {
+    threads: profile.threads.map(thread => Object.assign({}, thread, { stringTable: null })),
+  });
+  await store.setItem(key, storedProfile);
+
+  const entry = {
+    key,
+    dataSource,
+    durationSpec,
+    historical,
+    payloadID,
+    uuid: profile.uuid,
+    size: _estimateSize(storedProfile),
+    storedAt: Date.now(),
+  };
+  await _updateCachedProfileEntries(entries => entries.filter(e => e.key !== key).concat(entry));
+}
+
+export async function evictCachedProfile(key: string): Promise<void> {
+  await store.removeItem(key);
+  await _updateCachedProfileEntries(entries => entries.filter(e => e.key !== key));
+}
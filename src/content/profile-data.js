@@ -1,6 +1,7 @@
 // @flow
 import type {
   Profile,
+  Lib,
   Thread,
   UsageHoursByDate,
   AllDatesTable,
@@ -9,11 +10,20 @@ import type {
   IndexIntoFuncTable,
   IndexIntoStringTable,
   IndexIntoStackTable,
+  IndexIntoLibs,
 } from '../common/types/profile';
+import type {
+  DiffThread, FuncTimesTable, CallEdge, CallerCalleeTimes,
+} from '../common/types/profile-derived';
+import type { SearchQuery, SearchTerm } from './actions/types';
 import { timeCode } from '../common/time-code';
+import { UniqueStringArray } from '../common/unique-string-array';
 import { objectValues, friendlyThreadName } from '../common/utils';
-import { sampleCategorizer, categoryNames } from '../common/profile-categories';
+import { sampleCategorizer, categoryIsInSet } from '../common/profile-categories';
+import type { CategoryRule } from '../common/profile-categories';
+import type { SampleCategories } from '../common/types/workers';
 import { OneToManyIndex } from './one-to-many-index';
+import { isEmptySearchQuery, searchTermMatches } from './search-query';
 
 const INVERTED_CALLSTACK_ROOT_THRESHOLD = 0.001;
 
@@ -56,104 +66,274 @@ export function defaultThreadOrder(threads: Thread[]) {
   return threadOrder;
 }
 
-export function filterThreadToSearchString(thread: Thread, searchString: string) {
-  return timeCode('filterThreadToSearchString', () => {
-    if (searchString === '') {
-      return thread;
-    }
-    const lowercaseSearchString = searchString.toLowerCase();
-    const {
-      sampleTable,
-      funcTable,
-      stackTable,
-      stringTable,
-    } = thread;
-
-    function computeFuncMatchesFilter(func) {
-      const nameIndex = funcTable.name[func];
-      const nameString = stringTable.getString(nameIndex);
-      if (nameString.toLowerCase().includes(lowercaseSearchString)) {
-        return true;
-      }
-
-      return false;
-    }
+function _funcMatchesSearchTerms(thread: Thread, func: IndexIntoFuncTable, terms: SearchTerm[]) {
+  const { funcTable, stringTable, libs } = thread;
+  const nameString = stringTable.getString(funcTable.name[func]);
+  const lib = libs[funcTable.lib[func]];
+  return terms.some(term => searchTermMatches(term, nameString) ||
+    (lib !== undefined && (searchTermMatches(term, lib.name) || searchTermMatches(term, lib.debugName))));
+}
 
-    const funcMatchesFilterCache = new Map();
-    function funcMatchesFilter(func) {
-      let result = funcMatchesFilterCache.get(func);
-      if (result === undefined) {
-        result = computeFuncMatchesFilter(func);
-        funcMatchesFilterCache.set(func, result);
-      }
-      return result;
+/**
+ * Filter thread to only contain samples whose stack has a function that
+ * matches one of the included terms of |searchQuery|, if there are any, and
+ * none that matches one of its excluded terms. Terms are matched against the
+ * names of functions and of their libraries.
+ * @param  {object} thread      The thread.
+ * @param  {object} searchQuery The query, as returned by parseSearchQuery.
+ * @return {object}             The filtered thread.
+ */
+export function filterThreadToSearchQuery(thread: Thread, searchQuery: SearchQuery) {
+  return timeCode('filterThreadToSearchQuery', () => {
+    if (isEmptySearchQuery(searchQuery)) {
+      return thread;
     }
+    const { sampleTable, stackTable } = thread;
 
-    const stackMatchesFilterCache = new Map();
-    function stackMatchesFilter(stackIndex) {
-      if (stackIndex === null || stackIndex === -1) {
-        return false;
-      }
-      let result = stackMatchesFilterCache.get(stackIndex);
-      if (result === undefined) {
-        const prefix = stackTable.prefix[stackIndex];
-        if (stackMatchesFilter(prefix)) {
-          result = true;
-        } else {
-          const func = stackTable.func[stackIndex];
-          result = funcMatchesFilter(func);
+    function stackMatchesTerms(terms) {
+      const funcMatchesCache = new Map();
+      const stackMatchesCache = new Map();
+      return function stackMatches(stackIndex) {
+        if (stackIndex === null || stackIndex === -1) {
+          return false;
         }
-        stackMatchesFilterCache.set(stackIndex, result);
-      }
-      return result;
+        let result = stackMatchesCache.get(stackIndex);
+        if (result === undefined) {
+          const prefix = stackTable.prefix[stackIndex];
+          if (stackMatches(prefix)) {
+            result = true;
+          } else {
+            const func = stackTable.func[stackIndex];
+            result = funcMatchesCache.get(func);
+            if (result === undefined) {
+              result = _funcMatchesSearchTerms(thread, func, terms);
+              funcMatchesCache.set(func, result);
+            }
+          }
+          stackMatchesCache.set(stackIndex, result);
+        }
+        return result;
+      };
     }
 
+    const stackIsIncluded = searchQuery.include.length !== 0
+      ? stackMatchesTerms(searchQuery.include)
+      : s => s !== null && s !== -1;
+    const stackIsExcluded = stackMatchesTerms(searchQuery.exclude);
+
     return Object.assign({}, thread, {
       sampleTable: Object.assign({}, sampleTable, {
-        stack: sampleTable.stack.map(s => (stackMatchesFilter(s) ? s : null)),
+        stack: sampleTable.stack.map(s => (stackIsIncluded(s) && !stackIsExcluded(s) ? s : null)),
       }),
     });
   });
 }
 
-const categorizerMemo = new Map();
+/**
+ * Find the stacks whose own function matches one of the included terms of
+ * |searchQuery|, as opposed to one of their ancestors.
+ * @param  {object} thread      The thread.
+ * @param  {object} searchQuery The query, as returned by parseSearchQuery.
+ * @return {array}              The matching stacks.
+ */
+export function getStacksMatchingSearchQuery(thread: Thread, searchQuery: SearchQuery): IndexIntoStackTable[] {
+  const { stackTable } = thread;
+  const funcMatches = new Map();
+  const result = [];
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const func = stackTable.func[stackIndex];
+    let matches = funcMatches.get(func);
+    if (matches === undefined) {
+      matches = _funcMatchesSearchTerms(thread, func, searchQuery.include);
+      funcMatches.set(func, matches);
+    }
+    if (matches) {
+      result.push(stackIndex);
+    }
+  }
+  return result;
+}
 
-export function filterThreadToCategory(thread: Thread, category: string) {
+/**
+ * Filter a thread to the samples in some categories.
+ * @param  {object} thread           The thread, which may be filtered.
+ * @param  {string} category         The category filter from the URL.
+ * @param  {object} sampleCategories The categories of the samples of the
+ *                                   unfiltered thread, see getSampleCategories.
+ * @return {object}                  The filtered thread.
+ */
+export function filterThreadToCategory(thread: Thread, category: string, sampleCategories: SampleCategories) {
   return timeCode('filterThreadToCategory', () => {
     if (category == 'all') {
       return thread;
     }
 
-    let categorySet;
-    if (category[0] == '-') {
-      categorySet = new Set(categoryNames);
-      category.substr(1).split(',').forEach(c => categorySet.delete(c));
-    } else {
-      categorySet = new Set(category.split(','));
-    }
+    // A category includes its subcategories, e.g. "script" includes
+    // "script.parse".
+    const isExcluding = category[0] == '-';
+    const categorySet = new Set((isExcluding ? category.substr(1) : category).split(','));
 
     const {
       sampleTable,
     } = thread;
 
-    const categorizer = sampleCategorizer(thread);
-    function categorize(sampleIndex) {
-      let memo = categorizerMemo.get(sampleIndex);
-      if (memo === undefined) {
-        memo = categorizer(sampleIndex) || 'uncategorized';
-        categorizerMemo.set(sampleIndex, memo);
+    // Most samples share their category with many others.
+    const isInFilterCache: Map<number, boolean> = new Map();
+    function isInFilter(sampleIndex) {
+      const categoryIndex = sampleCategories.category[sampleIndex];
+      let result = isInFilterCache.get(categoryIndex);
+      if (result === undefined) {
+        const sampleCategory = categoryIndex === -1 ? 'uncategorized' : sampleCategories.names[categoryIndex];
+        result = categoryIsInSet(sampleCategory, categorySet) !== isExcluding;
+        isInFilterCache.set(categoryIndex, result);
       }
-      return memo;
+      return result;
     }
 
     return Object.assign({}, thread, {
       sampleTable: Object.assign({}, sampleTable, {
-        stack: sampleTable.stack.map((s, i) => s !== null && categorySet.has(categorize(i)) ? s : null),
+        stack: sampleTable.stack.map((s, i) => s !== null && isInFilter(i) ? s : null),
       }),
     });
   });
 }
 
+/**
+ * Add the categories that the summary worker computed for the samples of a
+ * thread, as the sampleTable.category column of indexes into
+ * sampleTable.categoryNames. The names are kept apart from the string table,
+ * so that the thread's data isn't changed.
+ * @param {object} thread The thread.
+ * @param {object} sampleCategories The categories from the summary worker.
+ * @return {object} The thread with the column.
+ */
+export function addSampleCategories(thread: Thread, sampleCategories: SampleCategories): Thread {
+  const { sampleTable } = thread;
+  if (sampleCategories.category.length !== sampleTable.stack.length) {
+    // The categories are of a profile that was replaced while the worker was
+    // computing them.
+    return thread;
+  }
+  return Object.assign({}, thread, {
+    sampleTable: Object.assign({}, sampleTable, {
+      category: sampleCategories.category,
+      categoryNames: sampleCategories.names,
+    }),
+  });
+}
+
+/**
+ * Remove the sampleTable.category column and its names, e.g. when the
+ * categories are about to be computed again with other rules.
+ */
+export function removeSampleCategories(thread: Thread): Thread {
+  if (!thread.sampleTable.category) {
+    return thread;
+  }
+  const sampleTable = Object.assign({}, thread.sampleTable);
+  delete sampleTable.category;
+  delete sampleTable.categoryNames;
+  return Object.assign({}, thread, { sampleTable });
+}
+
+/**
+ * Get the category of every sample of an unfiltered thread. These are the ones
+ * that the summary worker added, see addSampleCategories, and are computed the
+ * same way with sampleCategorizer until they arrive, or for threads that it
+ * doesn't categorize, like the ones of a comparison profile. The call tree
+ * filters change the stacks that the rules match, so the categories have to
+ * come from the unfiltered thread. All of the filters keep the samples where
+ * they are, so the categories can be used with any filtered version of it.
+ */
+export function getSampleCategories(thread: Thread, categoryRules: CategoryRule[]): SampleCategories {
+  const { category, categoryNames } = thread.sampleTable;
+  if (category && categoryNames) {
+    return { names: categoryNames, category };
+  }
+  return timeCode('getSampleCategories', () => {
+    const categorizer = sampleCategorizer(thread, categoryRules);
+    const names = [];
+    const nameIndexes: Map<string, number> = new Map();
+    const categories = new Int32Array(thread.sampleTable.length);
+    for (let sampleIndex = 0; sampleIndex < thread.sampleTable.length; sampleIndex++) {
+      const name = categorizer(sampleIndex);
+      if (name === null) {
+        categories[sampleIndex] = -1;
+        continue;
+      }
+      let index = nameIndexes.get(name);
+      if (index === undefined) {
+        index = names.length;
+        names.push(name);
+        nameIndexes.set(name, index);
+      }
+      categories[sampleIndex] = index;
+    }
+    return { names, category: categories };
+  });
+}
+
+/**
+ * Find the category that most of the hang time of each stack falls in.
+ * @param  {object} thread           The thread, which may be filtered.
+ * @param  {object} sampleCategories The categories from getSampleCategories.
+ * @return {array}                   The category of each stack, or null for
+ *                                   stacks without any hang time.
+ */
+export function getStackCategories(thread: Thread, sampleCategories: SampleCategories): Array<string | null> {
+  return timeCode('getStackCategories', () => {
+    const { stackTable, sampleTable } = thread;
+
+    // The time of each category in each stack, including its descendants. Only
+    // the categories that occur are kept, and the times of a stack are handed
+    // on to its prefix once its own category is known, as the prefixes come
+    // before their stacks.
+    const times: Array<Map<number, number> | void> = new Array(stackTable.length);
+    for (let sampleIndex = 0; sampleIndex < sampleTable.length; sampleIndex++) {
+      const stackIndex = sampleTable.stack[sampleIndex];
+      if (stackIndex !== null && stackIndex !== -1) {
+        let stackTimes = times[stackIndex];
+        if (!stackTimes) {
+          stackTimes = new Map();
+          times[stackIndex] = stackTimes;
+        }
+        const category = sampleCategories.category[sampleIndex];
+        stackTimes.set(category, (stackTimes.get(category) || 0) + sampleTable.sampleHangMs[sampleIndex]);
+      }
+    }
+
+    const stackCategories = new Array(stackTable.length).fill(null);
+    for (let stackIndex = stackTable.length - 1; stackIndex >= 0; stackIndex--) {
+      const stackTimes = times[stackIndex];
+      if (!stackTimes) {
+        continue;
+      }
+      times[stackIndex] = undefined;
+      let maxTime = 0;
+      for (const [category, time] of stackTimes) {
+        if (time > maxTime) {
+          maxTime = time;
+          stackCategories[stackIndex] = category === -1 ? 'uncategorized' : sampleCategories.names[category];
+        }
+      }
+
+      const prefix = stackTable.prefix[stackIndex];
+      if (prefix === null || prefix === -1) {
+        continue;
+      }
+      const prefixTimes = times[prefix];
+      if (!prefixTimes) {
+        times[prefix] = stackTimes;
+      } else {
+        for (const [category, time] of stackTimes) {
+          prefixTimes.set(category, (prefixTimes.get(category) || 0) + time);
+        }
+      }
+    }
+    return stackCategories;
+  });
+}
+
 export function filterThreadToPlatform(thread: Thread, platform: string) {
   return timeCode('filterThreadToPlatform', () => {
     if (!platform) {
@@ -339,6 +519,202 @@ export function filterThreadToPostfixStack(thread: Thread, postfixFuncs: IndexIn
   });
 }
 
+/**
+ * Rebuild the stack table of |thread| by passing each stack, from the roots
+ * up, to |getNewStack|, which returns the new stack that the stack is mapped
+ * to, or -1 to drop it. Samples whose stack is dropped are filtered out.
+ * @param  {object} thread       The thread.
+ * @param  {number} funcCount    The number of funcs that the new stacks use.
+ * @param  {function} getNewStack Called with the old stack, the new stack
+ *                               that the old prefix was mapped to (-1 for
+ *                               roots) and a function that returns the new
+ *                               stack for a prefix and a func.
+ * @return {object}              The thread with the new stacks.
+ */
+function _rebuildStackTable(
+  thread: Thread,
+  funcCount: number,
+  getNewStack: (
+    stackIndex: IndexIntoStackTable,
+    newPrefix: IndexIntoStackTable | -1,
+    stackFor: (prefix: IndexIntoStackTable | -1, func: IndexIntoFuncTable) => IndexIntoStackTable
+  ) => IndexIntoStackTable | -1
+) {
+  const { stackTable, sampleTable } = thread;
+  const newStackTable = {
+    length: 0,
+    func: [],
+    prefix: [],
+  };
+  // Keyed by prefix * funcCount + func, like in invertCallstack.
+  const prefixAndFuncToStack = new Map();
+
+  function stackFor(prefix, func) {
+    const prefixAndFuncIndex = prefix * funcCount + func;
+    let stackIndex = prefixAndFuncToStack.get(prefixAndFuncIndex);
+    if (stackIndex === undefined) {
+      stackIndex = newStackTable.length++;
+      newStackTable.prefix[stackIndex] = prefix;
+      newStackTable.func[stackIndex] = func;
+      prefixAndFuncToStack.set(prefixAndFuncIndex, stackIndex);
+    }
+    return stackIndex;
+  }
+
+  const oldStackToNewStack = new Int32Array(stackTable.length);
+  for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+    const prefix = stackTable.prefix[stackIndex];
+    const newPrefix = prefix === null || prefix === -1 ? -1 : oldStackToNewStack[prefix];
+    oldStackToNewStack[stackIndex] = getNewStack(stackIndex, newPrefix, stackFor);
+  }
+
+  const newSamples = Object.assign({}, sampleTable, {
+    stack: sampleTable.stack.map(oldStack => {
+      if (oldStack === null || oldStack === -1) {
+        return null;
+      }
+      const newStack = oldStackToNewStack[oldStack];
+      return newStack === -1 ? null : newStack;
+    }),
+  });
+  return Object.assign({}, thread, {
+    stackTable: newStackTable,
+    sampleTable: newSamples,
+  });
+}
+
+/**
+ * Remove the frames of |funcIndex| from all stacks, so that their time is
+ * attributed to their callers. Samples whose stack only consisted of the
+ * function are filtered out.
+ * @param  {object} thread    The thread.
+ * @param  {number} funcIndex The function to merge.
+ * @return {object}           The transformed thread.
+ */
+export function mergeFunction(thread: Thread, funcIndex: IndexIntoFuncTable) {
+  return timeCode('mergeFunction', () => {
+    const { stackTable, funcTable } = thread;
+    return _rebuildStackTable(thread, funcTable.length, (stackIndex, newPrefix, stackFor) => {
+      const func = stackTable.func[stackIndex];
+      return func === funcIndex ? newPrefix : stackFor(newPrefix, func);
+    });
+  });
+}
+
+/**
+ * Only keep the part of each stack from the outermost call to |funcIndex|
+ * onwards, so that all calls to the function become a single root. Samples
+ * whose stack doesn't contain the function are filtered out.
+ * @param  {object} thread    The thread.
+ * @param  {number} funcIndex The function to focus on.
+ * @return {object}           The transformed thread.
+ */
+export function focusOnFunction(thread: Thread, funcIndex: IndexIntoFuncTable) {
+  return timeCode('focusOnFunction', () => {
+    const { stackTable, funcTable } = thread;
+    const isFocused = new Uint8Array(stackTable.length);
+    return _rebuildStackTable(thread, funcTable.length, (stackIndex, newPrefix, stackFor) => {
+      const prefix = stackTable.prefix[stackIndex];
+      const func = stackTable.func[stackIndex];
+      if (prefix !== null && prefix !== -1 && isFocused[prefix]) {
+        isFocused[stackIndex] = 1;
+        return stackFor(newPrefix, func);
+      }
+      if (func === funcIndex) {
+        isFocused[stackIndex] = 1;
+        return stackFor(-1, func);
+      }
+      return -1;
+    });
+  });
+}
+
+/**
+ * Collapse the calls that |funcIndex| makes to itself, directly or through
+ * other functions, into its outermost call. The frames between the recursive
+ * calls are removed.
+ * @param  {object} thread    The thread.
+ * @param  {number} funcIndex The recursive function.
+ * @return {object}           The transformed thread.
+ */
+export function collapseRecursion(thread: Thread, funcIndex: IndexIntoFuncTable) {
+  return timeCode('collapseRecursion', () => {
+    const { stackTable, funcTable } = thread;
+    // The new stack of the outermost call to the function, for the stacks
+    // that are inside of it.
+    const outermostCall = new Int32Array(stackTable.length);
+    return _rebuildStackTable(thread, funcTable.length, (stackIndex, newPrefix, stackFor) => {
+      const prefix = stackTable.prefix[stackIndex];
+      const func = stackTable.func[stackIndex];
+      const prefixOutermostCall = prefix === null || prefix === -1 ? -1 : outermostCall[prefix];
+      if (func !== funcIndex) {
+        outermostCall[stackIndex] = prefixOutermostCall;
+        return stackFor(newPrefix, func);
+      }
+      const newStack = prefixOutermostCall !== -1 ? prefixOutermostCall : stackFor(newPrefix, func);
+      outermostCall[stackIndex] = newStack;
+      return newStack;
+    });
+  });
+}
+
+/**
+ * Fold each run of consecutive frames from the library |libIndex| into a
+ * single frame of a new function that is named after the library. The new
+ * function is added at the end of the func table.
+ * @param  {object} thread   The thread.
+ * @param  {number} libIndex The library to collapse, as an index into libs.
+ * @return {object}          The transformed thread.
+ */
+export function collapseLib(thread: Thread, libIndex: IndexIntoLibs) {
+  return timeCode('collapseLib', () => {
+    const { stackTable, funcTable, libs } = thread;
+    const stringTable = new UniqueStringArray(thread.stringTable.serializeToArray());
+    const lib = libs[libIndex];
+    const collapsedFunc = funcTable.length;
+    const newFuncTable = Object.assign({}, funcTable, {
+      length: funcTable.length + 1,
+      name: [...funcTable.name, stringTable.indexForString(lib ? lib.debugName || lib.name : 'unknown library')],
+      lib: [...funcTable.lib, libIndex],
+    });
+    const isInLib = new Uint8Array(stackTable.length);
+    const result = _rebuildStackTable(thread, newFuncTable.length, (stackIndex, newPrefix, stackFor) => {
+      const prefix = stackTable.prefix[stackIndex];
+      const func = stackTable.func[stackIndex];
+      if (funcTable.lib[func] !== libIndex) {
+        return stackFor(newPrefix, func);
+      }
+      isInLib[stackIndex] = 1;
+      if (prefix !== null && prefix !== -1 && isInLib[prefix]) {
+        return newPrefix;
+      }
+      return stackFor(newPrefix, collapsedFunc);
+    });
+    return Object.assign(result, {
+      funcTable: newFuncTable,
+      stringTable,
+    });
+  });
+}
+
+/**
+ * Translate a library from one thread to another thread by its name, see
+ * translateFuncArray.
+ * @param  {number} libIndex    The library, as an index into the libs of
+ *                              |fromThread|.
+ * @param  {object} fromThread  The thread that |libIndex| belongs to.
+ * @param  {object} toThread    The thread to translate to.
+ * @return {number}             The library, as an index into the libs of
+ *                              |toThread|, or -1 if it has no such library.
+ */
+export function translateLibIndex(libIndex: IndexIntoLibs, fromThread: Thread, toThread: Thread): IndexIntoLibs | -1 {
+  const lib = fromThread.libs[libIndex];
+  if (!lib) {
+    return -1;
+  }
+  return toThread.libs.findIndex(toLib => toLib.debugName === lib.debugName && toLib.name === lib.name);
+}
+
 export function filterThreadToRange(thread: Thread, usageHoursByDate: UsageHoursByDate,
                                     rangeStart: number, rangeEnd: number) {
   const totalUsageHours = objectValues(usageHoursByDate)
@@ -364,6 +740,217 @@ export function filterThreadToRange(thread: Thread, usageHoursByDate: UsageHours
   });
 }
 
+/**
+ * Like filterThreadToRange, but the sample values are hang rates within the
+ * range, rather than a share of the hang rate across all of the dates, so that
+ * ranges of different lengths can be compared.
+ */
+export function getThreadHangRateForRange(thread: Thread, usageHoursByDate: UsageHoursByDate,
+                                          rangeStart: number, rangeEnd: number) {
+  const rangeThread = filterThreadToRange(thread, usageHoursByDate, rangeStart, rangeEnd);
+  const totalUsageHours = objectValues(usageHoursByDate)
+    .reduce((sum: number, next: number) => sum + next, 0);
+  const rangeUsageHours = thread.dates.slice(rangeStart, rangeEnd + 1)
+    .reduce((sum, date) => sum + usageHoursByDate[date.date], 0);
+  if (rangeUsageHours === 0) {
+    return rangeThread;
+  }
+
+  const scale = totalUsageHours / rangeUsageHours;
+  const { sampleTable } = rangeThread;
+  return Object.assign({}, rangeThread, {
+    sampleTable: Object.assign({}, sampleTable, {
+      sampleHangMs: sampleTable.sampleHangMs.map(ms => ms * scale),
+      sampleHangCount: sampleTable.sampleHangCount.map(count => count * scale),
+    }),
+  });
+}
+
+/**
+ * Compare the hang rates of a thread before and after |splitDate|, in the form
+ * that getDiffCallTree takes. Both halves share the stacks of |thread|.
+ * @param  {object} thread            The thread.
+ * @param  {object} usageHoursByDate  The usage hours of the profile.
+ * @param  {number} rangeStart        The first date to include.
+ * @param  {number} splitDate         The first date after the split.
+ * @param  {number} rangeEnd          The last date to include.
+ * @return {object}                   The hang rates after the split, compared
+ *                                    with those before it.
+ */
+export function splitThreadAtDate(thread: Thread, usageHoursByDate: UsageHoursByDate,
+                                  rangeStart: number, splitDate: number, rangeEnd: number): DiffThread {
+  return timeCode('splitThreadAtDate', () => {
+    const before = getThreadHangRateForRange(thread, usageHoursByDate, rangeStart, splitDate - 1);
+    const after = getThreadHangRateForRange(thread, usageHoursByDate, splitDate, rangeEnd);
+    return {
+      thread: after,
+      comparisonSampleTable: before.sampleTable,
+    };
+  });
+}
+
+/**
+ * Add up the hang time and count of a thread by function instead of by stack.
+ * The self values of a function come from the samples whose stack ends in it,
+ * and its total values from the samples that have it anywhere in their stack.
+ * A function that appears more than once in a stack, through recursion, only
+ * counts that stack once.
+ * @param  {object} thread The thread, which should not be inverted.
+ * @return {object}        The functions that have any hang time or count.
+ */
+export function getFuncTimesTable(thread: Thread): FuncTimesTable {
+  return timeCode('getFuncTimesTable', () => {
+    const { stackTable, sampleTable, funcTable } = thread;
+    const stackSelfTime = new Float64Array(stackTable.length);
+    const stackSelfCount = new Float64Array(stackTable.length);
+    for (let sampleIndex = 0; sampleIndex < sampleTable.length; sampleIndex++) {
+      const stackIndex = sampleTable.stack[sampleIndex];
+      if (stackIndex !== null && stackIndex !== -1) {
+        stackSelfTime[stackIndex] += sampleTable.sampleHangMs[sampleIndex];
+        stackSelfCount[stackIndex] += sampleTable.sampleHangCount[sampleIndex];
+      }
+    }
+
+    const selfTime = new Float64Array(funcTable.length);
+    const totalTime = new Float64Array(funcTable.length);
+    const selfCount = new Float64Array(funcTable.length);
+    const totalCount = new Float64Array(funcTable.length);
+    // The last stack that each function was counted for, plus one.
+    const countedForStack = new Int32Array(funcTable.length);
+    for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+      const time = stackSelfTime[stackIndex];
+      const count = stackSelfCount[stackIndex];
+      if (time === 0 && count === 0) {
+        continue;
+      }
+      selfTime[stackTable.func[stackIndex]] += time;
+      selfCount[stackTable.func[stackIndex]] += count;
+      for (
+        let currentStack = stackIndex;
+        currentStack !== null && currentStack !== -1;
+        currentStack = stackTable.prefix[currentStack]
+      ) {
+        const func = stackTable.func[currentStack];
+        if (countedForStack[func] !== stackIndex + 1) {
+          countedForStack[func] = stackIndex + 1;
+          totalTime[func] += time;
+          totalCount[func] += count;
+        }
+      }
+    }
+
+    const table = {
+      length: 0,
+      func: [],
+      selfTime: [],
+      totalTime: [],
+      selfCount: [],
+      totalCount: [],
+    };
+    for (let func = 0; func < funcTable.length; func++) {
+      if (totalTime[func] !== 0 || totalCount[func] !== 0) {
+        table.func.push(func);
+        table.selfTime.push(selfTime[func]);
+        table.totalTime.push(totalTime[func]);
+        table.selfCount.push(selfCount[func]);
+        table.totalCount.push(totalCount[func]);
+        table.length++;
+      }
+    }
+    return table;
+  });
+}
+
+/**
+ * Find all of the callers and callees of a function across the whole thread,
+ * rather than along a single path of the call tree, and how much hang time
+ * went through each of those calls. A call that shows up more than once in a
+ * stack, through recursion, only counts that stack once. A function that calls
+ * itself directly is both one of its own callers and one of its own callees.
+ * @param  {object} thread The thread, which should not be inverted.
+ * @param  {number} func   The function.
+ * @return {object}        The time of the function, and of each call.
+ */
+export function getCallerCalleeTimes(thread: Thread, func: IndexIntoFuncTable): CallerCalleeTimes {
+  return timeCode('getCallerCalleeTimes', () => {
+    const { stackTable, sampleTable } = thread;
+    const stackSelfTime = new Float64Array(stackTable.length);
+    const stackSelfCount = new Float64Array(stackTable.length);
+    for (let sampleIndex = 0; sampleIndex < sampleTable.length; sampleIndex++) {
+      const stackIndex = sampleTable.stack[sampleIndex];
+      if (stackIndex !== null && stackIndex !== -1) {
+        stackSelfTime[stackIndex] += sampleTable.sampleHangMs[sampleIndex];
+        stackSelfCount[stackIndex] += sampleTable.sampleHangCount[sampleIndex];
+      }
+    }
+
+    const result = {
+      func,
+      selfTime: 0,
+      totalTime: 0,
+      selfCount: 0,
+      totalCount: 0,
+      callers: [],
+      callees: [],
+    };
+    const callers: Map<IndexIntoFuncTable | -1, CallEdge> = new Map();
+    const callees: Map<IndexIntoFuncTable | -1, CallEdge> = new Map();
+    function addToEdge(edges, edgeFunc, time, count) {
+      let edge = edges.get(edgeFunc);
+      if (edge === undefined) {
+        edge = { func: edgeFunc, time: 0, count: 0 };
+        edges.set(edgeFunc, edge);
+      }
+      edge.time += time;
+      edge.count += count;
+    }
+
+    for (let stackIndex = 0; stackIndex < stackTable.length; stackIndex++) {
+      const time = stackSelfTime[stackIndex];
+      const count = stackSelfCount[stackIndex];
+      if (time === 0 && count === 0) {
+        continue;
+      }
+      if (stackTable.func[stackIndex] === func) {
+        result.selfTime += time;
+        result.selfCount += count;
+      }
+
+      const stackCallers = new Set();
+      const stackCallees = new Set();
+      for (
+        let currentStack = stackIndex;
+        currentStack !== null && currentStack !== -1;
+        currentStack = stackTable.prefix[currentStack]
+      ) {
+        const prefix = stackTable.prefix[currentStack];
+        const hasPrefix = prefix !== null && prefix !== -1;
+        if (stackTable.func[currentStack] === func) {
+          stackCallers.add(hasPrefix ? stackTable.func[prefix] : -1);
+        }
+        if (hasPrefix && stackTable.func[prefix] === func) {
+          stackCallees.add(stackTable.func[currentStack]);
+        }
+      }
+      if (stackCallers.size === 0) {
+        continue;
+      }
+      result.totalTime += time;
+      result.totalCount += count;
+      for (const caller of stackCallers) {
+        addToEdge(callers, caller, time, count);
+      }
+      for (const callee of stackCallees) {
+        addToEdge(callees, callee, time, count);
+      }
+    }
+
+    result.callers = Array.from(callers.values()).sort((a, b) => b.time - a.time);
+    result.callees = Array.from(callees.values()).sort((a, b) => b.time - a.time);
+    return result;
+  });
+}
+
 export function getStackFromFuncArray(funcArray: IndexIntoFuncTable[], stackTable: StackTable) {
   let fs = -1;
   for (let i = 0; i < funcArray.length; i++) {
@@ -406,6 +993,137 @@ export function getStackAsFuncArray(stackIndex: IndexIntoStackTable, stackTable:
   return funcArray;
 }
 
+function _getFuncName(thread: Thread, func: IndexIntoFuncTable): string | null {
+  if (func < 0 || func >= thread.funcTable.length) {
+    return null;
+  }
+  return thread.stringTable.getString(thread.funcTable.name[func]);
+}
+
+/**
+ * Translate an array of funcs from one thread to another thread, e.g. of a
+ * different profile, by function name. Funcs that have no function of the
+ * same name in |toThread| become -1, which doesn't match any stack.
+ * @param  {array} funcArray    The funcs, as indices into |fromThread|.
+ * @param  {object} fromThread  The thread that |funcArray| belongs to.
+ * @param  {object} toThread    The thread to translate to.
+ * @return {array}              The funcs, as indices into |toThread|.
+ */
+export function translateFuncArray(
+  funcArray: IndexIntoFuncTable[],
+  fromThread: Thread,
+  toThread: Thread
+): IndexIntoFuncTable[] {
+  const funcForName = new Map();
+  for (let func = toThread.funcTable.length - 1; func >= 0; func--) {
+    funcForName.set(_getFuncName(toThread, func), func);
+  }
+  return funcArray.map(func => {
+    const toFunc = funcForName.get(_getFuncName(fromThread, func));
+    return toFunc === undefined ? -1 : toFunc;
+  });
+}
+
+/**
+ * Merge the stacks of |comparisonThread| into those of |thread|, matching
+ * stacks by the names of the functions on their path from the root. The funcs
+ * and stacks of |thread| keep their indices, and the ones that only exist in
+ * |comparisonThread| are added after them, so that the selected and expanded
+ * stacks of |thread| still apply to the merged thread.
+ * @param  {object} thread            The thread that is being viewed.
+ * @param  {object} comparisonThread  The thread to compare it with.
+ * @return {object}                   The merged thread, which has the samples of
+ *                                    |thread|, and the samples of
+ *                                    |comparisonThread| with their stacks
+ *                                    mapped to the merged stack table.
+ */
+export function mergeThreadsByFuncName(thread: Thread, comparisonThread: Thread): DiffThread {
+  return timeCode('mergeThreadsByFuncName', () => {
+    const { stackTable, funcTable } = thread;
+    const stringTable = new UniqueStringArray(thread.stringTable.serializeToArray());
+    const libs: Lib[] = thread.libs.concat(comparisonThread.libs);
+    const funcNames = funcTable.name.slice();
+    const funcLibs = funcTable.lib.slice();
+
+    // Functions with the same name are merged into the first of them.
+    const funcForName: Map<string, IndexIntoFuncTable> = new Map();
+    for (let func = funcTable.length - 1; func >= 0; func--) {
+      funcForName.set(stringTable.getString(funcNames[func]), func);
+    }
+    const comparisonFuncToFunc: Map<IndexIntoFuncTable, IndexIntoFuncTable> = new Map();
+    function funcForComparisonFunc(comparisonFunc) {
+      let func = comparisonFuncToFunc.get(comparisonFunc);
+      if (func === undefined) {
+        const name = comparisonThread.stringTable.getString(comparisonThread.funcTable.name[comparisonFunc]);
+        func = funcForName.get(name);
+        if (func === undefined) {
+          const lib = comparisonThread.funcTable.lib[comparisonFunc];
+          func = funcNames.length;
+          funcNames.push(stringTable.indexForString(name));
+          funcLibs.push(lib === null || lib === -1 ? lib : thread.libs.length + lib);
+          funcForName.set(name, func);
+        }
+        comparisonFuncToFunc.set(comparisonFunc, func);
+      }
+      return func;
+    }
+
+    const prefixes = Array.from(stackTable.prefix, prefix => (prefix === null ? -1 : prefix));
+    const funcs = Array.from(stackTable.func);
+    const prefixAndFuncToStack: Map<string, IndexIntoStackTable> = new Map();
+    for (let stackIndex = stackTable.length - 1; stackIndex >= 0; stackIndex--) {
+      prefixAndFuncToStack.set(`${prefixes[stackIndex]},${funcs[stackIndex]}`, stackIndex);
+    }
+
+    const comparisonStackTable = comparisonThread.stackTable;
+    const comparisonStackToStack = new Int32Array(comparisonStackTable.length);
+    for (let comparisonStack = 0; comparisonStack < comparisonStackTable.length; comparisonStack++) {
+      const comparisonPrefix = comparisonStackTable.prefix[comparisonStack];
+      const prefix = comparisonPrefix === null || comparisonPrefix === -1
+        ? -1
+        : comparisonStackToStack[comparisonPrefix];
+      const func = funcForComparisonFunc(comparisonStackTable.func[comparisonStack]);
+      const key = `${prefix},${func}`;
+      let stackIndex = prefixAndFuncToStack.get(key);
+      if (stackIndex === undefined) {
+        stackIndex = prefixes.length;
+        prefixes.push(prefix);
+        funcs.push(func);
+        prefixAndFuncToStack.set(key, stackIndex);
+      }
+      comparisonStackToStack[comparisonStack] = stackIndex;
+    }
+
+    const depth = new Int32Array(prefixes.length);
+    for (let stackIndex = 0; stackIndex < prefixes.length; stackIndex++) {
+      const prefix = prefixes[stackIndex];
+      depth[stackIndex] = prefix === -1 ? 0 : depth[prefix] + 1;
+    }
+
+    const comparisonSampleTable = comparisonThread.sampleTable;
+    return {
+      thread: Object.assign({}, thread, {
+        stackTable: {
+          length: prefixes.length,
+          prefix: new Int32Array(prefixes),
+          func: new Int32Array(funcs),
+          depth,
+        },
+        funcTable: Object.assign({}, funcTable, {
+          length: funcNames.length,
+          name: funcNames,
+          lib: funcLibs,
+        }),
+        libs,
+        stringTable,
+      }),
+      comparisonSampleTable: Object.assign({}, comparisonSampleTable, {
+        stack: comparisonSampleTable.stack.map(s => (s === null || s === -1 ? null : comparisonStackToStack[s])),
+      }),
+    };
+  });
+}
+
 export function invertCallstack(thread: Thread): Thread {
   return timeCode('invertCallstack', () => {
     const { stackTable, funcTable, sampleTable } = thread;
@@ -468,6 +1186,7 @@ export function invertCallstack(thread: Thread): Thread {
 export function getEmptyProfile(): Profile {
   return {
     threads: [],
+    unavailableThreads: [],
     dates: [],
     usageHoursByDate: {},
     uuid: '',
@@ -1,13 +1,21 @@
 // @flow
 import { timeCode } from '../common/time-code';
-import { UniqueStringArray } from './unique-string-array';
-import type { Thread, StackTable, FuncTable, Lib, IndexIntoFuncTable, IndexIntoStackTable } from '../common/types/profile';
-import type { Node } from '../common/types/profile-derived';
+import { UniqueStringArray } from '../common/unique-string-array';
+import type {
+  Thread, StackTable, SampleTable, FuncTable, Lib, IndexIntoFuncTable, IndexIntoStackTable,
+} from '../common/types/profile';
+import type { Node, DiffThread } from '../common/types/profile-derived';
 import type { Milliseconds } from '../common/types/units';
 
 type StackChildren = IndexIntoStackTable[];
 type StackTimes = { selfTime: Milliseconds, totalTime: Milliseconds };
 type StackCounts = { selfCount: Milliseconds, totalCount: Milliseconds };
+type StackTimesAndCounts = {
+  stackTimes: StackTimes,
+  stackCounts: StackCounts,
+  rootTotalTime: number,
+  rootTotalCount: number,
+};
 
 function extractFaviconFromLibname(libname: string): string | null {
   const url = new URL('/favicon.ico', libname);
@@ -22,6 +30,14 @@ function formatDecimal(decimalNumber) {
   }
 }
 
+function formatSignedDecimal(decimalNumber) {
+  const formatted = formatDecimal(Math.abs(decimalNumber));
+  if (decimalNumber > 0) {
+    return '+' + formatted;
+  }
+  return decimalNumber < 0 ? '-' + formatted : formatted;
+}
+
 class ProfileTree {
 
   _stackTable: StackTable;
@@ -88,7 +104,7 @@ class ProfileTree {
           children.push(childStackIndex);
         }
       }
-      children.sort((a, b) => this._stackTimes.totalTime[b] - this._stackTimes.totalTime[a]);
+      children.sort((a, b) => this._compareChildren(a, b));
       this._children.set(stackIndex, children);
     }
     return children;
@@ -113,6 +129,18 @@ class ProfileTree {
     return Array.from(descendants);
   }
 
+  _compareChildren(a: IndexIntoStackTable, b: IndexIntoStackTable): number {
+    return this._stackTimes.totalTime[b] - this._stackTimes.totalTime[a];
+  }
+
+  getTotalTime(stackIndex: IndexIntoStackTable): number {
+    return this._stackTimes.totalTime[stackIndex];
+  }
+
+  getRootTotalTime(): number {
+    return this._rootTotalTime;
+  }
+
   hasChildren(stackIndex: IndexIntoStackTable): boolean {
     return this.getChildren(stackIndex).length !== 0;
   }
@@ -167,63 +195,177 @@ class ProfileTree {
   }
 }
 
+/**
+ * The call tree of a thread compared with the same thread of another profile,
+ * or with an earlier date range of the same profile. Stacks are shown if they
+ * have time in either of them, and the columns show how much the time and count
+ * went up or down compared to the other one.
+ */
+class DiffProfileTree extends ProfileTree {
+
+  _times: StackTimesAndCounts;
+  _comparisonTimes: StackTimesAndCounts;
+
+  constructor(
+    stackTable: StackTable,
+    combinedTimes: StackTimesAndCounts,
+    times: StackTimesAndCounts,
+    comparisonTimes: StackTimesAndCounts,
+    stackChildCount: Uint32Array,
+    funcTable: FuncTable,
+    libs: Lib[],
+    stringTable: UniqueStringArray,
+    rootCount: number,
+    depth: Uint32Array,
+  ) {
+    super(
+      stackTable, combinedTimes.stackTimes, combinedTimes.stackCounts,
+      stackChildCount, funcTable, libs, stringTable, combinedTimes.rootTotalTime,
+      combinedTimes.rootTotalCount, rootCount, depth
+    );
+    this._times = times;
+    this._comparisonTimes = comparisonTimes;
+  }
+
+  /**
+   * The children with the largest regression come first, and the ones with the
+   * largest improvement last.
+   */
+  _compareChildren(a: IndexIntoStackTable, b: IndexIntoStackTable): number {
+    const totalTime = this._times.stackTimes.totalTime;
+    const comparisonTotalTime = this._comparisonTimes.stackTimes.totalTime;
+    return (totalTime[b] - comparisonTotalTime[b]) - (totalTime[a] - comparisonTotalTime[a]);
+  }
+
+  getNode(stackIndex: IndexIntoStackTable): Node {
+    let node = this._nodes.get(stackIndex);
+    if (node === undefined) {
+      const { stackTimes, stackCounts } = this._times;
+      const comparison = this._comparisonTimes;
+      const funcIndex = this._stackTable.func[stackIndex];
+      const totalTime = stackTimes.totalTime[stackIndex];
+      const selfTime = stackTimes.selfTime[stackIndex];
+      const totalCount = stackCounts.totalCount[stackIndex] * 1000.0;
+      const comparisonTotalTime = comparison.stackTimes.totalTime[stackIndex];
+      const comparisonSelfTime = comparison.stackTimes.selfTime[stackIndex];
+      const comparisonTotalCount = comparison.stackCounts.totalCount[stackIndex] * 1000.0;
+
+      node = {
+        totalTimePercent: `${formatSignedDecimal(totalTime - comparisonTotalTime)} ms/h`,
+        selfTime: `${formatSignedDecimal(selfTime - comparisonSelfTime)} ms/h`,
+        totalCountPercent: `${formatSignedDecimal(totalCount - comparisonTotalCount)} hangs/kh`,
+        totalTimeAbsolute: `${formatDecimal(comparisonTotalTime)} \u2192 ${formatDecimal(totalTime)} ms/h`,
+        selfTimeAbsolute: `${formatDecimal(comparisonSelfTime)} \u2192 ${formatDecimal(selfTime)} ms/h`,
+        totalCountAbsolute: `${formatDecimal(comparisonTotalCount)} \u2192 ${formatDecimal(totalCount)} hangs/kh`,
+        name: this._stringTable.getString(this._funcTable.name[funcIndex]),
+        lib: this._getOriginAnnotation(funcIndex),
+        // Stacks that only have time in the other profile went away entirely.
+        dim: totalTime === 0,
+        icon: null,
+      };
+      this._nodes.set(stackIndex, node);
+    }
+    return node;
+  }
+}
+
 export type ProfileTreeClass = ProfileTree;
 
-export function getCallTree(
-  thread: Thread
-): ProfileTree {
-  return timeCode('getCallTree', () => {
-    const { stackTable, sampleTable } = thread;
+function _computeStackTimes(stackTable: StackTable, sampleTable: SampleTable): StackTimesAndCounts {
+  const selfTime = new Float32Array(stackTable.length);
+  const totalTime = new Float32Array(stackTable.length);
+  const selfCount = new Float32Array(stackTable.length);
+  const totalCount = new Float32Array(stackTable.length);
+  let rootTotalTime = 0;
+  let rootTotalCount = 0;
 
-    const selfTime = new Float32Array(stackTable.length);
-    const totalTime = new Float32Array(stackTable.length);
-    const selfCount = new Float32Array(stackTable.length);
-    const totalCount = new Float32Array(stackTable.length);
-
-    const numChildren = new Uint32Array(stackTable.length);
-    const depth = new Uint32Array(stackTable.length);
-    let rootTotalTime = 0;
-    let rootTotalCount = 0;
-    let numRoots = 0;
-
-    for (let i = 0; i < sampleTable.length; i++) {
-      let stackIndex = sampleTable.stack[i];
-      if (stackIndex !== null) {
-        selfTime[stackIndex] += sampleTable.sampleHangMs[i];
-        selfCount[stackIndex] += sampleTable.sampleHangCount[i];
-      }
+  for (let i = 0; i < sampleTable.length; i++) {
+    let stackIndex = sampleTable.stack[i];
+    if (stackIndex !== null) {
+      selfTime[stackIndex] += sampleTable.sampleHangMs[i];
+      selfCount[stackIndex] += sampleTable.sampleHangCount[i];
     }
+  }
 
-    for (let i = stackTable.length - 1; i >= 0; i--) {
-      totalTime[i] += selfTime[i];
-      totalCount[i] += selfCount[i];
-      if (totalTime[i] === 0) {
-        continue;
-      }
+  for (let i = stackTable.length - 1; i >= 0; i--) {
+    totalTime[i] += selfTime[i];
+    totalCount[i] += selfCount[i];
+    if (totalTime[i] === 0) {
+      continue;
+    }
+
+    const prefix = stackTable.prefix[i];
+    if (prefix === -1) {
+      rootTotalTime += totalTime[i];
+      rootTotalCount += totalCount[i];
+    } else {
+      totalTime[prefix] += totalTime[i];
+      totalCount[prefix] += totalCount[i];
+    }
+  }
+
+  return {
+    stackTimes: { selfTime, totalTime },
+    stackCounts: { selfCount, totalCount },
+    rootTotalTime,
+    rootTotalCount,
+  };
+}
+
+function _combineStackTimes(a: StackTimesAndCounts, b: StackTimesAndCounts): StackTimesAndCounts {
+  const add = (x, y) => x.map((value, i) => value + y[i]);
+  return {
+    stackTimes: {
+      selfTime: add(a.stackTimes.selfTime, b.stackTimes.selfTime),
+      totalTime: add(a.stackTimes.totalTime, b.stackTimes.totalTime),
+    },
+    stackCounts: {
+      selfCount: add(a.stackCounts.selfCount, b.stackCounts.selfCount),
+      totalCount: add(a.stackCounts.totalCount, b.stackCounts.totalCount),
+    },
+    rootTotalTime: a.rootTotalTime + b.rootTotalTime,
+    rootTotalCount: a.rootTotalCount + b.rootTotalCount,
+  };
+}
 
-      const prefix = stackTable.prefix[i];
+/**
+ * Count the children with time of every stack, and of the root, and compute
+ * the depth of every stack.
+ */
+function _computeTreeShape(stackTable: StackTable, totalTime: Float32Array) {
+  const numChildren = new Uint32Array(stackTable.length);
+  const depth = new Uint32Array(stackTable.length);
+  let numRoots = 0;
+
+  for (let i = 0; i < stackTable.length; i++) {
+    const prefix = stackTable.prefix[i];
+    if (prefix !== -1) {
+      depth[i] = depth[prefix] + 1;
+    } else {
+      depth[i] = 0;
+    }
+    if (totalTime[i] !== 0) {
       if (prefix === -1) {
-        rootTotalTime += totalTime[i];
-        rootTotalCount += totalCount[i];
         numRoots++;
       } else {
         numChildren[prefix]++;
-        totalTime[prefix] += totalTime[i];
-        totalCount[prefix] += totalCount[i];
       }
     }
+  }
 
-    for (let i = 0; i < stackTable.length; i++) {
-      const prefix = stackTable.prefix[i];
-      if (prefix !== -1) {
-        depth[i] = depth[prefix] + 1;
-      } else {
-        depth[i] = 0;
-      }
-    }
+  return { numChildren, depth, numRoots };
+}
+
+export function getCallTree(
+  thread: Thread
+): ProfileTree {
+  return timeCode('getCallTree', () => {
+    const { stackTable, sampleTable } = thread;
+    const {
+      stackTimes, stackCounts, rootTotalTime, rootTotalCount,
+    } = _computeStackTimes(stackTable, sampleTable);
+    const { numChildren, depth, numRoots } = _computeTreeShape(stackTable, stackTimes.totalTime);
 
-    const stackTimes = { selfTime, totalTime };
-    const stackCounts = { selfCount, totalCount };
     return new ProfileTree(
       stackTable, stackTimes, stackCounts, numChildren, thread.funcTable,
       thread.libs, thread.stringTable, rootTotalTime, rootTotalCount, numRoots,
@@ -231,3 +373,25 @@ export function getCallTree(
     );
   });
 }
+
+/**
+ * Build the call tree of a thread that is compared with something else, see
+ * mergeThreadsByFuncName and splitThreadAtDate.
+ */
+export function getDiffCallTree(
+  diffThread: DiffThread
+): ProfileTree {
+  return timeCode('getDiffCallTree', () => {
+    const { thread, comparisonSampleTable } = diffThread;
+    const { stackTable } = thread;
+    const times = _computeStackTimes(stackTable, thread.sampleTable);
+    const comparisonTimes = _computeStackTimes(stackTable, comparisonSampleTable);
+    const combinedTimes = _combineStackTimes(times, comparisonTimes);
+    const { numChildren, depth, numRoots } = _computeTreeShape(stackTable, combinedTimes.stackTimes.totalTime);
+
+    return new DiffProfileTree(
+      stackTable, combinedTimes, times, comparisonTimes, numChildren, thread.funcTable,
+      thread.libs, thread.stringTable, numRoots, depth
+    );
+  });
+}
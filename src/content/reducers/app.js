@@ -3,26 +3,77 @@ import { combineReducers } from 'redux';
 
 import type { Action } from '../actions/types';
 import type { State, AppState, Reducer } from './types';
+import type { ProfileLoadProgress } from '../../common/types/workers';
+import type { LoadError } from '../../common/errors';
 
+/**
+ * The view starts out as INITIALIZING, which tells the Root to start retrieving
+ * the data for the current URL. Once a retrieval has started it becomes LOADING.
+ * A received profile is only shown once the summary worker has summarized it.
+ */
 function view(state: string = 'INITIALIZING', action: Action) {
   switch (action.type) {
-    case 'RECEIVE_PROFILE_FROM_TELEMETRY':
     case 'RECEIVE_TRACKED_DATA_FROM_TELEMETRY':
       return 'PROFILE';
+    case 'PROFILE_SUMMARIZED':
+      return state === 'LOADING' ? 'PROFILE' : state;
+    case 'RETRY_AFTER_ERROR':
+      return 'INITIALIZING';
     case 'WAITING_FOR_PROFILE_FROM_TELEMETRY':
+    case 'WAITING_FOR_PROFILE_FROM_FILE':
+    case 'WAITING_FOR_PROFILE_FROM_WEB':
     case 'WAITING_FOR_TRACKED_DATA_FROM_TELEMETRY':
-      return 'INITIALIZING';
+      return 'LOADING';
     case 'ERROR_RECEIVING_PROFILE_FROM_TELEMETRY':
+    case 'ERROR_RECEIVING_PROFILE_FROM_FILE':
+    case 'ERROR_RECEIVING_PROFILE_FROM_WEB':
       return 'ERROR';
     default:
       return state;
   }
 }
 
-function error(state: string = '', action: Action) {
+function error(state: LoadError | null = null, action: Action) {
   switch (action.type) {
     case 'ERROR_RECEIVING_PROFILE_FROM_TELEMETRY':
+    case 'ERROR_RECEIVING_PROFILE_FROM_FILE':
+    case 'ERROR_RECEIVING_PROFILE_FROM_WEB':
       return action.error;
+    case 'RETRY_AFTER_ERROR':
+      return null;
+    default:
+      return state;
+  }
+}
+
+function profileLoadProgress(state: ProfileLoadProgress | null = null, action: Action) {
+  switch (action.type) {
+    case 'PROFILE_LOAD_PROGRESS':
+      return action.progress;
+    case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
+      return state ? Object.assign({}, state, { phase: 'summarize' }) : null;
+    case 'WAITING_FOR_PROFILE_FROM_TELEMETRY':
+    case 'WAITING_FOR_PROFILE_FROM_FILE':
+    case 'WAITING_FOR_PROFILE_FROM_WEB':
+    case 'WAITING_FOR_TRACKED_DATA_FROM_TELEMETRY':
+      return null;
+    default:
+      return state;
+  }
+}
+
+/**
+ * Whether a newer copy of a profile that was served from the profile cache has
+ * been downloaded in the background.
+ */
+function isCachedProfileStale(state: boolean = false, action: Action) {
+  switch (action.type) {
+    case 'CACHED_PROFILE_REVALIDATED':
+      return action.isStale;
+    case 'WAITING_FOR_PROFILE_FROM_TELEMETRY':
+      return false;
     default:
       return state;
   }
@@ -37,10 +88,15 @@ function isURLSetupDone(state: boolean = false, action: Action) {
   }
 }
 
-const appStateReducer: Reducer<AppState> = combineReducers({ view, error, isURLSetupDone });
+const appStateReducer: Reducer<AppState> = combineReducers({
+  view, error, profileLoadProgress, isCachedProfileStale, isURLSetupDone,
+});
 export default appStateReducer;
 
 export const getApp = (state: State): AppState => state.app;
 export const getView = (state: State): string => getApp(state).view;
-export const getError = (state: State): string => getApp(state).error;
+export const getError = (state: State): LoadError | null => getApp(state).error;
 export const getIsURLSetupDone = (state: State): boolean => getApp(state).isURLSetupDone;
+export const getProfileLoadProgress = (state: State): ProfileLoadProgress | null =>
+  getApp(state).profileLoadProgress;
+export const getIsCachedProfileStale = (state: State): boolean => getApp(state).isCachedProfileStale;
@@ -5,11 +5,18 @@
 // @flow
 import type { Action } from '../actions/types';
 import type { State, CategoriesViewState } from '../reducers/types';
-import { getProfile } from './profile-view';
 import { createSelector } from 'reselect';
+import * as ProfileCategories from '../../common/profile-categories';
+import { getPersistedCategoryRules } from '../category-rules';
 
 export default function categoriesViewReducer(
-  state: CategoriesViewState = { categories: null, expanded: null },
+  state: CategoriesViewState = {
+    categories: null,
+    expanded: null,
+    expandedCategories: {},
+    rules: getPersistedCategoryRules(),
+    rulesGeneration: 0,
+  },
   action: Action
 ): CategoriesViewState {
   switch (action.type) {
@@ -19,6 +26,28 @@ export default function categoriesViewReducer(
         expanded: new Set(),
       });
     }
+    case 'CHANGE_CATEGORY_RULES': {
+      // The summary is computed again by the summary worker.
+      return Object.assign({}, state, {
+        categories: null,
+        rules: action.rules,
+        rulesGeneration: state.rulesGeneration + 1,
+      });
+    }
+    case 'CATEGORY_SUMMARY_EXPAND':
+    case 'CATEGORY_SUMMARY_COLLAPSE': {
+      const expanded = new Set(state.expandedCategories[action.threadIndex]);
+      if (action.type === 'CATEGORY_SUMMARY_EXPAND') {
+        expanded.add(action.category);
+      } else {
+        expanded.delete(action.category);
+      }
+      return Object.assign({}, state, {
+        expandedCategories: Object.assign({}, state.expandedCategories, {
+          [action.threadIndex]: expanded,
+        }),
+      });
+    }
     default:
       return state;
   }
@@ -34,3 +63,19 @@ export const getProfileCategories = createSelector(getCategoriesView, categories
 export const getProfileExpandedSummaries = createSelector(getCategoriesView, categoriesView => {
   return categoriesView.expanded;
 });
+
+export const getExpandedCategories = createSelector(getCategoriesView, categoriesView => {
+  return categoriesView.expandedCategories;
+});
+
+export const getCategoryRules = createSelector(getCategoriesView, categoriesView => {
+  return categoriesView.rules;
+});
+
+export const getCategoryRulesGeneration = createSelector(getCategoriesView, categoriesView => {
+  return categoriesView.rulesGeneration;
+});
+
+export const getCategoryNames = createSelector(getCategoryRules, ProfileCategories.getCategoryNames);
+
+export const getCategoryTreeNames = createSelector(getCategoryNames, ProfileCategories.getCategoryTreeNames);
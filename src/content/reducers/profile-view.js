@@ -3,6 +3,7 @@ import { combineReducers } from 'redux';
 import { createSelector } from 'reselect';
 import * as CallTreeFilters from '../call-tree-filters';
 import * as URLState from './url-state';
+import { getCategoryRules } from './categories-view';
 import * as ProfileData from '../profile-data';
 import * as ProfileTree from '../profile-tree';
 
@@ -14,30 +15,90 @@ import type {
   IndexIntoFuncTable,
   IndexIntoStackTable,
 } from '../../common/types/profile';
+import type {
+  DiffThread, FuncTimesTable, CallerCalleeTimes,
+} from '../../common/types/profile-derived';
+import type { SampleCategories } from '../../common/types/workers';
 import type { Days, StartEndRange } from '../../common/types/units';
 import type { Action, CallTreeFilter, ProfileSelection } from '../actions/types';
 import type {
   State,
   Reducer,
   ProfileViewState,
+  ComparisonState,
   RequestedLib,
   ThreadViewOptions,
 } from './types';
 
+// More matches than this aren't worth stepping through one by one.
+const MAX_SEARCH_MATCHES = 100;
+
 function profile(state: Profile = ProfileData.getEmptyProfile(), action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return action.profile;
+    case 'PROFILE_SAMPLE_CATEGORIES_PROCESSED': {
+      const { sampleCategories } = action;
+      if (sampleCategories.length !== state.threads.length) {
+        return state;
+      }
+      return Object.assign({}, state, {
+        threads: state.threads.map((thread, threadIndex) =>
+          ProfileData.addSampleCategories(thread, sampleCategories[threadIndex])),
+      });
+    }
+    case 'CHANGE_CATEGORY_RULES':
+      // The summary worker categorizes the samples again with the new rules.
+      return Object.assign({}, state, {
+        threads: state.threads.map(ProfileData.removeSampleCategories),
+      });
+    default:
+      return state;
+  }
+}
+
+function comparison(
+  state: ComparisonState = { isLoading: false, profile: null, error: null },
+  action: Action
+) {
+  switch (action.type) {
+    case 'WAITING_FOR_COMPARISON_PROFILE':
+      return { isLoading: true, profile: null, error: null };
+    case 'RECEIVE_COMPARISON_PROFILE':
+      return { isLoading: false, profile: action.profile, error: null };
+    case 'ERROR_RECEIVING_COMPARISON_PROFILE':
+      return { isLoading: false, profile: null, error: action.error };
+    case 'STOP_COMPARING':
+      return { isLoading: false, profile: null, error: null };
     default:
       return state;
   }
 }
 
 function stackAfterCallTreeFilter(funcArray: IndexIntoFuncTable[], filter: CallTreeFilter) {
-  if (filter.type === 'prefix') {
-    return removePrefixFromFuncArray(filter.prefixFuncs, funcArray);
+  switch (filter.type) {
+    case 'prefix':
+      return removePrefixFromFuncArray(filter.prefixFuncs, funcArray);
+    case 'mergeFunction': {
+      const { funcIndex } = filter;
+      return funcArray.filter(func => func !== funcIndex);
+    }
+    case 'focusFunction': {
+      const index = funcArray.indexOf(filter.funcIndex);
+      return index === -1 ? [] : funcArray.slice(index);
+    }
+    case 'collapseRecursion': {
+      const index = funcArray.indexOf(filter.funcIndex);
+      const lastIndex = funcArray.lastIndexOf(filter.funcIndex);
+      return index === lastIndex ? funcArray : [...funcArray.slice(0, index), ...funcArray.slice(lastIndex)];
+    }
+    default:
+      // Stacks through a collapsed library can't be mapped without the
+      // thread, and simply won't match any stack any more.
+      return funcArray;
   }
-  return funcArray;
 }
 
 function removePrefixFromFuncArray(prefixFuncs: IndexIntoFuncTable[], funcArray: IndexIntoFuncTable[]) {
@@ -51,6 +112,8 @@ function removePrefixFromFuncArray(prefixFuncs: IndexIntoFuncTable[], funcArray:
 function threadOrder(state: ThreadIndex[] = [], action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return ProfileData.defaultThreadOrder(action.profile.threads);
     case 'CHANGE_THREAD_ORDER':
       return action.threadOrder;
@@ -96,6 +159,8 @@ function threadOrder(state: ThreadIndex[] = [], action: Action) {
 function viewOptionsPerThread(state: ThreadViewOptions[] = [], action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return action.profile.threads.map(() => ({
         selectedStack: [],
         expandedStacks: [],
@@ -158,6 +223,8 @@ function scrollToSelectionGeneration(state: number = 0, action: Action) {
 function rootRange(state: StartEndRange = { start: 0, end: 1 }, action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return ProfileData.getTimeRangeIncludingAllThreads(action.profile);
     default:
       return state;
@@ -167,6 +234,8 @@ function rootRange(state: StartEndRange = { start: 0, end: 1 }, action: Action)
 function zeroAt(state: Days = 0, action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return ProfileData.getTimeRangeIncludingAllThreads(action.profile).start;
     default:
       return state;
@@ -180,6 +249,7 @@ const profileViewReducer: Reducer<ProfileViewState> = combineReducers({
     selection, scrollToSelectionGeneration, rootRange, zeroAt,
   }),
   profile,
+  comparison,
 });
 export default profileViewReducer;
 
@@ -226,6 +296,8 @@ export const getDisplayRange = createSelector(
 export const getProfile = (state: State): Profile => getProfileView(state).profile;
 export const getThreads = (state: State): Thread[] => getProfile(state).threads;
 export const getThreadNames = (state: State): string[] => getProfile(state).threads.map(t => t.name);
+export const getComparison = (state: State): ComparisonState => getProfileView(state).comparison;
+export const getComparisonProfile = (state: State): Profile | null => getComparison(state).profile;
 
 export type SelectorsForThread = {
   getThread: State => Thread,
@@ -240,9 +312,31 @@ export type SelectorsForThread = {
   getExpandedStacks: State => IndexIntoStackTable[],
   getPlatforms: State => string[],
   getCallTree: State => ProfileTree.ProfileTreeClass,
+  getSearchMatchStacks: State => IndexIntoStackTable[],
+  getStackCategories: State => Array<string | null>,
+  getFuncTimesTable: State => FuncTimesTable,
+  getSelectedFunc: State => IndexIntoFuncTable | null,
+  getSelectedFuncCallerCalleeTimes: State => CallerCalleeTimes | null,
+  getComparisonThread: State => Thread | null,
+  getDiffThread: State => DiffThread | null,
+  getDiffSelectedStack: State => IndexIntoStackTable,
+  getDiffExpandedStacks: State => IndexIntoStackTable[],
+  getDiffCallTree: State => ProfileTree.ProfileTreeClass | null,
 };
 
 const selectorsForThreads: { [key: ThreadIndex]: SelectorsForThread } = {};
+
+function _filterThreadToSelection(
+  thread: Thread,
+  usageHoursByDate: UsageHoursByDate,
+  viewOptions: $PropertyType<ProfileViewState, 'viewOptions'>
+): Thread {
+  if (!viewOptions.selection.hasSelection) {
+    return thread;
+  }
+  const { selectionStart, selectionEnd } = viewOptions.selection;
+  return ProfileData.filterThreadToRange(thread, usageHoursByDate, selectionStart, selectionEnd);
+}
 export const getUsageHoursByDate = (state: State): UsageHoursByDate => getProfile(state).usageHoursByDate;
 
 export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread => {
@@ -255,11 +349,6 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
       getThread,
       ProfileData.getFriendlyThreadName
     );
-    const getCallTreeFilterLabels: (state: State) => string[] = createSelector(
-      getThread,
-      getCallTreeFilters,
-      CallTreeFilters.getCallTreeFilterLabels
-    );
     const getRangeFilteredThread = createSelector(
       getThread,
       getUsageHoursByDate,
@@ -279,6 +368,14 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
               return ProfileData.filterThreadToPrefixStack(t, filter.prefixFuncs);
             case 'postfix':
               return ProfileData.filterThreadToPostfixStack(t, filter.postfixFuncs);
+            case 'mergeFunction':
+              return ProfileData.mergeFunction(t, filter.funcIndex);
+            case 'focusFunction':
+              return ProfileData.focusOnFunction(t, filter.funcIndex);
+            case 'collapseRecursion':
+              return ProfileData.collapseRecursion(t, filter.funcIndex);
+            case 'collapseLib':
+              return ProfileData.collapseLib(t, filter.libIndex);
             default:
               throw new Error('unhandled call tree filter');
           }
@@ -286,19 +383,31 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
         return result;
       }
     );
+    // The labels are taken from the filtered thread, as collapsing a library
+    // adds a function for it that later filters can refer to.
+    const getCallTreeFilterLabels: (state: State) => string[] = createSelector(
+      _getRangeAndCallTreeFilteredThread,
+      getCallTreeFilters,
+      CallTreeFilters.getCallTreeFilterLabels
+    );
     const _getSearchFilteredThread = createSelector(
       _getRangeAndCallTreeFilteredThread,
-      URLState.getSearchString,
-      (thread, searchString): Thread => {
-        return ProfileData.filterThreadToSearchString(thread, searchString);
+      URLState.getSearchQuery,
+      (thread, searchQuery): Thread => {
+        return ProfileData.filterThreadToSearchQuery(thread, searchQuery);
       }
     );
+    // The categories are of the unfiltered thread, see getSampleCategories.
+    const _getSampleCategories = createSelector(
+      getThread,
+      getCategoryRules,
+      ProfileData.getSampleCategories
+    );
     const _getCategoryFilteredThread = createSelector(
       _getSearchFilteredThread,
       URLState.getCategoryFilter,
-      (thread, categoryFilter): Thread => {
-        return ProfileData.filterThreadToCategory(thread, categoryFilter);
-      }
+      _getSampleCategories,
+      ProfileData.filterThreadToCategory
     );
     const _getPlatformFilteredThread = createSelector(
       _getCategoryFilteredThread,
@@ -332,13 +441,7 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
       getFilteredThread,
       getUsageHoursByDate,
       getProfileViewOptions,
-      (thread, usageHoursByDate, viewOptions): Thread => {
-        if (!viewOptions.selection.hasSelection) {
-          return thread;
-        }
-        const { selectionStart, selectionEnd } = viewOptions.selection;
-        return ProfileData.filterThreadToRange(thread, usageHoursByDate, selectionStart, selectionEnd);
-      }
+      _filterThreadToSelection
     );
     const _getSelectedStackAsFuncArray = createSelector(
       getViewOptions,
@@ -373,6 +476,181 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
       getRangeSelectionFilteredThread,
       ProfileTree.getCallTree
     );
+    // The stacks that match the search, from the heaviest to the lightest, to
+    // expand to and to step through.
+    const getSearchMatchStacks = createSelector(
+      getRangeSelectionFilteredThread,
+      getCallTree,
+      URLState.getSearchQuery,
+      (thread, tree, searchQuery): IndexIntoStackTable[] => {
+        return ProfileData.getStacksMatchingSearchQuery(thread, searchQuery)
+          .filter(stackIndex => tree.getTotalTime(stackIndex) > 0)
+          .sort((a, b) => tree.getTotalTime(b) - tree.getTotalTime(a))
+          .slice(0, MAX_SEARCH_MATCHES);
+      }
+    );
+    // Functions are added up over the stacks of the uninverted thread, which
+    // is what self time, callers and callees refer to whether the call tree is
+    // inverted or not.
+    const _getUninvertedRangeSelectionFilteredThread = createSelector(
+      _getUserInteractingFilteredThread,
+      getUsageHoursByDate,
+      getProfileViewOptions,
+      _filterThreadToSelection
+    );
+    const getFuncTimesTable = createSelector(
+      _getUninvertedRangeSelectionFilteredThread,
+      ProfileData.getFuncTimesTable
+    );
+    // The function of the selected call node, which is the last one in its
+    // stack whether the call tree is inverted or not.
+    const getSelectedFunc = createSelector(
+      _getSelectedStackAsFuncArray,
+      (funcArray): IndexIntoFuncTable | null => {
+        return funcArray.length !== 0 ? funcArray[funcArray.length - 1] : null;
+      }
+    );
+    const getSelectedFuncCallerCalleeTimes = createSelector(
+      _getUninvertedRangeSelectionFilteredThread,
+      getSelectedFunc,
+      (thread, func): CallerCalleeTimes | null => {
+        return func !== null ? ProfileData.getCallerCalleeTimes(thread, func) : null;
+      }
+    );
+    const getStackCategories = createSelector(
+      getRangeSelectionFilteredThread,
+      _getSampleCategories,
+      ProfileData.getStackCategories
+    );
+
+    // The same thread in the profile that is being compared with, which has
+    // the same filters applied, apart from the range filters, as its dates
+    // are different.
+    const getComparisonThread = createSelector(
+      getThread,
+      getComparisonProfile,
+      (thread, comparisonProfile): Thread | null => {
+        if (!comparisonProfile) {
+          return null;
+        }
+        return comparisonProfile.threads.find(t =>
+          t.name === thread.name && t.processType === thread.processType) || null;
+      }
+    );
+    const _getComparisonSampleCategories = createSelector(
+      getComparisonThread,
+      getCategoryRules,
+      (comparisonThread, categoryRules): SampleCategories | null => {
+        return comparisonThread ? ProfileData.getSampleCategories(comparisonThread, categoryRules) : null;
+      }
+    );
+    const _getFilteredComparisonThread = createSelector(
+      getComparisonThread,
+      _getRangeAndCallTreeFilteredThread,
+      getCallTreeFilters,
+      URLState.getSearchQuery,
+      URLState.getCategoryFilter,
+      _getComparisonSampleCategories,
+      URLState.getPlatformFilter,
+      URLState.getRunnableFilter,
+      URLState.getOnlyUserInteracting,
+      URLState.getInvertCallstack,
+      (comparisonThread, thread, callTreeFilters, searchQuery, categoryFilter, comparisonSampleCategories,
+       platformFilter, runnableFilter, onlyUserInteracting, shouldInvertCallstack): Thread | null => {
+        if (!comparisonThread || !comparisonSampleCategories) {
+          return null;
+        }
+        // The call tree filters refer to the funcs of the viewed thread. They
+        // are translated using the funcs of the filtered thread, which include
+        // the ones that collapsing a library adds, into the funcs of the
+        // comparison thread as filtered so far.
+        let result = callTreeFilters.reduce((t, filter) => {
+          switch (filter.type) {
+            case 'prefix':
+              return ProfileData.filterThreadToPrefixStack(
+                t, ProfileData.translateFuncArray(filter.prefixFuncs, thread, t));
+            case 'postfix':
+              return ProfileData.filterThreadToPostfixStack(
+                t, ProfileData.translateFuncArray(filter.postfixFuncs, thread, t));
+            case 'mergeFunction':
+              return ProfileData.mergeFunction(
+                t, ProfileData.translateFuncArray([filter.funcIndex], thread, t)[0]);
+            case 'focusFunction':
+              return ProfileData.focusOnFunction(
+                t, ProfileData.translateFuncArray([filter.funcIndex], thread, t)[0]);
+            case 'collapseRecursion':
+              return ProfileData.collapseRecursion(
+                t, ProfileData.translateFuncArray([filter.funcIndex], thread, t)[0]);
+            case 'collapseLib': {
+              const libIndex = ProfileData.translateLibIndex(filter.libIndex, thread, t);
+              return libIndex === -1 ? t : ProfileData.collapseLib(t, libIndex);
+            }
+            default:
+              throw new Error('unhandled call tree filter');
+          }
+        }, comparisonThread);
+        result = ProfileData.filterThreadToSearchQuery(result, searchQuery);
+        result = ProfileData.filterThreadToCategory(result, categoryFilter, comparisonSampleCategories);
+        result = ProfileData.filterThreadToPlatform(result, platformFilter);
+        if (runnableFilter !== null) {
+          result = ProfileData.filterThreadToRunnable(result, runnableFilter);
+        }
+        if (onlyUserInteracting) {
+          result = ProfileData.filterThreadToUserInteracting(result, true);
+        }
+        return shouldInvertCallstack ? ProfileData.invertCallstack(result) : result;
+      }
+    );
+    // The hang rates after the split date compared with those before it,
+    // within the displayed range.
+    const _getSplitDiffThread = createSelector(
+      getFilteredThread,
+      getUsageHoursByDate,
+      getDisplayRange,
+      URLState.getSplitDate,
+      (thread, usageHoursByDate, range, splitDate): DiffThread | null => {
+        if (splitDate === null || splitDate <= range.start || splitDate > range.end) {
+          return null;
+        }
+        return ProfileData.splitThreadAtDate(thread, usageHoursByDate, range.start, splitDate, range.end);
+      }
+    );
+    // Comparing with another profile takes precedence over the split date.
+    const getDiffThread = createSelector(
+      getRangeSelectionFilteredThread,
+      _getFilteredComparisonThread,
+      _getSplitDiffThread,
+      (thread, comparisonThread, splitDiffThread): DiffThread | null => {
+        if (comparisonThread) {
+          return ProfileData.mergeThreadsByFuncName(thread, comparisonThread);
+        }
+        return splitDiffThread;
+      }
+    );
+    const getDiffSelectedStack = createSelector(
+      getDiffThread,
+      _getSelectedStackAsFuncArray,
+      (diffThread, funcArray): IndexIntoStackTable => {
+        return diffThread ? ProfileData.getStackFromFuncArray(funcArray, diffThread.thread.stackTable) : -1;
+      }
+    );
+    const getDiffExpandedStacks = createSelector(
+      getDiffThread,
+      _getExpandedStacksAsFuncArrays,
+      (diffThread, funcArrays): IndexIntoStackTable[] => {
+        if (!diffThread) {
+          return [];
+        }
+        const { stackTable } = diffThread.thread;
+        return funcArrays.map(funcArray => ProfileData.getStackFromFuncArray(funcArray, stackTable));
+      }
+    );
+    const getDiffCallTree = createSelector(
+      getDiffThread,
+      (diffThread): ProfileTree.ProfileTreeClass | null => {
+        return diffThread ? ProfileTree.getDiffCallTree(diffThread) : null;
+      }
+    );
 
     selectorsForThreads[threadIndex] = {
       getThread,
@@ -388,6 +666,16 @@ export const selectorsForThread = (threadIndex: ThreadIndex): SelectorsForThread
       getExpandedStacks,
       getPlatforms,
       getCallTree,
+      getSearchMatchStacks,
+      getStackCategories,
+      getFuncTimesTable,
+      getSelectedFunc,
+      getSelectedFuncCallerCalleeTimes,
+      getComparisonThread,
+      getDiffThread,
+      getDiffSelectedStack,
+      getDiffExpandedStacks,
+      getDiffCallTree,
     };
   }
   return selectorsForThreads[threadIndex];
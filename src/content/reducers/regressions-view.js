@@ -0,0 +1,30 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// @flow
+import type { Action } from '../actions/types';
+import type { State, RegressionsViewState } from '../reducers/types';
+import { createSelector } from 'reselect';
+
+export default function regressionsViewReducer(
+  state: RegressionsViewState = { regressions: null },
+  action: Action
+): RegressionsViewState {
+  switch (action.type) {
+    case 'PROFILE_REGRESSIONS_PROCESSED': {
+      return Object.assign({}, state, {
+        regressions: action.regressions,
+      });
+    }
+    default:
+      return state;
+  }
+}
+
+export const getRegressionsView = (state: State): RegressionsViewState =>
+  state.regressionsView;
+
+export const getProfileRegressions = createSelector(getRegressionsView, regressionsView => {
+  return regressionsView.regressions;
+});
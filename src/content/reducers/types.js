@@ -6,7 +6,11 @@ import type {
 import type { Days, StartEndRange } from '../../common/types/units';
 import type { IndexIntoFuncTable, Profile, ThreadIndex } from '../../common/types/profile';
 import type { TrackedData } from '../../common/types/trackedData';
-import type { DateGraph, CategorySummary } from '../../common/types/workers';
+import type { LoadError } from '../../common/errors';
+import type { CategoryRule } from '../../common/profile-categories';
+import type {
+  DateGraph, CategorySummary, ProfileLoadProgress, ThreadRegressions,
+} from '../../common/types/workers';
 
 export type Reducer<T> = (T, Action) => T;
 
@@ -15,6 +19,16 @@ export type ThreadViewOptions = {
   selectedStack: IndexIntoFuncTable[],
   expandedStacks: Array<IndexIntoFuncTable[]>,
 };
+/**
+ * The profile that the viewed profile is compared with, if any. Its load is
+ * tracked here rather than in the app state, as the viewed profile is still
+ * shown while it loads.
+ */
+export type ComparisonState = {
+  isLoading: boolean,
+  profile: Profile | null,
+  error: LoadError | null,
+};
 export type ProfileViewState = {
   viewOptions: {
     threadOrder: number[],
@@ -25,6 +39,7 @@ export type ProfileViewState = {
     zeroAt: Days,
   },
   profile: Profile,
+  comparison: ComparisonState,
 };
 
 export type TrackedDataViewState = {
@@ -33,7 +48,9 @@ export type TrackedDataViewState = {
 
 export type AppState = {
   view: string,
-  error: string,
+  error: LoadError | null,
+  profileLoadProgress: ProfileLoadProgress | null,
+  isCachedProfileStale: boolean,
   isURLSetupDone: boolean,
 };
 
@@ -47,9 +64,19 @@ export type RunnablesViewState = {
   runnables: Object[],
 };
 
+export type RegressionsViewState = {
+  regressions: ThreadRegressions[] | null,
+};
+
 export type CategoriesViewState = {
   expanded: Set<number> | null,
+  // The categories that show their subcategories, for each thread.
+  expandedCategories: { [id: ThreadIndex]: Set<string> },
   categories: CategorySummary[] | null,
+  rules: CategoryRule[],
+  // Counts the changes of the rules, so that the summary worker's replies for
+  // older rules can be told apart.
+  rulesGeneration: number,
 };
 
 export type ExploreURLState = {
@@ -67,15 +94,23 @@ export type ExploreURLState = {
   platformFilter: string,
   onlyUserInteracting: boolean,
   payloadID: string | null,
+  splitDate: number | null,
+  compareDurationSpec: string | null,
+  comparePayloadID: string | null,
+  dataSource: string | null,
+  from: string,
+  profileURL: string | null,
   mode: string,
 };
 
 export type TrackURLState = {
   trackedStat: string,
+  dataSource: string | null,
   mode: string,
 };
 
 export type UnknownURLState = {
+  dataSource: string | null,
   mode: string,
 };
 
@@ -89,6 +124,7 @@ export type State = {
   trackedDataView: TrackedDataViewState,
   runnablesView: RunnablesViewState,
   categoriesView: CategoriesViewState,
+  regressionsView: RegressionsViewState,
   urlState: URLState,
   dateGraph: DateGraph,
   icons: IconState,
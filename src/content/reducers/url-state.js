@@ -4,15 +4,51 @@ import { defaultThreadOrder } from '../profile-data';
 import { createSelector } from 'reselect';
 import { urlFromState } from '../url-handling';
 import * as RangeFilters from '../range-filters';
+import { parseSearchQuery } from '../search-query';
 
 import type { ThreadIndex } from '../../common/types/profile';
 import type { StartEndRange } from '../../common/types/units';
 import type {
-  Action, CallTreeFiltersPerThread, CallTreeFilter,
+  Action, CallTreeFiltersPerThread, CallTreeFilter, SearchQuery,
 } from '../actions/types';
 import type { State, URLState, ExploreURLState, TrackURLState, Reducer } from './types';
 
 function mode(state: string = 'none', action: Action) {
+  switch (action.type) {
+    case 'WAITING_FOR_PROFILE_FROM_FILE':
+    case 'WAITING_FOR_PROFILE_FROM_WEB':
+      return 'explore';
+    default:
+      return state;
+  }
+}
+
+/**
+ * Where the explored profile comes from: 'telemetry', 'file' or 'url'.
+ */
+function from(state: string = 'telemetry', action: Action) {
+  switch (action.type) {
+    case 'WAITING_FOR_PROFILE_FROM_TELEMETRY':
+      return 'telemetry';
+    case 'WAITING_FOR_PROFILE_FROM_FILE':
+      return 'file';
+    case 'WAITING_FOR_PROFILE_FROM_WEB':
+      return 'url';
+    default:
+      return state;
+  }
+}
+
+function profileURL(state: string | null = null, action: Action) {
+  switch (action.type) {
+    case 'WAITING_FOR_PROFILE_FROM_WEB':
+      return action.url;
+    default:
+      return state;
+  }
+}
+
+function dataSource(state: string | null = null, action: Action) {
   return state;
 }
 
@@ -23,6 +59,8 @@ function trackedStat(state: string = 'All Hangs', action: Action) {
 function payloadID(state: string | null = null, action: Action) {
   switch (action.type) {
     case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB':
       return action.profile.uuid;
     default:
       return state;
@@ -47,6 +85,47 @@ function durationSpec(state: string = '2048_65536', action: Action) {
   }
 }
 
+/**
+ * The durationSpec and payloadID of the telemetry profile that the viewed
+ * profile is compared with. Comparing is off while compareDurationSpec is null.
+ */
+function compareDurationSpec(state: string | null = null, action: Action) {
+  switch (action.type) {
+    case 'WAITING_FOR_COMPARISON_PROFILE':
+      return action.durationSpec;
+    case 'STOP_COMPARING':
+      return null;
+    default:
+      return state;
+  }
+}
+
+function comparePayloadID(state: string | null = null, action: Action) {
+  switch (action.type) {
+    case 'WAITING_FOR_COMPARISON_PROFILE':
+      return action.payloadID;
+    case 'RECEIVE_COMPARISON_PROFILE':
+      return action.profile.uuid;
+    case 'STOP_COMPARING':
+      return null;
+    default:
+      return state;
+  }
+}
+
+/**
+ * The index of the first date after the split, when the hang rates before and
+ * after a date are compared.
+ */
+function splitDate(state: number | null = null, action: Action) {
+  switch (action.type) {
+    case 'CHANGE_SPLIT_DATE':
+      return action.splitDate;
+    default:
+      return state;
+  }
+}
+
 function selectedTab(state: string = 'calltree', action: Action) {
   switch (action.type) {
     case 'CHANGE_SELECTED_TAB':
@@ -73,7 +152,9 @@ function selectedThread(state: ThreadIndex = 0, action: Action) {
   switch (action.type) {
     case 'CHANGE_SELECTED_THREAD':
       return action.selectedThread;
-    case 'RECEIVE_PROFILE_FROM_TELEMETRY': {
+    case 'RECEIVE_PROFILE_FROM_TELEMETRY':
+    case 'RECEIVE_PROFILE_FROM_FILE':
+    case 'RECEIVE_PROFILE_FROM_WEB': {
       // When loading in a brand new profile, select either the GeckoMain [tab] thread,
       // or the first thread in the thread order. For profiles from the Web, the
       // selectedThread has already been initialized from the URL and does not require
@@ -184,18 +265,24 @@ const urlStateReducer: Reducer<URLState> = (regularUrlStateReducer => (state: UR
   callTreeSearchString, callTreeFilters, invertCallstack,
   hidePlatformDetails, categoryFilter, platformFilter, 
   runnableFilter, durationSpec, onlyUserInteracting,
-  payloadID, historical, mode, trackedStat,
+  payloadID, historical, mode, from, profileURL, trackedStat, dataSource,
+  compareDurationSpec, comparePayloadID, splitDate,
 }));
 export default urlStateReducer;
 
-const getURLState = (state: State): URLState => state.urlState;
+export const getURLState = (state: State): URLState => state.urlState;
 const getExploreURLState = (state: State): ExploreURLState => (state.urlState : any);
 const getTrackURLState = (state: State): TrackURLState => (state.urlState : any);
 
 export const getMode = (state: State) => getURLState(state).mode;
+export const getFrom = (state: State) => getExploreURLState(state).from;
+export const getProfileURL = (state: State) => getExploreURLState(state).profileURL;
+export const getDataSource = (state: State): string | null => getURLState(state).dataSource;
 export const getTrackedStat = (state: State) => getTrackURLState(state).trackedStat;
 export const getPayloadID = (state: State) => getExploreURLState(state).payloadID;
 export const getDurationSpec = (state: State) => getExploreURLState(state).durationSpec;
+export const getCompareDurationSpec = (state: State) => getExploreURLState(state).compareDurationSpec;
+export const getComparePayloadID = (state: State) => getExploreURLState(state).comparePayloadID;
 export const getHistorical = (state: State) => getExploreURLState(state).historical;
 export const getRangeFilters = (state: State) => getExploreURLState(state).rangeFilters;
 export const getHidePlatformDetails = (state: State) => getExploreURLState(state).hidePlatformDetails;
@@ -205,8 +292,14 @@ export const getCategoryFilter = (state: State) => getExploreURLState(state).cat
 export const getPlatformFilter = (state: State) => getExploreURLState(state).platformFilter;
 export const getRunnableFilter = (state: State) => getExploreURLState(state).runnableFilter;
 export const getSearchString = (state: State) => getExploreURLState(state).callTreeSearchString;
+export const getSearchQuery: (state: State) => SearchQuery = createSelector(
+  getSearchString,
+  parseSearchQuery
+);
+export const getSplitDate = (state: State) => getExploreURLState(state).splitDate;
 export const getSelectedTab = (state: State) => getExploreURLState(state).selectedTab;
 export const getSelectedThreadIndex = (state: State) => getExploreURLState(state).selectedThread;
+export const getCallTreeFiltersPerThread = (state: State) => getExploreURLState(state).callTreeFilters;
 export const getCallTreeFilters = (state: State, threadIndex: ThreadIndex): CallTreeFilter[] => {
   return getExploreURLState(state).callTreeFilters[threadIndex] || [];
 };
@@ -0,0 +1,114 @@
+/**
+ * Split a search string into its terms. A term written as /pattern/flags is
+ * taken as a whole, as the pattern may contain commas, e.g. /a{1,3}/.
+ */
+function _splitSearchTerms(stringValue) {
+  const termRegExp = /\s*(-?\/.+?\/[a-z]*)\s*(?:,|$)|([^,]*),?/g;
+  const terms = [];
+  let match;
+  while (termRegExp.lastIndex < stringValue.length && (match = termRegExp.exec(stringValue)) !== null) {
+    terms.push(match[1] || match[2]);
+  }
+  return terms;
+}
+
+/**
+ * Parse the search string of the call tree. The string is a comma separated
+ * list of terms. A term that starts with "-" excludes the stacks that match
+ * it, and a term written as /pattern/flags is a regular expression, which may
+ * contain commas. Other terms match case-insensitive substrings.
+ * @param  {string} stringValue The search string.
+ * @return {object}             The query, with an array of terms that stacks
+ *                              need to match one of, and an array of terms
+ *                              that they may match none of.
+ */
+export function parseSearchQuery(stringValue = '') {
+  const include = [];
+  const exclude = [];
+  _splitSearchTerms(stringValue).forEach(s => {
+    let text = s.trim();
+    let negated = false;
+    if (text.startsWith('-') && text.length > 1) {
+      negated = true;
+      text = text.substr(1);
+    }
+    if (!text) {
+      return;
+    }
+    let regExp = null;
+    const m = text.match(/^\/(.+)\/([gimuy]*)$/);
+    if (m) {
+      try {
+        // The global and sticky flags would make test() stateful.
+        regExp = new RegExp(m[1], m[2].replace(/[gy]/g, ''));
+      } catch (e) {
+        // Invalid expressions are searched for as plain text.
+      }
+    }
+    const term = { text, lowercaseText: text.toLowerCase(), regExp };
+    (negated ? exclude : include).push(term);
+  });
+  return { include, exclude };
+}
+
+export function stringifySearchQuery(query) {
+  return [
+    ...query.include.map(term => term.text),
+    ...query.exclude.map(term => '-' + term.text),
+  ].join(',');
+}
+
+export function isEmptySearchQuery(query) {
+  return query.include.length === 0 && query.exclude.length === 0;
+}
+
+export function searchTermMatches(term, string) {
+  if (term.regExp) {
+    return term.regExp.test(string);
+  }
+  return string.toLowerCase().includes(term.lowercaseText);
+}
+
+/**
+ * Find the parts of |string| that match any of |terms|, to highlight them.
+ * @param  {array} terms   The search terms.
+ * @param  {string} string The string to search in.
+ * @return {array}         The sorted, non-overlapping [start, end) ranges of
+ *                         the matches.
+ */
+export function getSearchTermMatchRanges(terms, string) {
+  const ranges = [];
+  const lowercaseString = string.toLowerCase();
+  terms.forEach(term => {
+    if (term.regExp) {
+      const regExp = new RegExp(term.regExp.source, term.regExp.flags + 'g');
+      let match;
+      while ((match = regExp.exec(string)) !== null) {
+        if (match[0].length === 0) {
+          // Empty matches can't be highlighted, and would never advance.
+          regExp.lastIndex++;
+        } else {
+          ranges.push([match.index, match.index + match[0].length]);
+        }
+      }
+    } else {
+      let startAt = 0;
+      let nextOccurrence = -1;
+      while ((nextOccurrence = lowercaseString.indexOf(term.lowercaseText, startAt)) !== -1) {
+        startAt = nextOccurrence + term.lowercaseText.length;
+        ranges.push([nextOccurrence, startAt]);
+      }
+    }
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range.slice());
+    }
+  });
+  return merged;
+}
@@ -2,6 +2,7 @@
 import queryString from 'query-string';
 import { stringifyRangeFilters, parseRangeFilters } from './range-filters';
 import { stringifyCallTreeFilters, parseCallTreeFilters } from './call-tree-filters';
+import { stringifySearchQuery, parseSearchQuery } from './search-query';
 import type { URLState, ExploreURLState, TrackURLState, UnknownURLState } from './reducers/types';
 
 export function urlFromState(urlState: any) {
@@ -11,19 +12,28 @@ export function urlFromState(urlState: any) {
   let query: Object = {};
 
   query.mode = urlState.mode;
+  query.dataSource = urlState.dataSource || undefined;
   if (urlState.mode == 'explore') {
     query.range = stringifyRangeFilters(urlState.rangeFilters) || undefined,
     query.thread = `${urlState.selectedThread}`,
-    query.search = urlState.callTreeSearchString || undefined;
+    query.search = stringifySearchQuery(parseSearchQuery(urlState.callTreeSearchString)) || undefined;
     query.invertCallstack = urlState.invertCallstack ? null : undefined;
     query.callTreeFilters = stringifyCallTreeFilters(urlState.callTreeFilters[urlState.selectedThread]) || undefined;
     query.category = urlState.categoryFilter || undefined;
     query.platform = urlState.platformFilter || undefined;
     query.runnable = urlState.runnableFilter || undefined;
-    query.durationSpec = urlState.durationSpec || undefined;
     query.onlyUserInteracting = urlState.onlyUserInteracting || undefined;
-    query.payloadID = urlState.payloadID || undefined;
-    query.historical = urlState.historical || undefined;
+    query.split = urlState.splitDate !== null ? `${urlState.splitDate}` : undefined;
+    if (urlState.from === 'telemetry') {
+      query.durationSpec = urlState.durationSpec || undefined;
+      query.payloadID = urlState.payloadID || undefined;
+      query.historical = urlState.historical || undefined;
+      query.compareDurationSpec = urlState.compareDurationSpec || undefined;
+      query.comparePayloadID = urlState.comparePayloadID || undefined;
+    } else {
+      query.from = urlState.from;
+      query.url = urlState.from === 'url' ? urlState.profileURL : undefined;
+    }
   } else if (urlState.mode == 'track') {
     query.trackedStat = urlState.trackedStat || undefined;
   }
@@ -46,14 +56,21 @@ export function stateFromCurrentLocation(): URLState {
     }
   }
 
+  const dataSource = query.dataSource || null;
+
   if (mode == 'explore') {
     const selectedThread = query.thread !== undefined ? +query.thread : 0;
     return ({
       selectedTab: 'calltree',
+      from: query.from || 'telemetry',
+      profileURL: query.url || null,
       durationSpec: query.durationSpec || '2048_65536',
       payloadID: query.payloadID,
       historical: query.historical == "true",
+      compareDurationSpec: query.compareDurationSpec || null,
+      comparePayloadID: query.comparePayloadID || null,
       rangeFilters: query.range ? parseRangeFilters(query.range) : [],
+      splitDate: query.split !== undefined ? +query.split : null,
       selectedThread: selectedThread,
       callTreeSearchString: query.search || '',
       categoryFilter: query.category || 'all',
@@ -65,15 +82,17 @@ export function stateFromCurrentLocation(): URLState {
       invertCallstack: query.invertCallstack !== undefined,
       onlyUserInteracting: query.onlyUserInteracting !== undefined,
       hidePlatformDetails: query.hidePlatformDetails !== undefined,
+      dataSource,
       mode,
     } : ExploreURLState);
   } else if (mode == 'track') {
     return ({
       trackedStat: query.trackedStat || 'All Hangs',
+      dataSource,
       mode,
     } : TrackURLState);
   } else {
-    return ({ mode } : UnknownURLState);
+    return ({ mode, dataSource } : UnknownURLState);
   }
 
 }
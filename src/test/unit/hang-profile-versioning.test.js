@@ -0,0 +1,167 @@
+import { assert } from 'chai';
+import {
+  CURRENT_VERSION, upgradeHangProfileToCurrentVersion, validateHangProfile,
+} from '../../common/hang-profile-versioning';
+
+/**
+ * A profile as the aggregation job wrote it before the version field was
+ * added, with no table lengths, sample annotations, libraries or usage hours.
+ */
+function getUnversionedProfile() {
+  return {
+    threads: [{
+      name: 'Gecko',
+      stringArray: ['root', 'child'],
+      funcTable: { name: [0, 1] },
+      stackTable: { prefix: [null, 0], func: [0, 1] },
+      sampleTable: { stack: [1, null] },
+      dates: [
+        { date: '20171010', sampleHangMs: [5, 1], sampleHangCount: [1, 1] },
+        { date: '20171011', sampleHangMs: [2], sampleHangCount: [1] },
+      ],
+    }],
+  };
+}
+
+function getCurrentProfile() {
+  const profile = getUnversionedProfile();
+  upgradeHangProfileToCurrentVersion(profile);
+  return profile;
+}
+
+function assertSchemaMismatch(fn, message) {
+  let error = null;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  assert.isNotNull(error, 'an error was thrown');
+  assert.equal(error.kind, 'schema-mismatch');
+  assert.equal(error.message, message);
+}
+
+describe('upgradeHangProfileToCurrentVersion', function () {
+  it('upgrades an unversioned profile', function () {
+    const profile = getCurrentProfile();
+    assert.equal(profile.version, CURRENT_VERSION);
+    const [thread] = profile.threads;
+    assert.equal(thread.funcTable.length, 2);
+    assert.equal(thread.stackTable.length, 2);
+    assert.equal(thread.sampleTable.length, 2);
+    assert.deepEqual(thread.funcTable.lib, [-1, -1]);
+    assert.deepEqual(thread.libs, []);
+    assert.deepEqual(thread.sampleTable.userInteracting, [false, false]);
+    assert.deepEqual(thread.stringArray, ['root', 'child', '', '???']);
+    assert.deepEqual(thread.sampleTable.platform, [2, 2]);
+    assert.deepEqual(thread.sampleTable.runnable, [3, 3]);
+    assert.deepEqual(profile.usageHoursByDate, { '20171010': 1, '20171011': 1 });
+  });
+
+  it('keeps the data that an unversioned profile already has', function () {
+    const profile = getUnversionedProfile();
+    profile.usageHoursByDate = { '20171010': 3, '20171011': 4 };
+    profile.threads[0].stringArray.push('Windows');
+    profile.threads[0].sampleTable.platform = [2, 2];
+    upgradeHangProfileToCurrentVersion(profile);
+    assert.deepEqual(profile.usageHoursByDate, { '20171010': 3, '20171011': 4 });
+    assert.deepEqual(profile.threads[0].sampleTable.platform, [2, 2]);
+    assert.deepEqual(profile.threads[0].stringArray, ['root', 'child', 'Windows', '???']);
+  });
+
+  it('leaves a current profile alone', function () {
+    const profile = { version: CURRENT_VERSION, threads: [] };
+    upgradeHangProfileToCurrentVersion(profile);
+    assert.deepEqual(profile, { version: CURRENT_VERSION, threads: [] });
+  });
+
+  it('rejects a profile from a future version', function () {
+    const version = CURRENT_VERSION + 1;
+    assertSchemaMismatch(
+      () => upgradeHangProfileToCurrentVersion({ version, threads: [] }),
+      `Unable to read a hang profile of version ${version}. The most recent version ` +
+        `understood by this page is version ${CURRENT_VERSION}, try refreshing it in case it has been updated.`
+    );
+  });
+
+  it('rejects a version that is not a number', function () {
+    assertSchemaMismatch(
+      () => upgradeHangProfileToCurrentVersion({ version: '1', threads: [] }),
+      'Unable to read a hang profile of version 1. The most recent version ' +
+        `understood by this page is version ${CURRENT_VERSION}, try refreshing it in case it has been updated.`
+    );
+  });
+});
+
+describe('validateHangProfile', function () {
+  it('accepts an upgraded profile', function () {
+    validateHangProfile(getCurrentProfile());
+  });
+
+  it('rejects a profile that is not an object', function () {
+    assertSchemaMismatch(() => validateHangProfile(null), 'The profile should be a JSON object.');
+  });
+
+  it('rejects a profile without usage hours', function () {
+    const profile = getCurrentProfile();
+    delete profile.usageHoursByDate;
+    assertSchemaMismatch(() => validateHangProfile(profile), 'usageHoursByDate is missing.');
+  });
+
+  it('rejects a profile without threads', function () {
+    const profile = getCurrentProfile();
+    delete profile.threads;
+    assertSchemaMismatch(() => validateHangProfile(profile), 'threads should be an array, but it is undefined.');
+  });
+
+  it('rejects a thread with a missing table', function () {
+    const profile = getCurrentProfile();
+    delete profile.threads[0].stackTable;
+    assertSchemaMismatch(() => validateHangProfile(profile), 'threads[0] (Gecko).stackTable is missing.');
+  });
+
+  it('rejects a column of the wrong length', function () {
+    const profile = getCurrentProfile();
+    profile.threads[0].sampleTable.userInteracting.pop();
+    assertSchemaMismatch(
+      () => validateHangProfile(profile),
+      'threads[0] (Gecko).sampleTable.userInteracting has 1 entries, but 2 were expected.'
+    );
+  });
+
+  it('rejects an index past the end of a table', function () {
+    const profile = getCurrentProfile();
+    profile.threads[0].stackTable.func[1] = 2;
+    assertSchemaMismatch(
+      () => validateHangProfile(profile),
+      'threads[0] (Gecko).stackTable.func[1] is 2, which is not an index into a table of 2 rows.'
+    );
+  });
+
+  it('rejects a prefix that does not come before its stack', function () {
+    const profile = getCurrentProfile();
+    profile.threads[0].stackTable.prefix = [1, null];
+    assertSchemaMismatch(
+      () => validateHangProfile(profile),
+      'threads[0] (Gecko).stackTable.prefix[0] is 1, but it should be null or a stack before 0.'
+    );
+  });
+
+  it('rejects a date without usage hours', function () {
+    const profile = getCurrentProfile();
+    delete profile.usageHoursByDate['20171011'];
+    assertSchemaMismatch(
+      () => validateHangProfile(profile),
+      'threads[0] (Gecko).dates[1] is for 20171011, which has no entry in usageHoursByDate.'
+    );
+  });
+
+  it('rejects a date with more values than samples', function () {
+    const profile = getCurrentProfile();
+    profile.threads[0].dates[0].sampleHangMs.push(1);
+    assertSchemaMismatch(
+      () => validateHangProfile(profile),
+      'threads[0] (Gecko).dates[0].sampleHangMs has 3 entries, but there are only 2 samples.'
+    );
+  });
+});
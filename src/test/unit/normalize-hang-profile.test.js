@@ -0,0 +1,138 @@
+import { assert } from 'chai';
+import {
+  getSplitFileSuffixes, assembleSplitProfile, normalizeHangProfile,
+} from '../../common/normalize-hang-profile';
+
+function getRawThread(name, dates) {
+  return {
+    name,
+    stringArray: ['root', 'child', 'grandchild'],
+    funcTable: { length: 3, name: [0, 1, 2], lib: [-1, -1, -1] },
+    stackTable: { length: 3, prefix: [null, 0, 1], func: [0, 1, 2] },
+    sampleTable: { length: 2, stack: [1, 2] },
+    dates,
+  };
+}
+
+function getRawDate(date, sampleHangMs, sampleHangCount = [1, 1]) {
+  return { date, sampleHangMs, sampleHangCount };
+}
+
+describe('getSplitFileSuffixes', function () {
+  it('lists a suffix for every thread and table', function () {
+    const suffixes = getSplitFileSuffixes({
+      splitFiles: { 'Gecko': ['stackTable', 'funcTable'], 'Gecko_Child': ['stackTable'] },
+    });
+    assert.deepEqual(suffixes, ['Gecko_stackTable', 'Gecko_funcTable', 'Gecko_Child_stackTable']);
+  });
+
+  it('leaves out the tables that are not needed', function () {
+    const suffixes = getSplitFileSuffixes({
+      splitFiles: { 'Gecko': ['time', 'stackTable', 'pruneStackCache'] },
+    });
+    assert.deepEqual(suffixes, ['Gecko_stackTable']);
+  });
+});
+
+describe('assembleSplitProfile', function () {
+  const rawProfile = {
+    isSplit: true,
+    splitFiles: { 'Gecko': ['stackTable', 'time'], 'Gecko_Child': ['stackTable', 'funcTable'] },
+  };
+
+  it('fills in the threads from their parts', function () {
+    const stackTable = { length: 0 };
+    const profile = assembleSplitProfile(rawProfile, { 'Gecko_stackTable': stackTable });
+    assert.isFalse(profile.isSplit);
+    assert.lengthOf(profile.threads, 1);
+    assert.equal(profile.threads[0].name, 'Gecko');
+    assert.strictEqual(profile.threads[0].stackTable, stackTable);
+    assert.notProperty(profile.threads[0], 'time');
+  });
+
+  it('lists the threads with missing parts as unavailable', function () {
+    const profile = assembleSplitProfile(rawProfile, {
+      'Gecko_stackTable': {},
+      'Gecko_Child_stackTable': {},
+    });
+    assert.deepEqual(profile.threads.map(thread => thread.name), ['Gecko']);
+    assert.deepEqual(profile.unavailableThreads, ['Gecko_Child']);
+  });
+
+  it('does not modify the main file', function () {
+    assembleSplitProfile(rawProfile, {});
+    assert.isTrue(rawProfile.isSplit);
+    assert.notProperty(rawProfile, 'threads');
+  });
+});
+
+describe('normalizeHangProfile', function () {
+  function getRawProfile() {
+    return {
+      usageHoursByDate: { '20170901': 1, '20171010': 3 },
+      threads: [
+        getRawThread('Gecko', [
+          getRawDate('20171010', [4, 8]),
+          getRawDate('20170901', [2, 0]),
+        ]),
+        getRawThread('Gecko_Child', [getRawDate('20171010', [1, 1])]),
+      ],
+    };
+  }
+
+  it('converts the stack prefixes and computes the depths', function () {
+    const { stackTable } = normalizeHangProfile(getRawProfile()).threads[0];
+    assert.instanceOf(stackTable.prefix, Int32Array);
+    assert.deepEqual(Array.from(stackTable.prefix), [-1, 0, 1]);
+    assert.deepEqual(Array.from(stackTable.depth), [0, 1, 2]);
+    assert.deepEqual(Array.from(stackTable.func), [0, 1, 2]);
+  });
+
+  it('weights the hang time of every date by its usage hours', function () {
+    const { sampleTable } = normalizeHangProfile(getRawProfile()).threads[0];
+    // (2 * 1 + 4 * 3) / 4 and (0 * 1 + 8 * 3) / 4
+    assert.deepEqual(Array.from(sampleTable.sampleHangMs), [3.5, 6]);
+    assert.deepEqual(Array.from(sampleTable.sampleHangCount), [1, 1]);
+  });
+
+  it('gives every thread the sorted dates of all the threads', function () {
+    const profile = normalizeHangProfile(getRawProfile());
+    assert.deepEqual(profile.dates, ['20170901', '20171010']);
+    for (const thread of profile.threads) {
+      assert.deepEqual(thread.dates.map(d => d.date), ['20170901', '20171010']);
+    }
+    const childDates = profile.threads[1].dates;
+    assert.deepEqual(Array.from(childDates[0].sampleHangMs), [0, 0]);
+    assert.deepEqual(Array.from(childDates[1].sampleHangMs), [1, 1]);
+  });
+
+  it('creates a string table for every thread', function () {
+    const { stringTable } = normalizeHangProfile(getRawProfile()).threads[0];
+    assert.equal(stringTable.getString(2), 'grandchild');
+  });
+
+  it('defaults to no unavailable threads', function () {
+    assert.deepEqual(normalizeHangProfile(getRawProfile()).unavailableThreads, []);
+  });
+
+  it('keeps the unavailable threads of a split profile', function () {
+    const rawThread = getRawThread('Gecko', [getRawDate('20171010', [4, 8])]);
+    const profile = normalizeHangProfile({
+      isSplit: true,
+      usageHoursByDate: { '20171010': 3 },
+      splitFiles: {
+        'Gecko': ['stringArray', 'funcTable', 'stackTable', 'sampleTable', 'dates'],
+        'Gecko_Child': ['stackTable'],
+      },
+    }, {
+      'Gecko_stringArray': rawThread.stringArray,
+      'Gecko_funcTable': rawThread.funcTable,
+      'Gecko_stackTable': rawThread.stackTable,
+      'Gecko_sampleTable': rawThread.sampleTable,
+      'Gecko_dates': rawThread.dates,
+    });
+    assert.deepEqual(profile.threads.map(thread => thread.name), ['Gecko']);
+    assert.deepEqual(profile.unavailableThreads, ['Gecko_Child']);
+    assert.deepEqual(profile.dates, ['20171010']);
+  });
+});
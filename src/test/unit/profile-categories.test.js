@@ -0,0 +1,150 @@
+import { assert } from 'chai';
+import {
+  defaultCategoryRules, validateCategoryRules, sampleCategorizer,
+} from '../../common/profile-categories';
+import { UniqueStringArray } from '../../common/unique-string-array';
+
+/**
+ * A thread with one sample for each of these stacks:
+ *
+ * 0: main
+ * 1: main > RunCurrentEventLoopInMode
+ * 2: main > RunCurrentEventLoopInMode > mach_msg_trap
+ * 3: main > mach_msg_trap
+ * 4: main > js::RunScript
+ * 5: main > js::RunScript > NtWaitForSingleObject (ntdll.dll)
+ * 6: main > NtWaitForSingleObject (ntdll.dll)
+ * 7: main > Foo::Bar(int)
+ */
+function getThread() {
+  return {
+    name: 'Gecko',
+    stringTable: new UniqueStringArray([
+      'main', 'RunCurrentEventLoopInMode', 'mach_msg_trap', 'js::RunScript',
+      'NtWaitForSingleObject', 'Foo::Bar(int)',
+    ]),
+    libs: [{ name: 'ntdll.dll', debugName: 'wntdll.pdb' }],
+    funcTable: { length: 6, name: [0, 1, 2, 3, 4, 5], lib: [-1, -1, -1, -1, 0, -1] },
+    stackTable: {
+      length: 8,
+      prefix: new Int32Array([-1, 0, 1, 0, 0, 4, 0, 0]),
+      func: new Int32Array([0, 1, 2, 2, 3, 4, 4, 5]),
+    },
+    sampleTable: { length: 8, stack: [0, 1, 2, 3, 4, 5, 6, 7] },
+  };
+}
+
+function categorize(rules) {
+  const thread = getThread();
+  const categorizer = sampleCategorizer(thread, rules);
+  return thread.sampleTable.stack.map((stack, sampleIndex) => categorizer(sampleIndex));
+}
+
+describe('sampleCategorizer', function () {
+  it('matches function names with a regular expression', function () {
+    assert.deepEqual(categorize([['regexp', '^Foo::\\w+\\(', 'foo']]),
+      [null, null, null, null, null, null, null, 'foo']);
+  });
+
+  it('matches the name of the library of a function', function () {
+    assert.deepEqual(categorize([['lib', 'ntdll.dll', 'system']]),
+      [null, null, null, null, null, 'system', 'system', null]);
+  });
+
+  it('does not match function names with a library rule', function () {
+    assert.deepEqual(categorize([['lib', 'main', 'main']]),
+      [null, null, null, null, null, null, null, null]);
+  });
+
+  it('gives the frames the category of the closest matching caller', function () {
+    assert.deepEqual(categorize([['stem', 'js::RunScript', 'script'], ['exact', 'main', 'main']]),
+      ['main', 'main', 'main', 'main', 'script', 'script', 'main', 'main']);
+  });
+
+  it('only matches a rule with a parent constraint under that parent', function () {
+    assert.deepEqual(categorize([['lib', 'ntdll.dll', 'script.wait', { parent: ['stem', 'js::RunScript'] }]]),
+      [null, null, null, null, null, 'script.wait', null, null]);
+  });
+
+  it('only matches a rule with an ancestor constraint under that ancestor', function () {
+    assert.deepEqual(categorize([
+      ['exact', 'mach_msg_trap', 'idle', { ancestor: ['stem', 'RunCurrentEventLoopInMode'] }],
+      ['exact', 'mach_msg_trap', 'wait'],
+    ]), [null, null, 'idle', 'wait', null, null, null, null]);
+  });
+
+  it('matches an ancestor constraint with any frame closer to the root', function () {
+    assert.deepEqual(categorize([['exact', 'NtWaitForSingleObject', 'waiting', { ancestor: ['exact', 'main'] }]]),
+      [null, null, null, null, null, 'waiting', 'waiting', null]);
+    assert.deepEqual(categorize([['exact', 'main', 'main', { ancestor: ['exact', 'main'] }]]),
+      [null, null, null, null, null, null, null, null]);
+  });
+
+  it('only matches a rule with a child constraint when it calls into that child', function () {
+    assert.deepEqual(categorize([
+      ['stem', 'js::RunScript', 'script.wait', { child: ['lib', 'ntdll.dll'] }],
+      ['stem', 'js::RunScript', 'script'],
+    ]), [null, null, null, null, 'script', 'script.wait', null, null]);
+  });
+
+  it('combines constraints', function () {
+    assert.deepEqual(categorize([
+      ['exact', 'main', 'outer', { child: ['exact', 'mach_msg_trap'], ancestor: ['exact', 'main'] }],
+      ['exact', 'main', 'inner', { child: ['exact', 'mach_msg_trap'] }],
+    ]), [null, null, null, 'inner', null, null, null, null]);
+  });
+});
+
+describe('validateCategoryRules', function () {
+  it('accepts the default rules', function () {
+    assert.deepEqual(validateCategoryRules(defaultCategoryRules), []);
+  });
+
+  it('accepts rules with constraints', function () {
+    assert.deepEqual(validateCategoryRules([
+      ['regexp', '^Nt', 'system.wait', { parent: ['lib', 'ntdll.dll'], child: ['prefix', 'Zw'] }],
+    ]), []);
+  });
+
+  it('needs an array of rules', function () {
+    assert.deepEqual(validateCategoryRules({}),
+      ['The rules need to be an array of [matchType, pattern, category] arrays.']);
+  });
+
+  it('needs each rule to be an array of three or four items', function () {
+    assert.deepEqual(validateCategoryRules([['exact', 'main'], 'main']), [
+      'Rule 1 needs to be an array of [matchType, pattern, category, constraints?].',
+      'Rule 2 needs to be an array of [matchType, pattern, category, constraints?].',
+    ]);
+  });
+
+  it('checks the match type, the pattern and the category', function () {
+    assert.deepEqual(validateCategoryRules([['glob', 3, 'a..b']]), [
+      'Rule 1 has an unknown match type, which needs to be one of ' +
+        'exact, prefix, substring, stem, regexp, lib, ignore.',
+      'Rule 1 needs a string pattern.',
+      'Rule 1 needs a category made of words separated by dots.',
+    ]);
+  });
+
+  it('checks that regular expressions compile', function () {
+    const errors = validateCategoryRules([['exact', 'a(', 'a'], ['regexp', 'a(', 'a']]);
+    assert.lengthOf(errors, 1);
+    assert.match(errors[0], /^Rule 2 has an invalid regular expression: /);
+  });
+
+  it('checks the constraints', function () {
+    assert.deepEqual(validateCategoryRules([
+      ['exact', 'a', 'a', []],
+      ['exact', 'a', 'a', { sibling: ['exact', 'b'] }],
+      ['exact', 'a', 'a', { parent: 'b' }],
+      ['exact', 'a', 'a', { child: ['glob', 'b'], ancestor: ['regexp', '['] }],
+    ]).map(error => error.split(/[,:]/)[0]), [
+      'Rule 1 needs its constraints to be an object.',
+      'Rule 2 has an unknown constraint "sibling"',
+      'Rule 3 needs its parent constraint to be an array of [matchType',
+      'The child constraint of rule 4 has an unknown match type',
+      'The ancestor constraint of rule 4 has an invalid regular expression',
+    ]);
+  });
+});
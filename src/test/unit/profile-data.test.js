@@ -0,0 +1,120 @@
+import { assert } from 'chai';
+import {
+  getStackCategories, getSampleCategories, filterThreadToCategory,
+  addSampleCategories, removeSampleCategories, getCallerCalleeTimes,
+} from '../../content/profile-data';
+import { UniqueStringArray } from '../../common/unique-string-array';
+
+/**
+ * A thread with these stacks, and a sample in each of them:
+ *
+ * 0: main
+ * 1: main > js::RunScript
+ * 2: main > js::RunScript > js::GCRuntime::collect
+ */
+function getThread() {
+  return {
+    name: 'Gecko',
+    stringTable: new UniqueStringArray(['main', 'js::RunScript', 'js::GCRuntime::collect']),
+    libs: [],
+    funcTable: { length: 3, name: [0, 1, 2], lib: [-1, -1, -1] },
+    stackTable: {
+      length: 3,
+      prefix: new Int32Array([-1, 0, 1]),
+      func: new Int32Array([0, 1, 2]),
+    },
+    sampleTable: { length: 3, stack: [0, 1, 2] },
+  };
+}
+
+const rules = [['stem', 'js::RunScript', 'script'], ['stem', 'js::GCRuntime::collect', 'GC']];
+
+describe('getSampleCategories', function () {
+  it('categorizes the samples with the rules', function () {
+    const { names, category } = getSampleCategories(getThread(), rules);
+    assert.deepEqual(Array.from(category).map(i => i === -1 ? null : names[i]), [null, 'script', 'GC']);
+  });
+
+  it('uses the categories that the summary worker added to the thread', function () {
+    const thread = getThread();
+    const stringCount = thread.stringTable._array.length;
+    const sampleCategories = { names: ['idle'], category: new Int32Array([-1, 0, 0]) };
+    const categorizedThread = addSampleCategories(thread, sampleCategories);
+    assert.equal(thread.stringTable._array.length, stringCount);
+    assert.notProperty(thread.sampleTable, 'category');
+
+    // The rules are ignored once the categories are known.
+    assert.deepEqual(getSampleCategories(categorizedThread, rules), sampleCategories);
+
+    const uncategorizedThread = removeSampleCategories(categorizedThread);
+    assert.notProperty(uncategorizedThread.sampleTable, 'category');
+    assert.notProperty(uncategorizedThread.sampleTable, 'categoryNames');
+  });
+});
+
+describe('filterThreadToCategory', function () {
+  it('uses the categories of the unfiltered samples', function () {
+    const thread = getThread();
+    const sampleCategories = getSampleCategories(thread, rules);
+    // A filtered thread whose stacks no longer match the rules, e.g. after
+    // the script frames were merged away.
+    const filteredThread = Object.assign({}, thread, {
+      sampleTable: Object.assign({}, thread.sampleTable, { stack: [0, 0, 0] }),
+    });
+    assert.deepEqual(filterThreadToCategory(filteredThread, 'script', sampleCategories).sampleTable.stack,
+      [null, 0, null]);
+    assert.deepEqual(filterThreadToCategory(filteredThread, '-script', sampleCategories).sampleTable.stack,
+      [0, null, 0]);
+    assert.deepEqual(filterThreadToCategory(filteredThread, 'uncategorized', sampleCategories).sampleTable.stack,
+      [0, null, null]);
+  });
+});
+
+describe('getStackCategories', function () {
+  it('gives each stack the category with the most time under it', function () {
+    // 0: root, 1: root > a, 2: root > b, 3: root > b > c
+    const thread = {
+      stackTable: { length: 4, prefix: [-1, 0, 0, 2], func: [0, 1, 2, 3] },
+      sampleTable: {
+        length: 5,
+        stack: [1, 2, 2, 0, null],
+        sampleHangMs: new Float32Array([5, 3, 1, 2, 10]),
+      },
+    };
+    const sampleCategories = { names: ['script', 'GC'], category: new Int32Array([0, 1, 0, 1, 1]) };
+    assert.deepEqual(getStackCategories(thread, sampleCategories), ['script', 'script', 'GC', null]);
+  });
+});
+
+describe('getCallerCalleeTimes', function () {
+  // 0: A, 1: A > B, 2: A > B > B, 3: A > B > B > C
+  const thread = {
+    stackTable: { length: 4, prefix: [-1, 0, 1, 2], func: [0, 1, 1, 2] },
+    sampleTable: {
+      length: 3,
+      stack: [1, 2, 3],
+      sampleHangMs: new Float32Array([1, 2, 4]),
+      sampleHangCount: new Float32Array([1, 1, 1]),
+    },
+  };
+
+  it('gives a directly recursive function itself as a caller and a callee', function () {
+    const times = getCallerCalleeTimes(thread, 1);
+    assert.equal(times.selfTime, 3);
+    assert.equal(times.totalTime, 7);
+    assert.deepEqual(times.callers, [
+      { func: 0, time: 7, count: 3 },
+      { func: 1, time: 6, count: 2 },
+    ]);
+    assert.deepEqual(times.callees, [
+      { func: 1, time: 6, count: 2 },
+      { func: 2, time: 4, count: 1 },
+    ]);
+  });
+
+  it('counts the callers and callees of the other functions once per stack', function () {
+    const times = getCallerCalleeTimes(thread, 0);
+    assert.deepEqual(times.callers, [{ func: -1, time: 7, count: 3 }]);
+    assert.deepEqual(times.callees, [{ func: 1, time: 7, count: 3 }]);
+  });
+});
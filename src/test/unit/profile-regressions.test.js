@@ -0,0 +1,131 @@
+import { assert } from 'chai';
+import { findThreadRegressions } from '../../common/profile-regressions';
+import { UniqueStringArray } from '../../common/unique-string-array';
+
+/**
+ * Build a thread out of a list of stacks, given by the index of their prefix
+ * or null for a root, and a list of samples, given by their stack and their
+ * hang ms per usage hour on each date.
+ */
+function getThread(stackPrefixes, samples) {
+  const dateCount = samples[0].series.length;
+  const stringTable = new UniqueStringArray();
+  const funcNames = stackPrefixes.map((prefix, stackIndex) => stringTable.indexForString(`func${stackIndex}`));
+  const dates = [];
+  for (let date = 0; date < dateCount; date++) {
+    dates.push({
+      date: `201710${String(date + 10)}`,
+      length: samples.length,
+      sampleHangMs: new Float32Array(samples.map(({ series }) => series[date])),
+      sampleHangCount: new Float32Array(samples.length),
+    });
+  }
+  return {
+    name: 'Gecko',
+    stringTable,
+    funcTable: { length: funcNames.length, name: funcNames, lib: funcNames.map(() => -1) },
+    stackTable: {
+      length: stackPrefixes.length,
+      prefix: new Int32Array(stackPrefixes.map(prefix => prefix === null ? -1 : prefix)),
+      func: new Int32Array(stackPrefixes.map((prefix, stackIndex) => stackIndex)),
+    },
+    sampleTable: {
+      length: samples.length,
+      stack: samples.map(({ stack }) => stack),
+      sampleHangMs: new Float32Array(samples.map(({ series }) =>
+        series.reduce((sum, value) => sum + value, 0) / dateCount)),
+      sampleHangCount: new Float32Array(samples.length),
+    },
+    dates,
+  };
+}
+
+describe('findThreadRegressions', function () {
+  it('finds a lasting step in the hang rate as a change-point', function () {
+    const thread = getThread([null], [
+      { stack: 0, series: [10, 11, 9, 10, 20, 21, 19, 20] },
+    ]);
+    const regressions = findThreadRegressions(thread);
+    assert.lengthOf(regressions, 1);
+    const [regression] = regressions;
+    assert.equal(regression.kind, 'change-point');
+    assert.equal(regression.stack, 0);
+    assert.equal(regression.funcName, 'func0');
+    assert.equal(regression.date, thread.dates[4].date);
+    assert.closeTo(regression.before, 10, 1e-6);
+    assert.closeTo(regression.after, 20, 1e-6);
+    assert.isAtLeast(regression.score, 4);
+  });
+
+  it('finds a single spike as a z-score outlier', function () {
+    const thread = getThread([null], [
+      { stack: 0, series: [10, 11, 9, 10, 11, 9, 30, 10, 11] },
+    ]);
+    const regressions = findThreadRegressions(thread);
+    assert.lengthOf(regressions, 1);
+    const [regression] = regressions;
+    assert.equal(regression.kind, 'z-score');
+    assert.equal(regression.date, thread.dates[6].date);
+    assert.closeTo(regression.before, 10, 1e-6);
+    assert.closeTo(regression.after, 30, 1e-6);
+  });
+
+  it('compares a date with the trailing window only', function () {
+    // The first dates are far higher, but they are outside of the seven dates
+    // that the spike is compared with.
+    const thread = getThread([null], [
+      { stack: 0, series: [50, 50, 10, 11, 9, 10, 11, 9, 10, 30, 10] },
+    ]);
+    const regressions = findThreadRegressions(thread);
+    assert.lengthOf(regressions, 1);
+    const [regression] = regressions;
+    assert.equal(regression.kind, 'z-score');
+    assert.equal(regression.date, thread.dates[9].date);
+    assert.closeTo(regression.before, 10, 1e-6);
+  });
+
+  it('finds nothing in a flat series', function () {
+    const thread = getThread([null], [
+      { stack: 0, series: [10, 10.5, 9.5, 10, 10.5, 9.5, 10, 10.5] },
+    ]);
+    assert.deepEqual(findThreadRegressions(thread), []);
+  });
+
+  it('finds nothing with too few dates', function () {
+    const thread = getThread([null], [{ stack: 0, series: [10, 10, 50] }]);
+    assert.deepEqual(findThreadRegressions(thread), []);
+  });
+
+  it('leaves out a stack whose child explains its change', function () {
+    const thread = getThread([null, 0], [
+      { stack: 0, series: [10, 11, 9, 10, 10, 11, 9, 10] },
+      { stack: 1, series: [10, 10, 10, 10, 20, 20, 20, 20] },
+    ]);
+    const regressions = findThreadRegressions(thread);
+    assert.deepEqual(regressions.map(({ stack }) => stack), [1]);
+    assert.deepEqual(regressions[0].funcArray, [0, 1]);
+  });
+
+  it('keeps a stack whose children only explain part of its change', function () {
+    const thread = getThread([null, 0, 0], [
+      { stack: 1, series: [10, 11, 9, 10, 20, 21, 19, 20] },
+      { stack: 2, series: [10, 9, 11, 10, 20, 19, 21, 20] },
+    ]);
+    const regressions = findThreadRegressions(thread);
+    assert.sameMembers(regressions.map(({ stack }) => stack), [0, 1, 2]);
+    assert.equal(regressions[0].stack, 0, 'the largest change comes first');
+  });
+
+  it('returns at most 50 stacks, largest change first', function () {
+    const stackPrefixes = [];
+    const samples = [];
+    for (let stack = 0; stack < 60; stack++) {
+      stackPrefixes.push(null);
+      samples.push({ stack, series: [10, 11, 9, 10, 20 + stack, 21 + stack, 19 + stack, 20 + stack] });
+    }
+    const regressions = findThreadRegressions(getThread(stackPrefixes, samples));
+    assert.lengthOf(regressions, 50);
+    assert.equal(regressions[0].stack, 59);
+    assert.equal(regressions[49].stack, 10);
+  });
+});
@@ -0,0 +1,138 @@
+import { assert } from 'chai';
+import {
+  parseSearchQuery, stringifySearchQuery, isEmptySearchQuery, searchTermMatches, getSearchTermMatchRanges,
+} from '../../content/search-query';
+import { filterThreadToSearchQuery } from '../../content/profile-data';
+import { UniqueStringArray } from '../../common/unique-string-array';
+
+function termTexts(terms) {
+  return terms.map(term => term.text);
+}
+
+describe('parseSearchQuery', function () {
+  it('splits the terms at the commas', function () {
+    const query = parseSearchQuery(' Foo, bar ,,baz,');
+    assert.deepEqual(termTexts(query.include), ['Foo', 'bar', 'baz']);
+    assert.equal(query.include[0].lowercaseText, 'foo');
+    assert.isNull(query.include[0].regExp);
+    assert.deepEqual(query.exclude, []);
+  });
+
+  it('excludes the terms that start with a minus', function () {
+    const query = parseSearchQuery('foo,-bar, -baz,-');
+    assert.deepEqual(termTexts(query.include), ['foo', '-']);
+    assert.deepEqual(termTexts(query.exclude), ['bar', 'baz']);
+  });
+
+  it('is empty without any terms', function () {
+    assert.isTrue(isEmptySearchQuery(parseSearchQuery('')));
+    assert.isTrue(isEmptySearchQuery(parseSearchQuery(' , ,')));
+    assert.isFalse(isEmptySearchQuery(parseSearchQuery('-foo')));
+  });
+
+  it('parses regular expressions with their flags', function () {
+    const query = parseSearchQuery('/^nt/i,-/Sleep$/');
+    const [include] = query.include;
+    assert.equal(include.text, '/^nt/i');
+    assert.equal(include.regExp.source, '^nt');
+    assert.equal(include.regExp.flags, 'i');
+    assert.equal(query.exclude[0].regExp.source, 'Sleep$');
+  });
+
+  it('drops the global flag', function () {
+    const [term] = parseSearchQuery('/foo/gi').include;
+    assert.equal(term.regExp.flags, 'i');
+    // A global expression would continue from its last match.
+    assert.isTrue(searchTermMatches(term, 'foo'));
+    assert.isTrue(searchTermMatches(term, 'foo'));
+  });
+
+  it('drops the sticky flag', function () {
+    const [term] = parseSearchQuery('/foo/yi').include;
+    assert.equal(term.regExp.flags, 'i');
+    // A sticky expression would only match at its last index.
+    assert.isTrue(searchTermMatches(term, 'foo'));
+    assert.isTrue(searchTermMatches(term, 'a foo'));
+  });
+
+  it('keeps the commas of a regular expression', function () {
+    const query = parseSearchQuery('/a{1,3}b/, c, -/x,y/');
+    assert.deepEqual(termTexts(query.include), ['/a{1,3}b/', 'c']);
+    assert.equal(query.include[0].regExp.source, 'a{1,3}b');
+    assert.deepEqual(termTexts(query.exclude), ['/x,y/']);
+    assert.equal(query.exclude[0].regExp.source, 'x,y');
+  });
+
+  it('searches for invalid regular expressions as text', function () {
+    const [term] = parseSearchQuery('/foo(/').include;
+    assert.isNull(term.regExp);
+    assert.isTrue(searchTermMatches(term, 'call /FOO(/ here'));
+    assert.isFalse(searchTermMatches(term, 'foo'));
+  });
+
+  it('searches for an unterminated expression as text', function () {
+    const [term] = parseSearchQuery('/foo').include;
+    assert.isNull(term.regExp);
+    assert.isTrue(searchTermMatches(term, '/usr/lib/foo'));
+  });
+});
+
+describe('stringifySearchQuery', function () {
+  it('round trips through parseSearchQuery', function () {
+    for (const string of ['foo', 'foo,-bar', '/a{1,3}/i,baz,-/x,y/', '']) {
+      assert.equal(stringifySearchQuery(parseSearchQuery(string)), string);
+    }
+    const query = parseSearchQuery(stringifySearchQuery(parseSearchQuery(' foo , -/b,c/g ')));
+    assert.deepEqual(termTexts(query.include), ['foo']);
+    assert.deepEqual(termTexts(query.exclude), ['/b,c/g']);
+    assert.equal(query.exclude[0].regExp.source, 'b,c');
+  });
+});
+
+describe('searchTermMatches', function () {
+  it('matches text without regard to case', function () {
+    const [term] = parseSearchQuery('GetMessage').include;
+    assert.isTrue(searchTermMatches(term, 'PeekGETMESSAGEW'));
+    assert.isFalse(searchTermMatches(term, 'PeekMessage'));
+  });
+});
+
+describe('getSearchTermMatchRanges', function () {
+  it('merges the overlapping matches of all the terms', function () {
+    const query = parseSearchQuery('ab,/b+c/,e');
+    assert.deepEqual(getSearchTermMatchRanges(query.include, 'abbcde abe'), [[0, 4], [5, 6], [7, 10]]);
+  });
+});
+
+describe('filterThreadToSearchQuery', function () {
+  function getThread() {
+    const stringTable = new UniqueStringArray(['main', 'NtWaitForSingleObject', 'js::RunScript']);
+    return {
+      name: 'Gecko',
+      stringTable,
+      libs: [{ name: 'ntdll.dll', debugName: 'wntdll.pdb' }],
+      funcTable: { length: 3, name: [0, 1, 2], lib: [-1, 0, -1] },
+      stackTable: { length: 3, prefix: [-1, 0, 0], func: [0, 1, 2] },
+      sampleTable: { length: 4, stack: [0, 1, 2, null] },
+    };
+  }
+
+  function filteredStacks(searchString) {
+    return filterThreadToSearchQuery(getThread(), parseSearchQuery(searchString)).sampleTable.stack;
+  }
+
+  it('keeps the samples whose stack has a matching function', function () {
+    assert.deepEqual(filteredStacks('runscript'), [null, null, 2, null]);
+    assert.deepEqual(filteredStacks('main'), [0, 1, 2, null]);
+  });
+
+  it('matches the names of libraries', function () {
+    assert.deepEqual(filteredStacks('ntdll.dll'), [null, 1, null, null]);
+    assert.deepEqual(filteredStacks('/^wntdll/'), [null, 1, null, null]);
+  });
+
+  it('removes the samples that match an excluded term', function () {
+    assert.deepEqual(filteredStacks('-ntdll'), [0, null, 2, null]);
+    assert.deepEqual(filteredStacks('main,-/Script$/'), [0, 1, null, null]);
+  });
+});
@@ -0,0 +1,288 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+import {
+  normalizeHangProfile, getSplitFileSuffixes, assembleSplitProfile,
+} from '../../common/normalize-hang-profile';
+import { upgradeHangProfileToCurrentVersion, validateHangProfile } from '../../common/hang-profile-versioning';
+import { createError, serializeError, fetchOrThrow, parseJSON } from '../../common/errors';
+
+/**
+ * Progress is reported while bytes are streaming in, so limit how often it is
+ * posted to the content thread.
+ */
+const PROGRESS_INTERVAL_MS = 100;
+
+/**
+ * Failed downloads are retried after 0.5s, 1s and 2s before giving up.
+ */
+const MAX_FETCH_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500;
+
+function _createProgressReporter(dispatch, request) {
+  const progress = {
+    phase: 'download',
+    partsLoaded: 0,
+    partsTotal: 1,
+    partsFailed: 0,
+    bytesLoaded: 0,
+  };
+  let lastReportTime = 0;
+
+  return function report(update, force = false) {
+    Object.assign(progress, update);
+    const now = Date.now();
+    if (force || now - lastReportTime >= PROGRESS_INTERVAL_MS) {
+      lastReportTime = now;
+      dispatch({
+        toContent: true,
+        type: 'PROFILE_LOAD_PROGRESS',
+        request,
+        progress: Object.assign({}, progress),
+      });
+    }
+  };
+}
+
+/**
+ * Fetch a file as text, calling |onBytes| with the size of each chunk as it
+ * arrives.
+ */
+async function _fetchText(url, onBytes) {
+  const response = await fetchOrThrow(url);
+  if (!response.body) {
+    const text = await response.text();
+    // Count the bytes of the download, like the streamed chunks below, rather
+    // than the characters of the text.
+    onBytes(new TextEncoder().encode(text).length);
+    return text;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  for (let result = await reader.read(); !result.done; result = await reader.read()) {
+    onBytes(result.value.byteLength);
+    text += decoder.decode(result.value, { stream: true });
+  }
+  return text + decoder.decode();
+}
+
+function _isRetryable(error) {
+  // Of the HTTP errors, only server errors and rate limiting are likely to go
+  // away.
+  return error.kind === 'network' ||
+    (error.kind === 'http-status' && (error.status >= 500 || error.status === 429));
+}
+
+function _wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Like _fetchText, but retry with an exponential backoff when the download
+ * fails in a way that might be temporary. Bytes from failed attempts are
+ * taken back out of the count with a negative |onBytes| call.
+ */
+async function _fetchTextWithRetry(url, onBytes) {
+  for (let attempt = 1; ; attempt++) {
+    let attemptBytes = 0;
+    try {
+      return await _fetchText(url, bytes => {
+        attemptBytes += bytes;
+        onBytes(bytes);
+      });
+    } catch (error) {
+      onBytes(-attemptBytes);
+      if (attempt >= MAX_FETCH_ATTEMPTS || !_isRetryable(error)) {
+        throw error;
+      }
+      await _wait(RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+    }
+  }
+}
+
+/**
+ * The parts of a split profile sit next to the main file, and follow the
+ * naming scheme of the aggregation job: "hang_profile_128_512_<uuid>.json" has
+ * parts named "hang_profile_128_512_<part>_<uuid>.json", and a profile without
+ * a uuid in its file name has parts named "<file name>_<part>.json".
+ * @param {string} profileURL The absolute URL of the main file.
+ * @param {string} uuid       The uuid of the profile, if it has one.
+ * @return {object}           The |prefix| and |suffix| that go around the name
+ *                            of a part to make its URL.
+ */
+export function getSplitFileURLs(profileURL, uuid) {
+  const url = new URL(profileURL);
+  const fileName = url.pathname.substr(url.pathname.lastIndexOf('/') + 1);
+  let stem = fileName.replace(/\.json$/, '');
+  let suffix = '.json';
+  if (uuid && stem.endsWith('_' + uuid)) {
+    stem = stem.substr(0, stem.length - uuid.length - 1);
+    suffix = `_${uuid}.json`;
+  }
+  return {
+    prefix: new URL(`${stem}_`, url).href,
+    suffix,
+  };
+}
+
+/**
+ * Collect the buffers of every typed array in the profile, so that they can be
+ * transferred to the content thread instead of copied.
+ */
+function _getTransferables(profile) {
+  const buffers = new Set();
+  for (const thread of profile.threads) {
+    for (const table of [thread.stackTable, thread.sampleTable, ...thread.dates]) {
+      for (const key in table) {
+        if (ArrayBuffer.isView(table[key])) {
+          buffers.add(table[key].buffer);
+        }
+      }
+    }
+  }
+  return Array.from(buffers);
+}
+
+function _profileLoaded(request, url, rawProfile, splitParts, report) {
+  return function (dispatch) {
+    report({ phase: 'normalize' }, true);
+    const assembledProfile = rawProfile.isSplit
+      ? assembleSplitProfile(rawProfile, splitParts)
+      : rawProfile;
+    let normalizedProfile;
+    try {
+      upgradeHangProfileToCurrentVersion(assembledProfile);
+      validateHangProfile(assembledProfile);
+      normalizedProfile = normalizeHangProfile(assembledProfile);
+    } catch (error) {
+      // The validation errors already say what is wrong with the profile.
+      if (error.kind) {
+        error.url = url;
+        throw error;
+      }
+      throw createError(
+        'schema-mismatch',
+        `The profile is not in the expected format: ${error.message}`,
+        url
+      );
+    }
+    if (normalizedProfile.threads.length === 0) {
+      throw createError(
+        'missing-thread',
+        normalizedProfile.unavailableThreads.length !== 0
+          ? 'None of the threads of this profile could be downloaded.'
+          : 'The profile does not contain any threads.',
+        url
+      );
+    }
+
+    // A UniqueStringArray loses its methods when it is cloned, so the content
+    // thread rebuilds it from the thread's stringArray.
+    const profile = Object.assign({}, normalizedProfile, {
+      threads: normalizedProfile.threads.map(thread =>
+        Object.assign({}, thread, { stringTable: null })),
+    });
+
+    dispatch({
+      toContent: true,
+      type: 'PROFILE_LOADED',
+      request,
+      profile,
+      transfer: _getTransferables(profile),
+    });
+  };
+}
+
+function _profileLoadFailed(request, error, url) {
+  return {
+    toContent: true,
+    type: 'PROFILE_LOAD_FAILED',
+    request,
+    error: serializeError(error, url),
+  };
+}
+
+/**
+ * Download a profile and all of its split parts, then normalize it.
+ * @param {object} request        Describes the load for the content thread,
+ *                                which is passed back with every message.
+ * @param {string} url            The absolute URL of the main file.
+ * @param {object} splitFileURLs  The |prefix| and |suffix| for the URLs of the
+ *                                split parts, or null to derive them from |url|.
+ */
+export function loadProfile(request, url, splitFileURLs) {
+  return async function (dispatch) {
+    const report = _createProgressReporter(dispatch, request);
+    let bytesLoaded = 0;
+    const onBytes = bytes => {
+      bytesLoaded += bytes;
+      report({ bytesLoaded });
+    };
+
+    try {
+      report({}, true);
+      const text = await _fetchTextWithRetry(url, onBytes);
+      report({ phase: 'parse', partsLoaded: 1 }, true);
+      const rawProfile = parseJSON(text, url);
+
+      // A part that still fails after retrying is left out of |splitParts|,
+      // which makes its thread unavailable instead of failing the profile.
+      const splitParts = {};
+      if (rawProfile.isSplit) {
+        const suffixes = getSplitFileSuffixes(rawProfile);
+        const { prefix, suffix } = splitFileURLs || getSplitFileURLs(url, rawProfile.uuid);
+        let partsLoaded = 1;
+        let partsFailed = 0;
+        report({ phase: 'download', partsTotal: 1 + suffixes.length }, true);
+
+        await Promise.all(suffixes.map(async partSuffix => {
+          try {
+            const partURL = prefix + partSuffix + suffix;
+            const partText = await _fetchTextWithRetry(partURL, onBytes);
+            splitParts[partSuffix] = parseJSON(partText, partURL);
+            partsLoaded++;
+          } catch (error) {
+            console.error(`Unable to load the ${partSuffix} part of the profile`, error);
+            partsFailed++;
+          }
+          report({ partsLoaded, partsFailed });
+        }));
+      }
+
+      dispatch(_profileLoaded(request, url, rawProfile, splitParts, report));
+    } catch (error) {
+      dispatch(_profileLoadFailed(request, error, url));
+    }
+  };
+}
+
+/**
+ * Parse and normalize a profile that was read on the content thread.
+ * @param {object} request      Describes the load for the content thread.
+ * @param {string} fileName     The name of the file, for error messages.
+ * @param {ArrayBuffer} buffer  The uncompressed contents of the file.
+ */
+export function parseProfile(request, fileName, buffer) {
+  return function (dispatch) {
+    const report = _createProgressReporter(dispatch, request);
+
+    try {
+      report({ phase: 'parse', partsLoaded: 1, bytesLoaded: buffer.byteLength }, true);
+      const rawProfile = parseJSON(new TextDecoder().decode(buffer), null);
+      if (rawProfile.isSplit) {
+        throw createError(
+          'schema-mismatch',
+          `${fileName} only lists the parts of a split profile, and the parts cannot be ` +
+          'loaded from disk. Load the profile from its URL instead.'
+        );
+      }
+
+      dispatch(_profileLoaded(request, null, rawProfile, {}, report));
+    } catch (error) {
+      dispatch(_profileLoadFailed(request, error, null));
+    }
+  };
+}
@@ -2,21 +2,60 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-import { summarizeProfileCategories } from '../../common/profile-categories';
+import {
+  summarizeProfileCategories, categorizeThreadData, getSampleCategories,
+} from '../../common/profile-categories';
 import { summarizeProfileRunnables } from '../../common/profile-runnables';
+import { summarizeProfileRegressions } from '../../common/profile-regressions';
 
-export function summarizeProfile() {
+export function summarizeProfile(categoryRules, rulesGeneration) {
   return function(dispatch, getState) {
+    dispatch(summarizeCategories(categoryRules, rulesGeneration));
+
     dispatch({
       toContent: true,
-      type: 'PROFILE_CATEGORIES_PROCESSED',
-      categories: summarizeProfileCategories(getState().profile),
+      type: 'PROFILE_RUNNABLES_PROCESSED',
+      runnables: summarizeProfileRunnables(getState().profile),
     });
 
     dispatch({
       toContent: true,
-      type: 'PROFILE_RUNNABLES_PROCESSED',
-      runnables: summarizeProfileRunnables(getState().profile),
+      type: 'PROFILE_SUMMARIZED',
+    });
+
+    // Finding the regressions walks the time series of every stack, so the
+    // profile is shown first, and the regressions tab shows them once they are
+    // ready.
+    dispatch({
+      toContent: true,
+      type: 'PROFILE_REGRESSIONS_PROCESSED',
+      regressions: summarizeProfileRegressions(getState().profile),
+    });
+  };
+}
+
+/**
+ * Categorize the samples again, e.g. after the rules changed. The content
+ * thread gets the category of every sample, so that it doesn't have to compute
+ * them again to filter by category, along with the summary. Both are sent with
+ * the generation of the rules, so that replies for outdated rules are dropped.
+ */
+export function summarizeCategories(categoryRules, rulesGeneration) {
+  return function(dispatch, getState) {
+    const { profile } = getState();
+    const threadCategories = categorizeThreadData(profile, categoryRules);
+    dispatch({
+      toContent: true,
+      type: 'PROFILE_SAMPLE_CATEGORIES_PROCESSED',
+      sampleCategories: threadCategories.map(getSampleCategories),
+      rulesGeneration,
+    });
+
+    dispatch({
+      toContent: true,
+      type: 'PROFILE_CATEGORIES_PROCESSED',
+      categories: summarizeProfileCategories(profile, categoryRules, threadCategories),
+      rulesGeneration,
     });
   };
 }
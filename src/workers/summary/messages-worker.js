@@ -2,7 +2,7 @@
  * License, v. 2.0. If a copy of the MPL was not distributed with this
  * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
 
-import { summarizeProfile, profileProcessed } from './actions';
+import { summarizeProfile, summarizeCategories, profileProcessed } from './actions';
 /**
  * Messages are the translation layer from actions dispatched by the content
  * thread to the worker thread. This de-couples the state of the two threads.
@@ -16,5 +16,9 @@ messages.PROFILE_PROCESSED = function(message, call) {
 };
 
 messages.SUMMARIZE_PROFILE = function(message, call) {
-  call(summarizeProfile);
+  call(summarizeProfile, message.categoryRules, message.rulesGeneration);
+};
+
+messages.SUMMARIZE_CATEGORIES = function(message, call) {
+  call(summarizeCategories, message.categoryRules, message.rulesGeneration);
 };
@@ -131,4 +131,14 @@ const dateGraphWorkerConfig = Object.assign({}, baseConfig, {
   },
 });
 
-module.exports = [ contentConfig, summaryWorkerConfig, dateGraphWorkerConfig ];
+const profileLoaderWorkerConfig = Object.assign({}, baseConfig, {
+  plugins: basePlugins.slice(0),
+  entry: ['./src/workers/profile-loader/index'],
+  output: {
+    path: path.join(__dirname, 'dist'),
+    filename: 'profile-loader-worker.js',
+    publicPath: '/',
+  },
+});
+
+module.exports = [ contentConfig, summaryWorkerConfig, dateGraphWorkerConfig, profileLoaderWorkerConfig ];